@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * mouth-track-analyze - 記録済みランドマークのバッチ解析CLI
+ * ランドマークのJSON/JSONLファイルを読み込み、フレームごとの計測値・母音ラベルと要約統計を出力します
+ *
+ * 使い方:
+ *   mouth-track-analyze [options] <file...>
+ *
+ * オプション:
+ *   -f, --format <jsonl|json|csv>  フレームごとの出力形式（デフォルト: jsonl）
+ *   -s, --summary                  要約統計のみを出力
+ *   -d, --decode                   HMM（ビタビ）でデコードした母音系列を decodedVowel として出力
+ *   -o, --output <path>            出力先ファイル（省略時は標準出力）
+ *   -h, --help                     ヘルプを表示
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import {
+    SessionPlayer,
+    VowelClassifier,
+    VowelSequenceDecoder,
+    CsvExporter,
+    parseLandmarkFileContent,
+    summarizeResults
+} from '../module/node.js';
+
+const USAGE = `使い方: mouth-track-analyze [options] <file...>
+
+オプション:
+  -f, --format <jsonl|json|csv>  フレームごとの出力形式（デフォルト: jsonl）
+  -s, --summary                  要約統計のみを出力
+  -d, --decode                   HMM（ビタビ）でデコードした母音系列を decodedVowel として出力
+  -o, --output <path>            出力先ファイル（省略時は標準出力）
+  -h, --help                     ヘルプを表示
+`;
+
+const FORMATS = ['jsonl', 'json', 'csv'];
+
+/**
+ * 1ファイルを解析
+ * @param {string} path - ファイルパス
+ * @param {Object} options - CLIオプション
+ * @returns {Promise<Object>} {file, results, summary}
+ */
+async function analyzeFile(path, options) {
+    const text = await readFile(path, 'utf8');
+    const frames = parseLandmarkFileContent(text);
+    const player = new SessionPlayer(frames, null, { vowelClassifier: new VowelClassifier() });
+    const results = player.analyzeAll();
+
+    if (options.decode) {
+        // デコーダーには遅れのない出力確率を渡すため、指数移動平均を無効にした別の判別器で判別し直す
+        // （出力の vowel は --decode の有無によらず同じ値になる）
+        const decoderClassifier = new VowelClassifier({ smoothingAlpha: 0 });
+        const emissions = results.map(result => (result.metrics
+            ? decoderClassifier.classify(result.metrics, result.temporalFeatures, result.speechActivity)
+            : null));
+        const decoded = new VowelSequenceDecoder().decode(emissions);
+        results.forEach((result, index) => {
+            result.decodedVowel = decoded[index].vowel;
+        });
+    }
+
+    return {
+        file: path,
+        results,
+        summary: summarizeResults(results)
+    };
+}
+
+/**
+ * フレームごとの出力用レコードを作成
+ * @param {string} file - ファイルパス
+ * @param {Object} result - SessionPlayer のペイロード
+ * @returns {Object} 出力レコード
+ */
+function toOutputRecord(file, result) {
+    return {
+        file,
+        frameIndex: result.frameIndex,
+        timestamp: result.timestamp,
+        mediaTimestamp: result.mediaTimestamp,
+        faceDetected: result.faceDetected,
+        vowel: result.vowelResult ? result.vowelResult.vowel : null,
+        confidence: result.vowelResult ? result.vowelResult.confidence : 0,
+        probabilities: result.vowelResult ? result.vowelResult.probabilities : null,
+        decodedVowel: result.decodedVowel,
+        metrics: result.metrics
+    };
+}
+
+/**
+ * 解析結果を指定形式の文字列に変換
+ * @param {Array<Object>} analyses - ファイルごとの解析結果
+ * @param {Object} options - CLIオプション
+ * @returns {string} 出力文字列
+ */
+function formatOutput(analyses, options) {
+    const summaries = analyses.map(({ file, summary }) => ({ file, ...summary }));
+
+    if (options.summary) {
+        return JSON.stringify(summaries.length === 1 ? summaries[0] : summaries, null, 2) + '\n';
+    }
+
+    if (options.format === 'csv') {
+        // 全ファイルのフレームを1つの表にまとめ、ヘッダーは1行だけ出力する（file 列で元のファイルを区別）
+        const frames = analyses.flatMap(({ file, results }) => results.map(result => ({ file, ...result })));
+        return new CsvExporter().toCsv(frames);
+    }
+
+    if (options.format === 'json') {
+        const documents = analyses.map(({ file, results, summary }) => ({
+            file,
+            summary,
+            frames: results.map(result => toOutputRecord(file, result))
+        }));
+        return JSON.stringify(documents.length === 1 ? documents[0] : documents, null, 2) + '\n';
+    }
+
+    const lines = [];
+    analyses.forEach(({ file, results }) => {
+        results.forEach(result => lines.push(JSON.stringify(toOutputRecord(file, result))));
+    });
+    summaries.forEach(summary => lines.push(JSON.stringify({ type: 'summary', ...summary })));
+    return lines.join('\n') + '\n';
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', short: 'f', default: 'jsonl' },
+            summary: { type: 'boolean', short: 's', default: false },
+            decode: { type: 'boolean', short: 'd', default: false },
+            output: { type: 'string', short: 'o' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help || positionals.length === 0) {
+        process.stdout.write(USAGE);
+        process.exitCode = values.help ? 0 : 1;
+        return;
+    }
+    if (!FORMATS.includes(values.format)) {
+        throw new Error(`未対応の出力形式です: ${values.format}（${FORMATS.join(', ')}）`);
+    }
+
+    const analyses = [];
+    for (const path of positionals) {
+        analyses.push(await analyzeFile(path, values));
+    }
+
+    const output = formatOutput(analyses, values);
+    if (values.output) {
+        await writeFile(values.output, output, 'utf8');
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+main().catch(error => {
+    console.error(`[Error in mouth-track-analyze]: ${error.message}`);
+    process.exitCode = 1;
+});
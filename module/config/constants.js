@@ -14,14 +14,21 @@ export const MOUTH_LANDMARKS = {
     bottomRight: 314    // 下唇外側右
 };
 
-// MediaPipe FaceMeshの口周辺の全ランドマークインデックス
-export const MOUTH_ALL_LANDMARKS = [
-    12, 13, 14, 15, 16, 17, 18,
-    78, 79, 80, 81, 82,
-    308, 309, 310, 311, 312,
-    61, 291,
-    0, 11, 200, 269, 270, 271, 272, 273, 274, 275, 276, 277, 278, 279, 280, 281, 282, 283, 284, 285, 286, 287, 288, 289, 290, 292, 293, 294, 295, 296, 297, 298, 299, 300, 301, 302, 303, 304, 305, 306, 307, 313, 314, 315, 316, 317, 318, 319, 320, 321, 322, 323, 324, 325, 326, 327, 328, 329, 330, 331, 332, 333, 334, 335, 336, 337, 338, 339, 340, 341, 342, 343, 344, 345, 346, 347, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359, 360, 361, 362, 363, 364, 365, 366, 367, 368, 369, 370, 371, 372, 373, 374, 375, 376, 377, 378, 379, 380, 381, 382, 383, 384, 385, 386, 387, 388, 389, 390, 391, 392, 393, 394, 395, 396, 397, 398, 399, 400, 401, 402, 403, 404, 405, 406, 407, 408, 409, 410, 411, 412, 413, 414, 415, 416, 417, 418, 419, 420, 421, 422, 423, 424, 425, 426, 427, 428, 429, 430, 431, 432, 433, 434, 435, 436, 437, 438, 439, 440, 441, 442, 443, 444, 445, 446, 447, 448, 449, 450, 451, 452, 453, 454, 455, 456, 457, 458, 459, 460, 461, 462, 463, 464, 465, 466, 467
-];
+// MediaPipe FaceMeshの唇のランドマーク（唇の外縁から内縁までの8本の線、各線は左から右の順）
+// 口角（61, 291 / 78, 308 / 76, 306 / 62, 292）は上側または下側の一方の線にのみ含める
+export const LIP_LANDMARK_LINES = {
+    upperOuter: [61, 185, 40, 39, 37, 0, 267, 269, 270, 409, 291],
+    upperSemiOuter: [184, 74, 73, 72, 11, 302, 303, 304, 408],
+    upperSemiInner: [183, 42, 41, 38, 12, 268, 271, 272, 407],
+    upperInner: [78, 191, 80, 81, 82, 13, 312, 311, 310, 415, 308],
+    lowerInner: [95, 88, 178, 87, 14, 317, 402, 318, 324],
+    lowerSemiInner: [62, 96, 89, 179, 86, 15, 316, 403, 319, 325, 292],
+    lowerSemiOuter: [76, 77, 90, 180, 85, 16, 315, 404, 320, 307, 306],
+    lowerOuter: [146, 91, 181, 84, 17, 314, 405, 321, 375]
+};
+
+// MediaPipe FaceMeshの口周辺の全ランドマークインデックス（唇の80点）
+export const MOUTH_ALL_LANDMARKS = Object.values(LIP_LANDMARK_LINES).flat();
 
 // MediaPipe FaceMeshの標準的な口の輪郭（16点）
 export const MOUTH_CONTOUR_INDICES = [
@@ -47,11 +54,21 @@ export const MOUTH_CONTOUR_INDICES_34 = [
     2, 200
 ];
 
+// 顔スケール・頭部姿勢の計算に使用するランドマーク（鼻根、左右の目尻、顎）
+export const FACE_SCALE_LANDMARKS = [1, 33, 263, 152];
+
+// FaceMesh のランドマーク数（refineLandmarks で虹彩の10点が追加される）
+export const FACE_MESH_LANDMARK_COUNT = {
+    base: 468,
+    refined: 478
+};
+
 export const FACE_MESH_CONFIG = {
     maxNumFaces: 1,
     refineLandmarks: true,
     minDetectionConfidence: 0.55,
-    minTrackingConfidence: 0.55
+    minTrackingConfidence: 0.55,
+    assetPath: '/node_modules/@mediapipe/face_mesh/'    // FaceMesh のモデル・WASMファイルの配置場所
 };
 
 export const CAMERA_CONFIG = {
@@ -71,7 +88,9 @@ export const FPS_INTERVAL = 1000;
 
 export const EXPORT_CONFIG = {
     csvDelimiter: ',',
-    dateFormat: 'YYYY-MM-DD_HH-mm-ss'
+    dateFormat: 'YYYY-MM-DD_HH-mm-ss',
+    csvPrecision: 6,            // 数値の小数点以下桁数
+    filePrefix: 'mouth-track'
 };
 
 // 母音検知に使用される全ランドマーク（重複排除済み、昇順）
@@ -124,3 +143,77 @@ export const DEFAULT_LANDMARKS = [
     346,    // 右頬
     397     // 顎下部
 ];
+
+// セッション記録（SessionRecorder）の設定
+// version はシリアライズ形式のバージョン。形式を変更した場合は値を上げ、SessionFormat に移行処理を追加する
+// version 2: 頭部の姿勢（headPose）・画像の縦横比（aspectRatio）・発話区間（speechActivity）・複数の顔（faceId, faceCount, faces）を記録
+//   metrics.circularity を唇の外縁の円形度に変更（version 1 の値は口の輪郭の多角形から計算しており比較できない）
+export const SESSION_CONFIG = {
+    format: 'mouth-track-session',
+    version: 2,
+    maxFrames: 18000    // 30fpsで約10分
+};
+
+// ユーザープロファイル（ProfileStore）の設定
+// version はプロファイル形式のバージョン。形式を変更した場合は値を上げ、ProfileStore の移行処理に追加する
+export const PROFILE_CONFIG = {
+    format: 'mouth-track-profile',
+    version: 1,
+    storageKey: 'mouth-track-profiles',     // localStorage のキーのプレフィックス
+    databaseName: 'mouth-track',            // IndexedDB のデータベース名
+    storeName: 'profiles'                   // IndexedDB のオブジェクトストア名
+};
+
+// ストリーミング出力（StreamingOutput）の設定
+export const STREAM_CONFIG = {
+    maxRate: 30,                    // 1秒あたりの最大送信回数
+    burstSize: 2,                   // 続けて送信できる最大回数（フレーム間隔の揺らぎで送信が欠けないようにする）
+    precision: 4,                   // JSON出力の数値の小数点以下桁数
+    oscPrefix: '/mouth',            // OSCアドレスのプレフィックス
+    reconnectInterval: 2000,        // 切断時の再接続間隔（ミリ秒、0で再接続しない）
+    maxBufferedAmount: 1048576      // 送信待ちがこのバイト数を超えた場合はフレームを送らない
+};
+
+// Web Worker でのトラッキング設定
+export const WORKER_CONFIG = {
+    faceMeshScriptUrl: '/node_modules/@mediapipe/face_mesh/face_mesh.js',  // Worker 内で読み込む FaceMesh のスクリプト
+    initTimeout: 30000              // Worker の初期化のタイムアウト（ミリ秒）
+};
+
+// 頭部姿勢（HeadPoseEstimator）の設定
+export const HEAD_POSE_CONFIG = {
+    maxYaw: 35,         // これを超えるヨー（度）は極端な姿勢とみなす
+    maxPitch: 30,       // これを超えるピッチ（度）は極端な姿勢とみなす
+    maxRoll: 35         // これを超えるロール（度）は極端な姿勢とみなす
+};
+
+// ランドマークセット（LandmarkSets）の設定
+export const LANDMARK_SET_CONFIG = {
+    defaultSet: 'contour-34'    // 指定がない場合に使用するセット（DEFAULT_LANDMARKS）
+};
+
+// 唇の内縁の計測（DataProcessor.calculateInnerLipMetrics）の設定
+export const INNER_LIP_CONFIG = {
+    // 内縁の高さを測る位置（内縁の左右の口角間に対する割合）と、計測値 innerHeightProfile のキー
+    profileColumns: {
+        left: 1 / 6,
+        midLeft: 2 / 6,
+        center: 3 / 6,
+        midRight: 4 / 6,
+        right: 5 / 6
+    }
+};
+
+// 口の内側の画素解析（MouthPixelAnalyzer）の設定
+// 明るさ（輝度）・彩度は0.0 - 1.0
+export const MOUTH_PIXEL_CONFIG = {
+    sampleSize: 48,                 // 口の内側をこの大きさ（長辺のピクセル数）以下に縮小して解析する
+    minApertureHeight: 3,           // 唇の内縁の高さがこれ未満（元画像のピクセル数）の場合は解析しない
+    teethMinLuma: 0.55,             // 歯: 明るく
+    teethMaxSaturation: 0.35,       //     彩度が低い
+    cavityMaxLuma: 0.15,            // 口腔: 暗い
+    tongueMinRedGreenRatio: 1.3,    // 舌: 赤が緑のこの倍以上
+    tongueMinRedBlueRatio: 1.1,     //     赤が青のこの倍以上
+    tongueOutRatio: 0.45,           // 舌の割合がこれ以上で
+    tongueOutMaxCavity: 0.2         // 口腔の割合がこれ以下の場合は舌を出しているとみなす
+};
@@ -0,0 +1,244 @@
+/**
+ * BaselineDriftMonitor - 基準値のずれの検出と自動更新
+ * 長時間のセッションでは照明や姿勢の変化で安静時の口の計測値がずれるため、
+ * TemporalFeatureExtractor の履歴から口を閉じて静止している区間を検出し、
+ * その区間の計測値で CalibrationManager の基準値を少しずつ更新します。
+ * キャリブレーション時（または前回の通知時）の基準値から大きくずれた場合は onBaselineDrift で通知します
+ */
+
+const BASELINE_FEATURES = ['openness', 'width', 'aspectRatio', 'area', 'lipThickness'];
+
+export class BaselineDriftMonitor {
+    /**
+     * @param {Object} options - オプション
+     * @param {TemporalFeatureExtractor} options.temporalExtractor - 時系列特徴量の抽出器（安静の判定に使用）
+     * @param {CalibrationManager} options.calibrationManager - 基準値を保持するキャリブレーション管理
+     * @param {number} options.restDuration - 安静とみなすまでの継続時間（ミリ秒）
+     * @param {number} options.restOpennessRatio - 基準値の開口量に対する閉口とみなす比率（基準値がない場合は closedOpenness を使用）
+     * @param {number} options.closedOpenness - 基準値がない場合の閉口の閾値
+     * @param {number} options.closedInnerOpenness - 閉口とみなす唇の内縁の高さ（計測値に innerOpenness がある場合に使用）
+     * @param {number} options.stabilityWindow - 静止の判定に使うフレーム数
+     * @param {number} options.stabilityThreshold - 静止とみなす openness / width の標準偏差（口の幅に対する比）
+     * @param {number} options.updateRate - 安静時の1フレームあたりの基準値の更新率
+     * @param {number} options.driftThreshold - ずれとして通知する変化量（口の幅に対する比）
+     * @param {Function} options.onBaselineDrift - ずれを検出した時のコールバック ({previous, current, drift, timestamp})
+     * @param {Function} options.onBaselineUpdate - 基準値を更新した時のコールバック (baseline)
+     */
+    constructor(options = {}) {
+        if (!options.temporalExtractor || !options.calibrationManager) {
+            throw new Error('temporalExtractor と calibrationManager を指定してください');
+        }
+        this.temporalExtractor = options.temporalExtractor;
+        this.calibrationManager = options.calibrationManager;
+        this.restDuration = options.restDuration || 1500;
+        this.restOpennessRatio = options.restOpennessRatio || 1.4;
+        this.closedOpenness = options.closedOpenness || 0.018;
+        this.closedInnerOpenness = options.closedInnerOpenness || 0.015;
+        this.stabilityWindow = options.stabilityWindow || 10;
+        this.stabilityThreshold = options.stabilityThreshold || 0.03;
+        this.updateRate = options.updateRate || 0.02;
+        this.driftThreshold = options.driftThreshold || 0.08;
+        this.onBaselineDrift = options.onBaselineDrift || null;
+        this.onBaselineUpdate = options.onBaselineUpdate || null;
+        this.paused = false;
+
+        this.reset();
+    }
+
+    /**
+     * 1フレーム分の計測値で状態を更新（TemporalFeatureExtractor.addFrame の後に呼び出す）
+     * @param {Object} metrics - 計測値
+     * @param {number} timestamp - フレームのタイムスタンプ（ミリ秒）
+     * @returns {Object} {isResting, restDuration, drift}
+     */
+    update(metrics, timestamp = Date.now()) {
+        if (!metrics || this.paused || this.calibrationManager.getIsCalibrating()) {
+            this.restStartTime = null;
+            return this.getState(timestamp);
+        }
+
+        this._syncReferenceBaseline();
+
+        if (!this._isRestFrame(metrics)) {
+            this.restStartTime = null;
+            return this.getState(timestamp);
+        }
+
+        if (this.restStartTime === null) {
+            this.restStartTime = timestamp;
+        }
+        if (timestamp - this.restStartTime < this.restDuration) {
+            return this.getState(timestamp);
+        }
+
+        this._updateBaseline(BaselineDriftMonitor.createRestSample(metrics), timestamp);
+        return this.getState(timestamp);
+    }
+
+    /**
+     * 現在の状態を取得
+     * @param {number} timestamp - 現在のタイムスタンプ（ミリ秒）
+     * @returns {Object} {isResting, restDuration, drift}
+     */
+    getState(timestamp = Date.now()) {
+        const restDuration = this.restStartTime === null ? 0 : timestamp - this.restStartTime;
+        return {
+            isResting: this.restStartTime !== null && restDuration >= this.restDuration,
+            restDuration,
+            drift: this.lastDrift
+        };
+    }
+
+    /**
+     * 基準値の更新を一時停止（ガイド付きキャリブレーションで母音の口の形を保持している間等）
+     */
+    pause() {
+        this.paused = true;
+        this.restStartTime = null;
+    }
+
+    /**
+     * 基準値の更新を再開
+     */
+    resume() {
+        this.paused = false;
+    }
+
+    /**
+     * 状態をリセット（次のフレームで CalibrationManager の基準値を改めて参照する）
+     */
+    reset() {
+        this.restStartTime = null;
+        this.referenceBaseline = null;
+        this.appliedBaseline = null;
+        this.lastDrift = null;
+    }
+
+    /**
+     * 計測値から基準値の更新に使う値を取り出す
+     * @param {Object} metrics - 計測値
+     * @returns {Object} {openness, width, aspectRatio, area, lipThickness}
+     */
+    static createRestSample(metrics) {
+        return {
+            openness: metrics.openness,
+            width: metrics.width,
+            aspectRatio: metrics.aspectRatio,
+            area: metrics.area || 0,
+            lipThickness: (metrics.upperLipThickness || 0) + (metrics.lowerLipThickness || 0)
+        };
+    }
+
+    /**
+     * 口を閉じて静止しているフレームかどうか
+     * @private
+     */
+    _isRestFrame(metrics) {
+        if (!(metrics.width > 0)) {
+            return false;
+        }
+
+        if (!this._isClosed(metrics)) {
+            return false;
+        }
+
+        if (this.temporalExtractor.getHistoryLength() < Math.min(this.stabilityWindow, this.temporalExtractor.getBufferSize())) {
+            return false;
+        }
+        const opennessStd = this.temporalExtractor.getStandardDeviation('openness', this.stabilityWindow);
+        const widthStd = this.temporalExtractor.getStandardDeviation('width', this.stabilityWindow);
+        return opennessStd / metrics.width <= this.stabilityThreshold &&
+            widthStd / metrics.width <= this.stabilityThreshold;
+    }
+
+    /**
+     * 口を閉じているかどうか
+     * 唇の内縁を計測できる場合は唇の間の隙間で判定する（外縁の openness は閉じていても唇の厚さの分だけ残る）
+     * @private
+     */
+    _isClosed(metrics) {
+        if (typeof metrics.innerOpenness === 'number') {
+            return metrics.innerOpenness <= this.closedInnerOpenness;
+        }
+        const baseline = this.calibrationManager.getBaseline();
+        const closedThreshold = baseline && baseline.openness > 0
+            ? baseline.openness * this.restOpennessRatio
+            : this.closedOpenness;
+        return metrics.openness <= closedThreshold;
+    }
+
+    /**
+     * 基準値が外部で変更された（キャリブレーションや setBaseline）場合は比較の基準を置き換える
+     * @private
+     */
+    _syncReferenceBaseline() {
+        const baseline = this.calibrationManager.getBaseline();
+        if (baseline !== this.appliedBaseline) {
+            this.referenceBaseline = baseline ? { ...baseline } : null;
+            this.appliedBaseline = baseline;
+            this.lastDrift = null;
+        }
+    }
+
+    /**
+     * 安静時の値で基準値を更新し、ずれを判定
+     * @private
+     */
+    _updateBaseline(sample, timestamp) {
+        const current = this.calibrationManager.getBaseline();
+        let updated;
+
+        if (!current) {
+            // 基準値がない場合は、最初の安静区間の値を基準値とする
+            updated = { ...sample, opennessMax: sample.openness, widthMax: sample.width, timestamp };
+        } else {
+            updated = { ...current, timestamp };
+            BASELINE_FEATURES.forEach(feature => {
+                const previous = typeof current[feature] === 'number' ? current[feature] : sample[feature];
+                updated[feature] = previous + this.updateRate * (sample[feature] - previous);
+            });
+        }
+
+        this.calibrationManager.setBaseline(updated);
+        this.appliedBaseline = updated;
+        if (!this.referenceBaseline) {
+            this.referenceBaseline = { ...updated };
+        }
+
+        if (this.onBaselineUpdate) {
+            this.onBaselineUpdate(updated);
+        }
+
+        this._checkDrift(updated, timestamp);
+    }
+
+    /**
+     * 比較の基準からのずれを判定して通知
+     * @private
+     */
+    _checkDrift(current, timestamp) {
+        const reference = this.referenceBaseline;
+        const width = reference.width || current.width;
+        if (!(width > 0)) {
+            return;
+        }
+
+        const drift = {
+            openness: (current.openness - reference.openness) / width,
+            width: (current.width - reference.width) / width,
+            lipThickness: ((current.lipThickness || 0) - (reference.lipThickness || 0)) / width
+        };
+        const magnitude = Math.max(...Object.values(drift).map(Math.abs));
+        if (magnitude < this.driftThreshold) {
+            return;
+        }
+
+        this.lastDrift = { ...drift, magnitude, timestamp };
+        const previous = reference;
+        this.referenceBaseline = { ...current };
+
+        if (this.onBaselineDrift) {
+            this.onBaselineDrift({ previous, current: { ...current }, drift: this.lastDrift, timestamp });
+        }
+    }
+}
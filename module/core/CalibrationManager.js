@@ -38,15 +38,7 @@ export class CalibrationManager {
                         return;
                     }
 
-                    this.samples.push({
-                        timestamp: Date.now(),
-                        openness: metrics.openness,
-                        width: metrics.width,
-                        aspectRatio: metrics.aspectRatio,
-                        area: metrics.area || 0,
-                        upperLipThickness: metrics.upperLipThickness || 0,
-                        lowerLipThickness: metrics.lowerLipThickness || 0
-                    });
+                    this.samples.push(CalibrationManager.createSample(metrics));
 
                     const progress = Math.min((Date.now() - startTime) / this.duration, 1.0);
                     if (this.onCalibrationProgress) {
@@ -94,15 +86,41 @@ export class CalibrationManager {
      * @returns {Object} 基準値
      */
     _calculateBaseline() {
-        if (this.samples.length === 0) {
+        return CalibrationManager.calculateBaseline(this.samples);
+    }
+
+    /**
+     * 計測値から基準値計算用のサンプルを作成
+     * @param {Object} metrics - 計測値
+     * @returns {Object} サンプル
+     */
+    static createSample(metrics) {
+        return {
+            timestamp: Date.now(),
+            openness: metrics.openness,
+            width: metrics.width,
+            aspectRatio: metrics.aspectRatio,
+            area: metrics.area || 0,
+            upperLipThickness: metrics.upperLipThickness || 0,
+            lowerLipThickness: metrics.lowerLipThickness || 0
+        };
+    }
+
+    /**
+     * サンプルから基準値を計算
+     * @param {Array<Object>} samples - createSample で作成したサンプル
+     * @returns {Object|null} 基準値
+     */
+    static calculateBaseline(samples) {
+        if (samples.length === 0) {
             return null;
         }
 
-        const opennessValues = this.samples.map(s => s.openness).filter(v => v > 0);
-        const widthValues = this.samples.map(s => s.width).filter(v => v > 0);
-        const aspectRatioValues = this.samples.map(s => s.aspectRatio).filter(v => v > 0);
-        const areaValues = this.samples.map(s => s.area).filter(v => v > 0);
-        const lipThicknessValues = this.samples.map(s => 
+        const opennessValues = samples.map(s => s.openness).filter(v => v > 0);
+        const widthValues = samples.map(s => s.width).filter(v => v > 0);
+        const aspectRatioValues = samples.map(s => s.aspectRatio).filter(v => v > 0);
+        const areaValues = samples.map(s => s.area).filter(v => v > 0);
+        const lipThicknessValues = samples.map(s => 
             (s.upperLipThickness || 0) + (s.lowerLipThickness || 0)
         ).filter(v => v > 0);
 
@@ -0,0 +1,247 @@
+/**
+ * ConsonantGestureDetector - 子音の口唇ジェスチャー検出クラス
+ * 母音の判別とは別に、子音の境界となる口唇の動きを時間区間のイベントとして検出します
+ *   - bilabial（両唇音 m / p / b）: 発話中の短い閉鎖とその解放（openness の速度・加速度から判定）
+ *   - labiodental（唇歯音 f / v）: 上唇はそのままで下唇が内側に引き込まれる動き（lowerLipThickness の減少から判定）
+ */
+
+export class ConsonantGestureDetector {
+    /**
+     * @param {Object} options - オプション
+     * @param {Function} options.onGesture - ジェスチャー検出時のコールバック (event)
+     * @param {number} options.closedOpenness - 閉鎖とみなす openness（計測値に relative がある場合は closedOpennessRatio を使用）
+     * @param {number} options.closedOpennessRatio - 安静時の開口量に対する閉鎖とみなす比率
+     * @param {number} options.closedInnerOpenness - 閉鎖とみなす唇の内縁の高さ（計測値に innerOpenness がある場合に使用）
+     * @param {number} options.openOpenness - 閉鎖の直前に口が開いていたとみなす openness
+     * @param {number} options.closingVelocity - 閉鎖の開始とみなす openness の減少速度（/秒）
+     * @param {number} options.releaseVelocity - 解放とみなす openness の増加速度（/秒）
+     * @param {number} options.minClosureDuration - 両唇音の閉鎖の最短時間（ミリ秒）
+     * @param {number} options.maxClosureDuration - 両唇音の閉鎖の最長時間（ミリ秒、超えた場合は口を閉じて休んでいるとみなす）
+     * @param {number} options.lookback - 閉鎖の直前に口が開いていたかを確認する時間（ミリ秒）
+     * @param {number} options.retractionRatio - 下唇の厚みが基準のこの比率を下回ったら引き込みとみなす
+     * @param {number} options.minRetractionDuration - 唇歯音の最短時間（ミリ秒）
+     * @param {number} options.maxRetractionDuration - 唇歯音の最長時間（ミリ秒）
+     * @param {number} options.referenceAlpha - 唇の厚みの基準値（移動平均）の更新率
+     * @param {number} options.maxEvents - getEvents で取得できるイベントの最大数（超えた分は古いイベントから破棄）
+     */
+    constructor(options = {}) {
+        this.onGesture = options.onGesture || null;
+        this.closedOpenness = options.closedOpenness || 0.018;
+        this.closedOpennessRatio = options.closedOpennessRatio || 1.4;
+        this.closedInnerOpenness = options.closedInnerOpenness || 0.015;
+        this.openOpenness = options.openOpenness || 0.03;
+        this.closingVelocity = options.closingVelocity || 0.2;
+        this.releaseVelocity = options.releaseVelocity || 0.3;
+        this.minClosureDuration = options.minClosureDuration || 40;
+        this.maxClosureDuration = options.maxClosureDuration || 300;
+        this.lookback = options.lookback || 400;
+        this.retractionRatio = options.retractionRatio || 0.6;
+        this.minRetractionDuration = options.minRetractionDuration || 40;
+        this.maxRetractionDuration = options.maxRetractionDuration || 400;
+        this.referenceAlpha = options.referenceAlpha || 0.05;
+        this.maxEvents = options.maxEvents || 1000;
+
+        this.reset();
+    }
+
+    /**
+     * 1フレーム分の計測値でジェスチャーを検出
+     * @param {Object} metrics - 計測値
+     * @param {Object} temporalFeatures - 時系列特徴量（TemporalFeatureExtractor.getAllTemporalFeatures の結果）
+     * @param {number} timestamp - フレームのタイムスタンプ（ミリ秒）
+     * @returns {Array<Object>} このフレームで確定したイベントの配列
+     */
+    update(metrics, temporalFeatures = null, timestamp = Date.now()) {
+        if (!metrics || typeof metrics.openness !== 'number') {
+            this.closure = null;
+            this.retraction = null;
+            return [];
+        }
+
+        const events = [];
+        const bilabial = this._updateBilabial(metrics, temporalFeatures, timestamp);
+        if (bilabial) {
+            events.push(bilabial);
+        }
+        const labiodental = this._updateLabiodental(metrics, timestamp);
+        if (labiodental) {
+            events.push(labiodental);
+        }
+
+        if (metrics.openness > this.openOpenness) {
+            this.lastOpenTime = timestamp;
+        }
+
+        events.forEach(event => {
+            this.events.push(event);
+            // 長時間の追跡でも履歴が増え続けないよう、上限を超えた分は古いイベントから破棄
+            if (this.events.length > this.maxEvents) {
+                this.events.shift();
+            }
+            if (this.onGesture) {
+                this.onGesture(event);
+            }
+        });
+        return events;
+    }
+
+    /**
+     * 検出済みのイベントを取得（直近の maxEvents 件まで）
+     * @param {string|null} type - 'bilabial' | 'labiodental'（省略時は全て）
+     * @returns {Array<Object>} イベントの配列
+     */
+    getEvents(type = null) {
+        return type ? this.events.filter(event => event.type === type) : this.events.slice();
+    }
+
+    /**
+     * 進行中のジェスチャーを取得（閉鎖中・引き込み中のフレームでtrue）
+     * @returns {Object} {bilabial, labiodental}
+     */
+    getActiveGestures() {
+        return {
+            bilabial: this.closure !== null,
+            labiodental: this.retraction !== null
+        };
+    }
+
+    /**
+     * 状態とイベント履歴をリセット
+     */
+    reset() {
+        this.events = [];
+        this.lastOpenTime = null;
+        this.closure = null;
+        this.retraction = null;
+        this.lipReference = null;
+        this.peakClosingVelocity = 0;
+    }
+
+    /**
+     * 両唇音（閉鎖→解放）の検出
+     * @private
+     */
+    _updateBilabial(metrics, temporalFeatures, timestamp) {
+        const velocity = temporalFeatures?.openness?.velocity || 0;
+        const acceleration = temporalFeatures?.openness?.acceleration || 0;
+
+        if (!this.closure) {
+            // 閉鎖までの閉じる速さを記録しておき、閉鎖後のイベントに含める
+            this.peakClosingVelocity = velocity < 0 ? Math.min(this.peakClosingVelocity, velocity) : 0;
+
+            const wasOpen = this.lastOpenTime !== null && timestamp - this.lastOpenTime <= this.lookback;
+            if (this._isClosed(metrics) && wasOpen && this.peakClosingVelocity <= -this.closingVelocity) {
+                this.closure = { start: timestamp, peakClosingVelocity: this.peakClosingVelocity };
+            }
+            return null;
+        }
+
+        const closureDuration = timestamp - this.closure.start;
+        if (this._isClosed(metrics)) {
+            if (closureDuration > this.maxClosureDuration) {
+                // 長い閉鎖は子音ではなく安静とみなす
+                this.closure = null;
+                this.peakClosingVelocity = 0;
+            }
+            return null;
+        }
+
+        const closure = this.closure;
+        this.closure = null;
+        this.peakClosingVelocity = 0;
+        if (closureDuration < this.minClosureDuration || velocity < this.releaseVelocity) {
+            return null;
+        }
+
+        // 解放が急である（加速度が正）ほど破裂音（p / b）らしい
+        const releaseScore = Math.min(velocity / (this.releaseVelocity * 2), 1.0);
+        const closingScore = Math.min(-closure.peakClosingVelocity / (this.closingVelocity * 2), 1.0);
+        return {
+            type: 'bilabial',
+            consonants: ['m', 'p', 'b'],
+            start: closure.start,
+            end: timestamp,
+            closureDuration,
+            peakClosingVelocity: closure.peakClosingVelocity,
+            releaseVelocity: velocity,
+            releaseAcceleration: acceleration,
+            plosive: acceleration > 0,
+            confidence: releaseScore * 0.6 + closingScore * 0.4
+        };
+    }
+
+    /**
+     * 唇歯音（下唇の引き込み）の検出
+     * @private
+     */
+    _updateLabiodental(metrics, timestamp) {
+        const upper = metrics.upperLipThickness || 0;
+        const lower = metrics.lowerLipThickness || 0;
+        if (upper <= 0 || lower <= 0) {
+            this.retraction = null;
+            return null;
+        }
+
+        if (!this.lipReference) {
+            this.lipReference = { upper, lower };
+            return null;
+        }
+
+        const lowerRatio = lower / this.lipReference.lower;
+        const upperRatio = upper / this.lipReference.upper;
+        const isRetracted = lowerRatio < this.retractionRatio && upperRatio > 0.8 && !this._isClosed(metrics);
+
+        if (isRetracted) {
+            if (!this.retraction) {
+                this.retraction = { start: timestamp, minRatio: lowerRatio };
+            } else {
+                this.retraction.minRatio = Math.min(this.retraction.minRatio, lowerRatio);
+            }
+            return null;
+        }
+
+        // 引き込み中は基準値を更新しない
+        const alpha = this.referenceAlpha;
+        this.lipReference = {
+            upper: this.lipReference.upper + alpha * (upper - this.lipReference.upper),
+            lower: this.lipReference.lower + alpha * (lower - this.lipReference.lower)
+        };
+
+        if (!this.retraction) {
+            return null;
+        }
+
+        const retraction = this.retraction;
+        this.retraction = null;
+        const duration = timestamp - retraction.start;
+        if (duration < this.minRetractionDuration || duration > this.maxRetractionDuration) {
+            return null;
+        }
+
+        return {
+            type: 'labiodental',
+            consonants: ['f', 'v'],
+            start: retraction.start,
+            end: timestamp,
+            duration,
+            minLowerLipRatio: retraction.minRatio,
+            confidence: Math.min((1 - retraction.minRatio) / (1 - this.retractionRatio) * 0.5, 1.0)
+        };
+    }
+
+    /**
+     * 唇が閉じているかどうか
+     * 唇の内縁を計測できる場合は唇の間の隙間で判定し（VowelClassifier の閉口の判定と同じ）、
+     * それ以外は基準値がある場合は安静時の開口量との比で判定する
+     * @private
+     */
+    _isClosed(metrics) {
+        if (typeof metrics.innerOpenness === 'number') {
+            return metrics.innerOpenness <= this.closedInnerOpenness;
+        }
+        if (metrics.relative && metrics.relative.opennessRatio > 0) {
+            return metrics.relative.opennessRatio <= this.closedOpennessRatio;
+        }
+        return metrics.openness <= this.closedOpenness;
+    }
+}
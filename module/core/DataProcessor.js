@@ -1,9 +1,63 @@
 /**
  * DataProcessor - データ処理クラス
- * ランドマークデータから計測値を計算します
+ * ランドマークデータから計測値を計算します。
+ * 計測に使う点のグループはランドマークセット（LandmarkSets）の groups に従います。
+ * 静的メソッドは landmarkSet を省略すると DEFAULT_LANDMARKS（contour-34）のグループを使用し、
+ * インスタンスを生成した場合は生成時に指定したセットで計算します
  */
 
+import { HeadPoseEstimator } from './HeadPoseEstimator.js';
+import { getLandmarkSet } from '../utils/LandmarkSets.js';
+import { INNER_LIP_CONFIG } from '../config/constants.js';
+
 export class DataProcessor {
+    /**
+     * @param {Object} options - オプション
+     * @param {string|Object} options.landmarkSet - ランドマークセット（セット名または定義、デフォルト: contour-34）
+     */
+    constructor(options = {}) {
+        this.landmarkSet = getLandmarkSet(options.landmarkSet);
+    }
+
+    /**
+     * 生成時のランドマークセットで計測値を計算（calculateMetricsFromDefaultLandmarks と同じ）
+     * @param {Object} mouthLandmarks - 口ランドマーク
+     * @param {Array} contourLandmarks - 口の輪郭ランドマーク配列
+     * @param {Array} allMouthLandmarksExtended - 拡張口ランドマーク配列
+     * @param {Array} allFaceLandmarks - 顔ランドマーク配列
+     * @returns {Object} 計測値（拡張特徴量を含む）
+     */
+    calculateMetrics(mouthLandmarks, contourLandmarks = null, allMouthLandmarksExtended = null, allFaceLandmarks = null) {
+        return DataProcessor.calculateMetricsFromDefaultLandmarks(
+            mouthLandmarks, contourLandmarks, allMouthLandmarksExtended, allFaceLandmarks, this.landmarkSet
+        );
+    }
+
+    /**
+     * 生成時のランドマークセットで頭部の姿勢を補正して計測値を計算（静的メソッドの calculatePoseCompensatedMetrics と同じ）
+     * @param {Object} mouthLandmarks - 口ランドマーク
+     * @param {Array} contourLandmarks - 口の輪郭ランドマーク配列
+     * @param {Array} allMouthLandmarksExtended - 拡張口ランドマーク配列
+     * @param {Array} allFaceLandmarks - 顔ランドマーク配列（姿勢の推定に使用）
+     * @param {number} aspectRatio - 画像の縦横比（幅 / 高さ、デフォルト: 1）
+     * @returns {Object} {metrics, headPose}
+     */
+    calculatePoseCompensatedMetrics(mouthLandmarks, contourLandmarks = null, allMouthLandmarksExtended = null, allFaceLandmarks = null, aspectRatio = 1) {
+        return DataProcessor.calculatePoseCompensatedMetrics(
+            mouthLandmarks, contourLandmarks, allMouthLandmarksExtended, allFaceLandmarks, this.landmarkSet, aspectRatio
+        );
+    }
+
+    /**
+     * ランドマークセットの計測用グループを取得
+     * @private
+     * @param {string|Object|null} landmarkSet - ランドマークセット
+     * @returns {Object} グループ {upperOuter, lowerOuter, ...}
+     */
+    static _getGroups(landmarkSet) {
+        return getLandmarkSet(landmarkSet).groups;
+    }
+
     /**
      * ランドマーク配列のバリデーション
      * @private
@@ -101,6 +155,52 @@ export class DataProcessor {
         return (current - previous) / previous;
     }
 
+    /**
+     * 前フレームとの変化率（opennessRate, widthRate）を計測値に付与
+     * @param {Object} metrics - 現在の計測値（直接更新される）
+     * @param {Object|null} previousMetrics - 前フレームの計測値
+     * @returns {Object} 変化率を付与した計測値
+     */
+    static applyChangeRates(metrics, previousMetrics) {
+        if (previousMetrics) {
+            metrics.opennessRate = this.calculateChangeRate(metrics.openness, previousMetrics.openness);
+            metrics.widthRate = this.calculateChangeRate(metrics.width, previousMetrics.width);
+        } else {
+            metrics.opennessRate = 0;
+            metrics.widthRate = 0;
+        }
+        return metrics;
+    }
+
+    /**
+     * キャリブレーションの基準値（安静時の閉口）に対する相対計測値を計算
+     * 口の大きさや安静時の唇の隙間の個人差を除いた値として、絶対値の計測値と併せて使用する
+     * @param {Object} metrics - 計測値
+     * @param {Object|null} baseline - CalibrationManager の基準値
+     * @returns {Object|null} 相対計測値（基準値がない場合はnull）
+     */
+    static calculateRelativeMetrics(metrics, baseline) {
+        if (!metrics || !baseline || !(baseline.width > 0)) {
+            return null;
+        }
+
+        const restOpenness = baseline.openness || 0;
+        const lipThickness = (metrics.upperLipThickness || 0) + (metrics.lowerLipThickness || 0);
+
+        return {
+            opennessAboveRest: Math.max(0, metrics.openness - restOpenness),
+            opennessRatio: restOpenness > 0 ? metrics.openness / restOpenness : 0,
+            // 安静時の幅で割った開口量（口の大きさに依存しない開き具合）
+            opennessToWidth: Math.max(0, metrics.openness - restOpenness) / baseline.width,
+            widthRatio: metrics.width / baseline.width,
+            widthDelta: metrics.width - baseline.width,
+            areaRatio: baseline.area > 0 ? (metrics.area || 0) / baseline.area : 0,
+            areaDelta: (metrics.area || 0) - (baseline.area || 0),
+            aspectRatioDelta: (metrics.aspectRatio || 0) - (baseline.aspectRatio || 0),
+            lipThicknessRatio: baseline.lipThickness > 0 ? lipThickness / baseline.lipThickness : 0
+        };
+    }
+
     /**
      * 複数の点から平均座標を計算
      * @param {Array} points - 点の配列 [{x, y, z}, ...]
@@ -125,22 +225,22 @@ export class DataProcessor {
     }
 
     /**
-     * 口の輪郭ランドマークから計測値を計算（DEFAULT_LANDMARKSから抽出）
+     * 口の輪郭ランドマークから計測値を計算（ランドマークセットの contour から抽出）
      * より多くの点を使用することで、より正確な計測が可能
      * @param {Array} contourLandmarks - 口の輪郭ランドマーク配列
      * @param {Object} basicLandmarks - 基本ランドマーク（左端、右端等）
+     * @param {string|Object|null} landmarkSet - ランドマークセット
      * @returns {Object} 計測値
      */
-    static calculateMetricsFromContour(contourLandmarks, basicLandmarks) {
+    static calculateMetricsFromContour(contourLandmarks, basicLandmarks, landmarkSet = null) {
         if (!this._validateContourLandmarks(contourLandmarks)) {
             return this.calculateAllMetrics(basicLandmarks);
         }
 
-        const topOuterPoints = this._filterLandmarksByIndices(contourLandmarks, [12, 13, 14, 15, 16, 17, 18]);
-        const bottomOuterPoints = this._filterLandmarksByIndices(contourLandmarks, [14, 15, 16, 17, 18]);
-        const topInnerPoints = this._filterLandmarksByIndices(contourLandmarks, [78, 79, 80, 81, 82]);
-        const bottomInnerPoints = this._filterLandmarksByIndices(contourLandmarks, [308, 309, 310, 311, 312]);
-        const cornerPoints = this._filterLandmarksByIndices(contourLandmarks, [61, 291]);
+        const groups = this._getGroups(landmarkSet);
+        const topOuterPoints = this._filterLandmarksByIndices(contourLandmarks, groups.upperOuter);
+        const bottomOuterPoints = this._filterLandmarksByIndices(contourLandmarks, groups.lowerOuter);
+        const cornerPoints = this._filterLandmarksByIndices(contourLandmarks, groups.corners);
 
         const topOuterAvg = this.calculateAveragePoint(topOuterPoints) ||
             (basicLandmarks?.topOuter ? { x: basicLandmarks.topOuter.x, y: basicLandmarks.topOuter.y, z: basicLandmarks.topOuter.z || 0 } : null);
@@ -180,15 +280,17 @@ export class DataProcessor {
      * 上唇の厚さを計算
      * 上唇外側と内側の平均距離
      * @param {Array} contourLandmarks - 口の輪郭ランドマーク配列
+     * @param {string|Object|null} landmarkSet - ランドマークセット
      * @returns {number} 上唇の厚さ
      */
-    static calculateUpperLipThickness(contourLandmarks) {
+    static calculateUpperLipThickness(contourLandmarks, landmarkSet = null) {
         if (!this._validateContourLandmarks(contourLandmarks)) {
             return 0;
         }
 
-        const topOuterPoints = this._filterLandmarksByIndices(contourLandmarks, [12, 13, 14, 15, 16, 17, 18]);
-        const topInnerPoints = this._filterLandmarksByIndices(contourLandmarks, [78, 79, 80, 81, 82]);
+        const groups = this._getGroups(landmarkSet);
+        const topOuterPoints = this._filterLandmarksByIndices(contourLandmarks, groups.upperOuter);
+        const topInnerPoints = this._filterLandmarksByIndices(contourLandmarks, groups.upperInner);
 
         if (topOuterPoints.length === 0 || topInnerPoints.length === 0) {
             return 0;
@@ -208,15 +310,17 @@ export class DataProcessor {
      * 下唇の厚さを計算
      * 下唇外側と内側の平均距離
      * @param {Array} contourLandmarks - 口の輪郭ランドマーク配列
+     * @param {string|Object|null} landmarkSet - ランドマークセット
      * @returns {number} 下唇の厚さ
      */
-    static calculateLowerLipThickness(contourLandmarks) {
+    static calculateLowerLipThickness(contourLandmarks, landmarkSet = null) {
         if (!this._validateContourLandmarks(contourLandmarks)) {
             return 0;
         }
 
-        const bottomOuterPoints = this._filterLandmarksByIndices(contourLandmarks, [14, 15, 16, 17, 18]);
-        const bottomInnerPoints = this._filterLandmarksByIndices(contourLandmarks, [308, 309, 310, 311, 312]);
+        const groups = this._getGroups(landmarkSet);
+        const bottomOuterPoints = this._filterLandmarksByIndices(contourLandmarks, groups.lowerOuter);
+        const bottomInnerPoints = this._filterLandmarksByIndices(contourLandmarks, groups.lowerInner);
 
         if (bottomOuterPoints.length === 0 || bottomInnerPoints.length === 0) {
             return 0;
@@ -269,15 +373,17 @@ export class DataProcessor {
      * 唇の曲率を計算
      * 上唇と下唇の曲がり具合を測定
      * @param {Array} contourLandmarks - 口の輪郭ランドマーク配列
+     * @param {string|Object|null} landmarkSet - ランドマークセット
      * @returns {Object} 上唇と下唇の曲率 {upper, lower, average}
      */
-    static calculateLipCurvature(contourLandmarks) {
+    static calculateLipCurvature(contourLandmarks, landmarkSet = null) {
         if (!this._validateContourLandmarks(contourLandmarks)) {
             return { upper: 0, lower: 0, average: 0 };
         }
 
-        const topOuterPoints = this._filterLandmarksByIndices(contourLandmarks, [12, 13, 14, 15, 16, 17, 18]);
-        const bottomOuterPoints = this._filterLandmarksByIndices(contourLandmarks, [14, 15, 16, 17, 18]);
+        const groups = this._getGroups(landmarkSet);
+        const topOuterPoints = this._filterLandmarksByIndices(contourLandmarks, groups.upperOuter);
+        const bottomOuterPoints = this._filterLandmarksByIndices(contourLandmarks, groups.lowerOuter);
 
         const calculateCurvature = (points) => {
             if (points.length < 3) return 0;
@@ -340,18 +446,38 @@ export class DataProcessor {
         return Math.min(Math.max(circularity, 0), 1);
     }
 
+    /**
+     * 唇の外縁の線で囲まれた多角形の円形度を計算
+     * 輪郭（contour）には頬・顎等の点も含まれ、その順に結んだ周長では円形度が0に近くなるため、
+     * ランドマークセットに外縁がある場合はこちらを使う
+     * @private
+     * @param {Array|null} allFaceLandmarks - 顔ランドマーク配列（ランドマークセットの outerLip の点を含む）
+     * @param {string|Object|null} landmarkSet - ランドマークセット
+     * @returns {number|null} 円形度（セットに外縁がない、または点が欠けている場合null）
+     */
+    static _calculateLipCircularity(allFaceLandmarks, landmarkSet = null) {
+        const outer = this._getLipLines(allFaceLandmarks, getLandmarkSet(landmarkSet).outerLip);
+        if (!outer) {
+            return null;
+        }
+        const ring = [...outer.upper, ...[...outer.lower].reverse()];
+        return this.calculateCircularity(this.calculatePolygonArea(ring), ring);
+    }
+
     /**
      * 口の中心を計算（補助メソッド）
      * @private
      * @param {Array} contourLandmarks - 口の輪郭ランドマーク配列
+     * @param {string|Object|null} landmarkSet - ランドマークセット
      * @returns {Object|null} 口の中心座標 {x, y, z}
      */
-    static _calculateMouthCenter(contourLandmarks) {
+    static _calculateMouthCenter(contourLandmarks, landmarkSet = null) {
         if (!contourLandmarks || contourLandmarks.length === 0) {
             return null;
         }
 
-        const corners = contourLandmarks.filter(lm => [61, 291].includes(lm.index));
+        const cornerIndices = this._getGroups(landmarkSet).corners;
+        const corners = contourLandmarks.filter(lm => cornerIndices.includes(lm.index));
         if (corners.length === 0) {
             return null;
         }
@@ -362,18 +488,20 @@ export class DataProcessor {
     /**
      * 口角の動きを計測（34点版で追加）
      * @param {Array} contourLandmarks - 口の輪郭ランドマーク配列（34点）
+     * @param {string|Object|null} landmarkSet - ランドマークセット
      * @returns {Object} 口角の動き {left, right, average}
      */
-    static calculateCornerMovement(contourLandmarks) {
+    static calculateCornerMovement(contourLandmarks, landmarkSet = null) {
         if (!this._validateContourLandmarks(contourLandmarks)) {
             return { left: 0, right: 0, average: 0 };
         }
 
         // 左口角とその周辺
-        const leftCorner = contourLandmarks.find(lm => lm.index === 61);
-        const leftCornerAdjacent = contourLandmarks.filter(lm => [39, 40, 41].includes(lm.index));
-        const rightCorner = contourLandmarks.find(lm => lm.index === 291);
-        const rightCornerAdjacent = contourLandmarks.filter(lm => [269, 270, 271].includes(lm.index));
+        const groups = this._getGroups(landmarkSet);
+        const leftCorner = contourLandmarks.find(lm => lm.index === groups.corners[0]);
+        const leftCornerAdjacent = contourLandmarks.filter(lm => groups.leftCornerAdjacent.includes(lm.index));
+        const rightCorner = contourLandmarks.find(lm => lm.index === groups.corners[1]);
+        const rightCornerAdjacent = contourLandmarks.filter(lm => groups.rightCornerAdjacent.includes(lm.index));
 
         const leftMovement = leftCorner && leftCornerAdjacent.length > 0
             ? leftCornerAdjacent.reduce((sum, lm) => sum + this.distance(leftCorner.point, lm.point), 0) / leftCornerAdjacent.length
@@ -393,15 +521,17 @@ export class DataProcessor {
     /**
      * 頬の動きを計測（34点版で追加）
      * @param {Array} contourLandmarks - 口の輪郭ランドマーク配列（34点）
+     * @param {string|Object|null} landmarkSet - ランドマークセット
      * @returns {Object} 頬の動き {left, right, average}
      */
-    static calculateCheekMovement(contourLandmarks) {
+    static calculateCheekMovement(contourLandmarks, landmarkSet = null) {
         if (!this._validateContourLandmarks(contourLandmarks)) {
             return { left: 0, right: 0, average: 0 };
         }
 
-        const leftCheek = contourLandmarks.filter(lm => [116, 117].includes(lm.index));
-        const rightCheek = contourLandmarks.filter(lm => [345, 346].includes(lm.index));
+        const groups = this._getGroups(landmarkSet);
+        const leftCheek = contourLandmarks.filter(lm => groups.leftCheek.includes(lm.index));
+        const rightCheek = contourLandmarks.filter(lm => groups.rightCheek.includes(lm.index));
 
         // 頬の点の平均位置を計算
         const leftAvg = leftCheek.length > 0
@@ -411,7 +541,7 @@ export class DataProcessor {
             ? this.calculateAveragePoint(rightCheek.map(lm => lm.point))
             : null;
 
-        const mouthCenter = this._calculateMouthCenter(contourLandmarks);
+        const mouthCenter = this._calculateMouthCenter(contourLandmarks, landmarkSet);
         
         const leftMovement = leftAvg && mouthCenter
             ? this.distance(leftAvg, mouthCenter)
@@ -430,21 +560,23 @@ export class DataProcessor {
     /**
      * 顎の動きを計測（34点版で追加）
      * @param {Array} contourLandmarks - 口の輪郭ランドマーク配列（34点）
+     * @param {string|Object|null} landmarkSet - ランドマークセット
      * @returns {number} 顎の動き（口の中心からの距離）
      */
-    static calculateJawMovement(contourLandmarks) {
+    static calculateJawMovement(contourLandmarks, landmarkSet = null) {
         if (!this._validateContourLandmarks(contourLandmarks)) {
             return 0;
         }
 
-        const jawPoints = contourLandmarks.filter(lm => [175, 176, 172, 397].includes(lm.index));
+        const jawIndices = this._getGroups(landmarkSet).jaw;
+        const jawPoints = contourLandmarks.filter(lm => jawIndices.includes(lm.index));
         
         if (jawPoints.length === 0) {
             return 0;
         }
 
         const jawAvg = this.calculateAveragePoint(jawPoints.map(lm => lm.point));
-        const mouthCenter = this._calculateMouthCenter(contourLandmarks);
+        const mouthCenter = this._calculateMouthCenter(contourLandmarks, landmarkSet);
 
         return jawAvg && mouthCenter
             ? this.distance(jawAvg, mouthCenter)
@@ -492,15 +624,17 @@ export class DataProcessor {
     /**
      * 口の左右対称性を計算
      * @param {Array} contourLandmarks - 口の輪郭ランドマーク配列
+     * @param {string|Object|null} landmarkSet - ランドマークセット
      * @returns {number} 対称性（0-1、1が完全対称）
      */
-    static calculateMouthSymmetry(contourLandmarks) {
+    static calculateMouthSymmetry(contourLandmarks, landmarkSet = null) {
         if (!this._validateContourLandmarks(contourLandmarks)) {
             return 0;
         }
 
-        const leftCorner = contourLandmarks.find(lm => lm.index === 61);
-        const rightCorner = contourLandmarks.find(lm => lm.index === 291);
+        const corners = this._getGroups(landmarkSet).corners;
+        const leftCorner = contourLandmarks.find(lm => lm.index === corners[0]);
+        const rightCorner = contourLandmarks.find(lm => lm.index === corners[1]);
         if (!leftCorner || !rightCorner) return 0;
 
         const centerX = (leftCorner.point.x + rightCorner.point.x) / 2;
@@ -538,15 +672,17 @@ export class DataProcessor {
     /**
      * 唇の突出度を計算（Z軸方向）
      * @param {Array} allMouthLandmarksExtended - 拡張口ランドマーク配列
+     * @param {string|Object|null} landmarkSet - ランドマークセット
      * @returns {number} 突出度
      */
-    static calculateLipProtrusion(allMouthLandmarksExtended) {
+    static calculateLipProtrusion(allMouthLandmarksExtended, landmarkSet = null) {
         if (!allMouthLandmarksExtended || allMouthLandmarksExtended.length === 0) {
             return 0;
         }
 
+        const outerIndices = this._getGroups(landmarkSet).upperOuter;
         const outerPoints = allMouthLandmarksExtended
-            .filter(lm => [12, 13, 14, 15, 16, 17, 18].includes(lm.index))
+            .filter(lm => outerIndices.includes(lm.index))
             .map(lm => lm.point || lm);
 
         if (outerPoints.length === 0) return 0;
@@ -558,15 +694,17 @@ export class DataProcessor {
     /**
      * 上唇の高さを計算
      * @param {Array} contourLandmarks - 口の輪郭ランドマーク配列
+     * @param {string|Object|null} landmarkSet - ランドマークセット
      * @returns {number} 上唇の高さ
      */
-    static calculateUpperLipHeight(contourLandmarks) {
+    static calculateUpperLipHeight(contourLandmarks, landmarkSet = null) {
         if (!this._validateContourLandmarks(contourLandmarks)) {
             return 0;
         }
 
-        const topOuterPoints = this._filterLandmarksByIndices(contourLandmarks, [12, 13, 14, 15, 16, 17, 18]);
-        const topInnerPoints = this._filterLandmarksByIndices(contourLandmarks, [78, 79, 80, 81, 82]);
+        const groups = this._getGroups(landmarkSet);
+        const topOuterPoints = this._filterLandmarksByIndices(contourLandmarks, groups.upperOuter);
+        const topInnerPoints = this._filterLandmarksByIndices(contourLandmarks, groups.upperInner);
 
         if (topOuterPoints.length === 0 || topInnerPoints.length === 0) return 0;
 
@@ -579,15 +717,17 @@ export class DataProcessor {
     /**
      * 下唇の高さを計算
      * @param {Array} contourLandmarks - 口の輪郭ランドマーク配列
+     * @param {string|Object|null} landmarkSet - ランドマークセット
      * @returns {number} 下唇の高さ
      */
-    static calculateLowerLipHeight(contourLandmarks) {
+    static calculateLowerLipHeight(contourLandmarks, landmarkSet = null) {
         if (!this._validateContourLandmarks(contourLandmarks)) {
             return 0;
         }
 
-        const bottomOuterPoints = this._filterLandmarksByIndices(contourLandmarks, [14, 15, 16, 17, 18]);
-        const bottomInnerPoints = this._filterLandmarksByIndices(contourLandmarks, [308, 309, 310, 311, 312]);
+        const groups = this._getGroups(landmarkSet);
+        const bottomOuterPoints = this._filterLandmarksByIndices(contourLandmarks, groups.lowerOuter);
+        const bottomInnerPoints = this._filterLandmarksByIndices(contourLandmarks, groups.lowerInner);
 
         if (bottomOuterPoints.length === 0 || bottomInnerPoints.length === 0) return 0;
 
@@ -617,24 +757,125 @@ export class DataProcessor {
     }
 
     /**
-     * DEFAULT_LANDMARKSから計測値を計算
+     * 多角形の面積を計算（x-y 平面、頂点は輪郭に沿った順）
+     * @param {Array} points - 頂点の配列 [{x, y}, ...]
+     * @returns {number} 面積
+     */
+    static calculatePolygonArea(points) {
+        if (!points || points.length < 3) {
+            return 0;
+        }
+        let sum = 0;
+        for (let i = 0; i < points.length; i++) {
+            const current = points[i];
+            const next = points[(i + 1) % points.length];
+            sum += current.x * next.y - next.x * current.y;
+        }
+        return Math.abs(sum) / 2;
+    }
+
+    /**
+     * 唇の内縁から計測値を計算
+     * 唇の厚さを含む外側の点ではなく唇の間の隙間を測るため、唇の厚い人が口を閉じていても開口量が0に近くなる
+     * @param {Array} allFaceLandmarks - 顔ランドマーク配列（ランドマークセットの innerLip / outerLip の点を含む）
+     * @param {string|Object|null} landmarkSet - ランドマークセット（省略時は contour-34）
+     * @returns {Object} {innerArea: 内縁の開口面積, innerOpenness: 内縁の高さの最大値,
+     *   innerHeightProfile: 内縁の高さ（INNER_LIP_CONFIG.profileColumns の位置ごと）, innerToOuterAreaRatio: 内縁と外縁の面積比}
+     *   （セットに内縁がない、または点が欠けている場合は各値がnull）
+     */
+    static calculateInnerLipMetrics(allFaceLandmarks, landmarkSet = null) {
+        const set = getLandmarkSet(landmarkSet);
+        const result = { innerArea: null, innerOpenness: null, innerHeightProfile: null, innerToOuterAreaRatio: null };
+        const inner = this._getLipLines(allFaceLandmarks, set.innerLip);
+        if (!inner) {
+            return result;
+        }
+
+        result.innerArea = this.calculatePolygonArea([...inner.upper, ...[...inner.lower].reverse()]);
+
+        // 口角を両端に加えた下唇の線と上唇の線の縦の差を、口角間を等分した位置で測る
+        const leftCorner = inner.upper[0];
+        const rightCorner = inner.upper[inner.upper.length - 1];
+        const lowerLine = [leftCorner, ...inner.lower, rightCorner];
+        result.innerHeightProfile = {};
+        Object.entries(INNER_LIP_CONFIG.profileColumns).forEach(([key, ratio]) => {
+            const x = leftCorner.x + (rightCorner.x - leftCorner.x) * ratio;
+            const height = this._interpolateLineY(lowerLine, x) - this._interpolateLineY(inner.upper, x);
+            result.innerHeightProfile[key] = Math.max(0, height);
+        });
+        result.innerOpenness = Math.max(...Object.values(result.innerHeightProfile));
+
+        const outer = this._getLipLines(allFaceLandmarks, set.outerLip);
+        if (outer) {
+            const outerArea = this.calculatePolygonArea([...outer.upper, ...[...outer.lower].reverse()]);
+            result.innerToOuterAreaRatio = outerArea > 0 ? Math.min(result.innerArea / outerArea, 1) : 0;
+        }
+        return result;
+    }
+
+    /**
+     * 唇の線 {upper, lower} の点を取得
+     * @private
+     * @param {Array} landmarks - インデックス付きランドマーク配列
+     * @param {Object|null} lip - ランドマークセットの innerLip / outerLip
+     * @returns {Object|null} {upper: 点の配列, lower: 点の配列}（点が欠けている場合null）
+     */
+    static _getLipLines(landmarks, lip) {
+        if (!lip || !landmarks || landmarks.length === 0) {
+            return null;
+        }
+        const byIndex = new Map(landmarks.map(lm => [lm.index, lm.point || lm]));
+        const upper = lip.upper.map(index => byIndex.get(index));
+        const lower = lip.lower.map(index => byIndex.get(index));
+        if (upper.some(point => !point) || lower.some(point => !point)) {
+            return null;
+        }
+        return { upper, lower };
+    }
+
+    /**
+     * 折れ線上の x 座標に対応する y 座標を線形補間（範囲外の場合は近い端の点の y）
+     * @private
+     * @param {Array} line - 左から右の順の点の配列
+     * @param {number} x - x 座標
+     * @returns {number} y 座標
+     */
+    static _interpolateLineY(line, x) {
+        for (let i = 0; i < line.length - 1; i++) {
+            const start = line[i];
+            const end = line[i + 1];
+            const minX = Math.min(start.x, end.x);
+            const maxX = Math.max(start.x, end.x);
+            if (x >= minX && x <= maxX) {
+                const span = end.x - start.x;
+                return span === 0 ? (start.y + end.y) / 2 : start.y + (end.y - start.y) * (x - start.x) / span;
+            }
+        }
+        const first = line[0];
+        const last = line[line.length - 1];
+        return Math.abs(x - first.x) <= Math.abs(x - last.x) ? first.y : last.y;
+    }
+
+    /**
+     * ランドマークセット（DEFAULT_LANDMARKS 等）の点から計測値を計算
      * @param {Object} mouthLandmarks - 口ランドマーク
-     * @param {Array} contourLandmarks - 口の輪郭ランドマーク配列（DEFAULT_LANDMARKSから抽出）
-     * @param {Array} allMouthLandmarksExtended - 拡張口ランドマーク配列（DEFAULT_LANDMARKSから抽出）
-     * @param {Array} allFaceLandmarks - 顔ランドマーク配列（DEFAULT_LANDMARKSから抽出）
+     * @param {Array} contourLandmarks - 口の輪郭ランドマーク配列（ランドマークセットから抽出）
+     * @param {Array} allMouthLandmarksExtended - 拡張口ランドマーク配列（ランドマークセットから抽出）
+     * @param {Array} allFaceLandmarks - 顔ランドマーク配列（ランドマークセットから抽出）
+     * @param {string|Object|null} landmarkSet - ランドマークセット（省略時は contour-34）
      * @returns {Object} 計測値（拡張特徴量を含む）
      */
-    static calculateMetricsFromDefaultLandmarks(mouthLandmarks, contourLandmarks = null, allMouthLandmarksExtended = null, allFaceLandmarks = null) {
-        const baseMetrics = this.calculateAllMetrics(mouthLandmarks, contourLandmarks, allMouthLandmarksExtended, allFaceLandmarks, false);
+    static calculateMetricsFromDefaultLandmarks(mouthLandmarks, contourLandmarks = null, allMouthLandmarksExtended = null, allFaceLandmarks = null, landmarkSet = null) {
+        const baseMetrics = this.calculateAllMetrics(mouthLandmarks, contourLandmarks, allMouthLandmarksExtended, allFaceLandmarks, false, landmarkSet);
 
         if (contourLandmarks && contourLandmarks.length > 0) {
-            baseMetrics.cornerMovement = this.calculateCornerMovement(contourLandmarks);
-            baseMetrics.cheekMovement = this.calculateCheekMovement(contourLandmarks);
-            baseMetrics.jawMovement = this.calculateJawMovement(contourLandmarks);
+            baseMetrics.cornerMovement = this.calculateCornerMovement(contourLandmarks, landmarkSet);
+            baseMetrics.cheekMovement = this.calculateCheekMovement(contourLandmarks, landmarkSet);
+            baseMetrics.jawMovement = this.calculateJawMovement(contourLandmarks, landmarkSet);
             baseMetrics.ellipticity = this.calculateMouthEllipticity(contourLandmarks);
-            baseMetrics.symmetry = this.calculateMouthSymmetry(contourLandmarks);
-            baseMetrics.upperLipHeight = this.calculateUpperLipHeight(contourLandmarks);
-            baseMetrics.lowerLipHeight = this.calculateLowerLipHeight(contourLandmarks);
+            baseMetrics.symmetry = this.calculateMouthSymmetry(contourLandmarks, landmarkSet);
+            baseMetrics.upperLipHeight = this.calculateUpperLipHeight(contourLandmarks, landmarkSet);
+            baseMetrics.lowerLipHeight = this.calculateLowerLipHeight(contourLandmarks, landmarkSet);
             baseMetrics.openingShape = this.calculateMouthOpeningShape(contourLandmarks, baseMetrics.area);
         } else {
             baseMetrics.cornerMovement = { left: 0, right: 0, average: 0 };
@@ -648,27 +889,64 @@ export class DataProcessor {
         }
 
         if (allMouthLandmarksExtended && allMouthLandmarksExtended.length > 0) {
-            baseMetrics.lipProtrusion = this.calculateLipProtrusion(allMouthLandmarksExtended);
+            baseMetrics.lipProtrusion = this.calculateLipProtrusion(allMouthLandmarksExtended, landmarkSet);
         } else {
             baseMetrics.lipProtrusion = 0;
         }
 
+        Object.assign(baseMetrics, this.calculateInnerLipMetrics(allFaceLandmarks, landmarkSet));
+
         const scale = this.calculateFaceScale(allFaceLandmarks);
         return this._applyScaleNormalization(baseMetrics, scale);
     }
 
+    /**
+     * 頭部の姿勢を補正して計測値を計算
+     * 全てのランドマークを頭部の座標系（HeadPoseEstimator）に変換してから calculateMetricsFromDefaultLandmarks で計算するため、
+     * 頭の向きや傾きが変わっても口の形状が同じであれば同じ計測値になる。姿勢を推定できない場合は画像上の座標のまま計算する
+     * @param {Object} mouthLandmarks - 口ランドマーク
+     * @param {Array} contourLandmarks - 口の輪郭ランドマーク配列
+     * @param {Array} allMouthLandmarksExtended - 拡張口ランドマーク配列
+     * @param {Array} allFaceLandmarks - 顔ランドマーク配列（姿勢の推定に使用）
+     * @param {string|Object|null} landmarkSet - ランドマークセット（省略時は contour-34）
+     * @param {number} aspectRatio - 画像の縦横比（幅 / 高さ、デフォルト: 1）
+     * @returns {Object} {metrics, headPose}（headPose は {yaw, pitch, roll}（度）、推定できない場合null）
+     */
+    static calculatePoseCompensatedMetrics(mouthLandmarks, contourLandmarks = null, allMouthLandmarksExtended = null, allFaceLandmarks = null, landmarkSet = null, aspectRatio = 1) {
+        const pose = HeadPoseEstimator.estimate(allFaceLandmarks, aspectRatio);
+        if (!pose) {
+            return {
+                metrics: this.calculateMetricsFromDefaultLandmarks(mouthLandmarks, contourLandmarks, allMouthLandmarksExtended, allFaceLandmarks, landmarkSet),
+                headPose: null
+            };
+        }
+
+        const metrics = this.calculateMetricsFromDefaultLandmarks(
+            HeadPoseEstimator.alignLandmarkObject(mouthLandmarks, pose),
+            HeadPoseEstimator.alignLandmarkList(contourLandmarks, pose),
+            HeadPoseEstimator.alignLandmarkList(allMouthLandmarksExtended, pose),
+            HeadPoseEstimator.alignLandmarkList(allFaceLandmarks, pose),
+            landmarkSet
+        );
+        return {
+            metrics,
+            headPose: { yaw: pose.yaw, pitch: pose.pitch, roll: pose.roll }
+        };
+    }
+
     /**
      * ランドマークデータから全計測値を計算
      * @param {Object} mouthLandmarks - 口ランドマーク
      * @param {Array} contourLandmarks - 口の輪郭ランドマーク（オプション、より正確な計測に使用）
      * @param {Array} allMouthLandmarksExtended - 拡張口ランドマーク配列（オプション、lipProtrusion計算用）
+     * @param {string|Object|null} landmarkSet - ランドマークセット（省略時は contour-34）
      * @returns {Object} 計測値
      */
-    static calculateAllMetrics(mouthLandmarks, contourLandmarks = null, allMouthLandmarksExtended = null, allFaceLandmarks = null, applyNormalization = true) {
+    static calculateAllMetrics(mouthLandmarks, contourLandmarks = null, allMouthLandmarksExtended = null, allFaceLandmarks = null, applyNormalization = true, landmarkSet = null) {
         let metrics;
 
         if (contourLandmarks && contourLandmarks.length > 0) {
-            metrics = this.calculateMetricsFromContour(contourLandmarks, mouthLandmarks);
+            metrics = this.calculateMetricsFromContour(contourLandmarks, mouthLandmarks, landmarkSet);
         } else {
             metrics = {
                 openness: this.calculateOpenness(mouthLandmarks),
@@ -679,11 +957,12 @@ export class DataProcessor {
         }
 
         if (contourLandmarks && contourLandmarks.length > 0) {
-            metrics.upperLipThickness = this.calculateUpperLipThickness(contourLandmarks);
-            metrics.lowerLipThickness = this.calculateLowerLipThickness(contourLandmarks);
+            metrics.upperLipThickness = this.calculateUpperLipThickness(contourLandmarks, landmarkSet);
+            metrics.lowerLipThickness = this.calculateLowerLipThickness(contourLandmarks, landmarkSet);
             metrics.mouthCornerAngle = this.calculateMouthCornerAngle(mouthLandmarks, contourLandmarks);
-            metrics.lipCurvature = this.calculateLipCurvature(contourLandmarks);
-            metrics.circularity = this.calculateCircularity(metrics.area, contourLandmarks);
+            metrics.lipCurvature = this.calculateLipCurvature(contourLandmarks, landmarkSet);
+            metrics.circularity = this._calculateLipCircularity(allFaceLandmarks, landmarkSet) ??
+                this.calculateCircularity(metrics.area, contourLandmarks);
         } else {
             metrics.upperLipThickness = 0;
             metrics.lowerLipThickness = 0;
@@ -693,7 +972,7 @@ export class DataProcessor {
         }
 
         if (allMouthLandmarksExtended && allMouthLandmarksExtended.length > 0) {
-            metrics.lipProtrusion = this.calculateLipProtrusion(allMouthLandmarksExtended);
+            metrics.lipProtrusion = this.calculateLipProtrusion(allMouthLandmarksExtended, landmarkSet);
         } else {
             metrics.lipProtrusion = 0;
         }
@@ -759,6 +1038,14 @@ export class DataProcessor {
         normalized.upperLipHeight = normalizeDistance(metrics.upperLipHeight);
         normalized.lowerLipHeight = normalizeDistance(metrics.lowerLipHeight);
         normalized.lipProtrusion = normalizeDistance(metrics.lipProtrusion);
+        normalized.innerArea = normalizeArea(metrics.innerArea);
+        normalized.innerOpenness = normalizeDistance(metrics.innerOpenness);
+        if (metrics.innerHeightProfile) {
+            normalized.innerHeightProfile = {};
+            Object.keys(metrics.innerHeightProfile).forEach(key => {
+                normalized.innerHeightProfile[key] = normalizeDistance(metrics.innerHeightProfile[key]);
+            });
+        }
 
         return normalized;
     }
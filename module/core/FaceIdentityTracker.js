@@ -0,0 +1,136 @@
+/**
+ * FaceIdentityTracker - 複数の顔にフレーム間で安定したIDを割り当てるクラス
+ * 各フレームの顔の外接矩形を前フレームまでの顔と IoU（重なりの比率）で対応付けます。
+ * 対応する顔がない矩形には新しいIDを割り当て、一定フレーム数見つからない顔は消失したとみなします
+ */
+
+export class FaceIdentityTracker {
+    /**
+     * @param {Object} options - オプション
+     * @param {number} options.minIoU - 同じ顔とみなす IoU の最小値
+     * @param {number} options.maxMissedFrames - 見つからなくてもIDを保持するフレーム数
+     * @param {Function} options.onFaceLost - 顔が消失した時のコールバック (faceId)
+     */
+    constructor(options = {}) {
+        this.minIoU = typeof options.minIoU === 'number' ? options.minIoU : 0.3;
+        this.maxMissedFrames = typeof options.maxMissedFrames === 'number' ? options.maxMissedFrames : 15;
+        this.onFaceLost = options.onFaceLost || null;
+        this.reset();
+    }
+
+    /**
+     * 1フレーム分の外接矩形にIDを割り当てる
+     * IoU の大きい組から順に対応付ける
+     * @param {Array<Object>} boxes - 外接矩形の配列 [{x, y, width, height}]
+     * @returns {Object} {ids: 矩形と同じ順のIDの配列, lost: このフレームで消失したIDの配列}
+     */
+    update(boxes) {
+        const pairs = [];
+        boxes.forEach((box, boxIndex) => {
+            this.tracks.forEach((track, trackIndex) => {
+                const iou = FaceIdentityTracker.iou(box, track.box);
+                if (iou >= this.minIoU) {
+                    pairs.push({ boxIndex, trackIndex, iou });
+                }
+            });
+        });
+        pairs.sort((a, b) => b.iou - a.iou);
+
+        const ids = new Array(boxes.length).fill(null);
+        const matchedTracks = new Set();
+        pairs.forEach(({ boxIndex, trackIndex }) => {
+            if (ids[boxIndex] !== null || matchedTracks.has(trackIndex)) {
+                return;
+            }
+            const track = this.tracks[trackIndex];
+            track.box = boxes[boxIndex];
+            track.missedFrames = 0;
+            ids[boxIndex] = track.id;
+            matchedTracks.add(trackIndex);
+        });
+
+        const lost = [];
+        this.tracks = this.tracks.filter((track, trackIndex) => {
+            if (matchedTracks.has(trackIndex)) {
+                return true;
+            }
+            track.missedFrames++;
+            if (track.missedFrames > this.maxMissedFrames) {
+                lost.push(track.id);
+                return false;
+            }
+            return true;
+        });
+
+        boxes.forEach((box, boxIndex) => {
+            if (ids[boxIndex] === null) {
+                const id = this.nextId++;
+                this.tracks.push({ id, box, missedFrames: 0 });
+                ids[boxIndex] = id;
+            }
+        });
+
+        if (this.onFaceLost) {
+            lost.forEach(id => this.onFaceLost(id));
+        }
+        return { ids, lost };
+    }
+
+    /**
+     * 保持している顔のIDを取得
+     * @returns {Array<number>} IDの配列
+     */
+    getActiveIds() {
+        return this.tracks.map(track => track.id);
+    }
+
+    /**
+     * 全ての顔を破棄してIDを1から振り直す
+     */
+    reset() {
+        this.tracks = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * ランドマークの外接矩形を計算
+     * @param {Array<Object>} landmarks - ランドマーク配列 [{x, y}]（欠けている点は無視する）
+     * @returns {Object|null} {x, y, width, height}
+     */
+    static computeBoundingBox(landmarks) {
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        (landmarks || []).forEach(point => {
+            if (!point) {
+                return;
+            }
+            minX = Math.min(minX, point.x);
+            minY = Math.min(minY, point.y);
+            maxX = Math.max(maxX, point.x);
+            maxY = Math.max(maxY, point.y);
+        });
+        if (minX === Infinity) {
+            return null;
+        }
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    /**
+     * 2つの矩形の IoU（共通部分の面積 / 和集合の面積）を計算
+     * @param {Object} a - 矩形 {x, y, width, height}
+     * @param {Object} b - 矩形 {x, y, width, height}
+     * @returns {number} IoU (0.0 - 1.0)
+     */
+    static iou(a, b) {
+        if (!a || !b) {
+            return 0;
+        }
+        const overlapWidth = Math.max(0, Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x));
+        const overlapHeight = Math.max(0, Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y));
+        const intersection = overlapWidth * overlapHeight;
+        const union = a.width * a.height + b.width * b.height - intersection;
+        return union > 0 ? intersection / union : 0;
+    }
+}
@@ -1,19 +1,38 @@
 /**
  * FaceMeshHandler - MediaPipe FaceMesh連携クラス
- * FaceMeshの初期化と結果の処理を行います
+ * 従来の MediaPipe FaceMesh（@mediapipe/face_mesh）を使用するランドマークの取得元です
  */
 
-import { FACE_MESH_CONFIG, DEFAULT_LANDMARKS } from '../config/constants.js';
-import { structureMouthLandmarks } from '../utils/MouthLandmarks.js';
+import { FACE_MESH_CONFIG, FACE_MESH_LANDMARK_COUNT } from '../config/constants.js';
+import { LandmarkProvider } from './LandmarkProvider.js';
+import { getLandmarkSet, validateLandmarkSet } from '../utils/LandmarkSets.js';
 import { ErrorHandler } from '../utils/ErrorHandler.js';
 
-// MediaPipe FaceMeshの動的インポート
-let FaceMesh = null;
-
-export class FaceMeshHandler {
-    constructor() {
+export class FaceMeshHandler extends LandmarkProvider {
+    /**
+     * @param {Object} options - オプション
+     * @param {Function} options.FaceMesh - FaceMesh のクラス（デフォルト: グローバルの FaceMesh）
+     * @param {string|Function} options.locateFile - モデル・WASMファイルの配置場所、またはファイル名からURLを返す関数
+     * @param {Object} options.faceMeshOptions - FaceMesh.setOptions に渡す設定（FACE_MESH_CONFIG を上書き）
+     * @param {string|Object} options.landmarkSet - 抽出するランドマークセット（セット名または定義、デフォルト: contour-34）
+     */
+    constructor(options = {}) {
+        super();
+        this.FaceMeshClass = options.FaceMesh || null;
+        this.locateFile = options.locateFile || FACE_MESH_CONFIG.assetPath;
+        this.faceMeshOptions = {
+            maxNumFaces: FACE_MESH_CONFIG.maxNumFaces,
+            refineLandmarks: FACE_MESH_CONFIG.refineLandmarks,
+            minDetectionConfidence: FACE_MESH_CONFIG.minDetectionConfidence,
+            minTrackingConfidence: FACE_MESH_CONFIG.minTrackingConfidence,
+            ...(options.faceMeshOptions || {})
+        };
+        // 虹彩の点を含むセットは refineLandmarks が有効な場合のみ使用できる
+        this.landmarkSet = validateLandmarkSet(
+            getLandmarkSet(options.landmarkSet),
+            this.faceMeshOptions.refineLandmarks ? FACE_MESH_LANDMARK_COUNT.refined : FACE_MESH_LANDMARK_COUNT.base
+        );
         this.faceMesh = null;
-        this.onResultsCallback = null;
     }
 
     /**
@@ -24,32 +43,27 @@ export class FaceMeshHandler {
     async initialize(videoElement) {
         return new Promise((resolve, reject) => {
             try {
-                const FaceMeshClass = window.FaceMesh;
+                // Web Worker 内では window がないため globalThis から参照する
+                const FaceMeshClass = this.FaceMeshClass || globalThis.FaceMesh || null;
 
                 if (!FaceMeshClass) {
                     reject(new Error('MediaPipe FaceMeshが読み込まれていません。npmパッケージがインストールされているか確認してください。'));
                     return;
                 }
 
+                const locateFile = this.locateFile;
                 this.faceMesh = new FaceMeshClass({
-                    locateFile: (file) => {
-                        return `/node_modules/@mediapipe/face_mesh/${file}`;
-                    }
+                    locateFile: typeof locateFile === 'function'
+                        ? locateFile
+                        : (file) => `${locateFile.replace(/\/?$/, '/')}${file}`
                 });
 
                 // 設定を適用
-                this.faceMesh.setOptions({
-                    maxNumFaces: FACE_MESH_CONFIG.maxNumFaces,
-                    refineLandmarks: FACE_MESH_CONFIG.refineLandmarks,
-                    minDetectionConfidence: FACE_MESH_CONFIG.minDetectionConfidence,
-                    minTrackingConfidence: FACE_MESH_CONFIG.minTrackingConfidence
-                });
+                this.faceMesh.setOptions(this.faceMeshOptions);
 
                 // 結果受信のコールバック
                 this.faceMesh.onResults((results) => {
-                    if (this.onResultsCallback) {
-                        this.onResultsCallback(results);
-                    }
+                    this._emitResults(results);
                 });
 
                 this.faceMesh.initialize().then(() => {
@@ -65,17 +79,9 @@ export class FaceMeshHandler {
         });
     }
 
-    /**
-     * 結果コールバックを設定
-     * @param {Function} callback - 結果を受け取るコールバック関数
-     */
-    setOnResults(callback) {
-        this.onResultsCallback = callback;
-    }
-
     /**
      * ビデオフレームを処理
-     * @param {HTMLVideoElement} videoElement - ビデオ要素
+     * @param {HTMLVideoElement|ImageBitmap} videoElement - ビデオ要素（Web Worker 内では ImageBitmap）
      */
     async send(videoElement) {
         if (this.faceMesh && videoElement) {
@@ -83,87 +89,59 @@ export class FaceMeshHandler {
         }
     }
 
+    /**
+     * FaceMeshを解放
+     */
+    close() {
+        if (this.faceMesh) {
+            this.faceMesh.close();
+            this.faceMesh = null;
+        }
+    }
+
     /**
      * 口ランドマークを抽出（8点：外側のみ）
      * @param {Object} results - FaceMeshの結果
      * @returns {Object|null} 口ランドマークの構造化データ
      */
     getMouthLandmarks(results) {
-        if (!results || !results.multiFaceLandmarks || results.multiFaceLandmarks.length === 0) {
-            return null;
-        }
-
-        const landmarks = results.multiFaceLandmarks[0];
-        return structureMouthLandmarks(landmarks);
+        return LandmarkProvider.getMouthLandmarks(results, this.landmarkSet);
     }
 
     /**
-     * DEFAULT_LANDMARKSからランドマークを取得
+     * ランドマークセットの点のランドマークを取得
      * @param {Object} results - FaceMeshの結果
-     * @returns {Array|null} DEFAULT_LANDMARKSのランドマーク配列
+     * @returns {Array|null} ランドマーク配列
      */
     getDefaultLandmarks(results) {
-        if (!DEFAULT_LANDMARKS || !Array.isArray(DEFAULT_LANDMARKS) || DEFAULT_LANDMARKS.length === 0) {
-            return null;
-        }
-
-        if (!results || !results.multiFaceLandmarks || results.multiFaceLandmarks.length === 0) {
-            return null;
-        }
-
-        const landmarks = results.multiFaceLandmarks[0];
-
-        const defaultLandmarks = DEFAULT_LANDMARKS
-            .map(index => {
-                if (landmarks[index]) {
-                    return {
-                        index: index,
-                        point: landmarks[index],
-                        x: landmarks[index].x,
-                        y: landmarks[index].y,
-                        z: landmarks[index].z || 0,
-                        visibility: typeof landmarks[index].visibility === 'number' ? landmarks[index].visibility : 1
-                    };
-                }
-                return null;
-            })
-            .filter(item => item !== null);
-
-        return defaultLandmarks.length > 0 ? defaultLandmarks : null;
+        return LandmarkProvider.getDefaultLandmarks(results, this.landmarkSet);
     }
 
     /**
-     * 口の輪郭ランドマークを取得（DEFAULT_LANDMARKSから口周辺のみ抽出）
+     * 口の輪郭ランドマークを取得（ランドマークセットの contour の点）
      * @param {Object} results - FaceMeshの結果
      * @returns {Array|null} 口の輪郭ランドマーク配列
      */
     getMouthContourLandmarks(results) {
-        const defaultLandmarks = this.getDefaultLandmarks(results);
-        if (!defaultLandmarks) {
-            return null;
-        }
-
-        // DEFAULT_LANDMARKSから口周辺のランドマークのみ抽出
-        const mouthIndices = [2, 11, 12, 13, 14, 15, 16, 17, 18, 37, 39, 40, 41, 61, 78, 79, 80, 81, 82, 84, 116, 117, 172, 175, 176, 200, 267, 269, 270, 271, 291, 308, 309, 310, 311, 312, 314, 345, 346, 397];
-        return defaultLandmarks.filter(lm => mouthIndices.includes(lm.index));
+        return LandmarkProvider.getMouthContourLandmarks(results, this.landmarkSet);
     }
 
     /**
-     * 口周辺の全ランドマークを取得（DEFAULT_LANDMARKSから口周辺のみ抽出）
+     * 口周辺の全ランドマークを取得（ランドマークセットの contour の点）
      * @param {Object} results - FaceMeshの結果
      * @returns {Array|null} 口周辺の全ランドマーク配列
      */
     getAllMouthLandmarksExtended(results) {
-        return this.getMouthContourLandmarks(results);
+        return LandmarkProvider.getAllMouthLandmarksExtended(results, this.landmarkSet);
     }
 
     /**
-     * 顔全体のランドマークを取得（DEFAULT_LANDMARKSのみ）
+     * 顔全体のランドマークを取得（ランドマークセットの点のみ）
      * @param {Object} results - FaceMeshの結果
-     * @returns {Array|null} DEFAULT_LANDMARKSのランドマーク配列
+     * @returns {Array|null} ランドマーク配列
      */
     getAllFaceLandmarks(results) {
-        return this.getDefaultLandmarks(results);
+        return LandmarkProvider.getAllFaceLandmarks(results, this.landmarkSet);
     }
 
     /**
@@ -172,9 +150,6 @@ export class FaceMeshHandler {
      * @returns {number} 信頼度 (0.0 - 1.0)
      */
     getConfidence(results) {
-        if (!results || !results.multiFaceLandmarks || results.multiFaceLandmarks.length === 0) {
-            return 0;
-        }
-        return 1.0; // MediaPipeは全体の信頼度を提供
+        return LandmarkProvider.getConfidence(results);
     }
 }
@@ -0,0 +1,309 @@
+/**
+ * GuidedCalibration - 母音ごとのガイド付きキャリブレーション
+ * 閉口・あ・い・う・え・お の順に口の形を指示してサンプルを収集し、
+ * 不安定な区間を除いた上で VowelClassifier の calibrationProfiles（特徴量ごとの mean / sigma）を作成します
+ */
+
+import { CalibrationManager } from './CalibrationManager.js';
+
+export const DEFAULT_CALIBRATION_STEPS = [
+    { id: 'closed', label: '閉口', prompt: '口を軽く閉じたまま静止してください' },
+    { id: 'a', label: 'あ', prompt: '「あ」の口の形を保ってください' },
+    { id: 'i', label: 'い', prompt: '「い」の口の形を保ってください' },
+    { id: 'u', label: 'う', prompt: '「う」の口の形を保ってください' },
+    { id: 'e', label: 'え', prompt: '「え」の口の形を保ってください' },
+    { id: 'o', label: 'お', prompt: '「お」の口の形を保ってください' }
+];
+
+/**
+ * 計測値からプロファイル用の特徴量を計算
+ * VowelClassifier の _getOptimal / _getSigma で参照される特徴名に合わせる
+ * @param {Object} metrics - 計測値
+ * @returns {Object} 特徴量
+ */
+function extractProfileFeatures(metrics) {
+    const width = metrics.width || 0;
+    const upper = metrics.upperLipThickness || 0;
+    const lower = metrics.lowerLipThickness || 0;
+    const thicknessSum = upper + lower;
+
+    return {
+        openness: metrics.openness || 0,
+        width,
+        aspectRatio: metrics.aspectRatio || 0,
+        area: metrics.area || 0,
+        circularity: metrics.circularity || 0,
+        lipProtrusion: metrics.lipProtrusion || 0,
+        mouthCornerAngle: metrics.mouthCornerAngle?.average || 0,
+        lipThicknessRatio: width > 0 ? thicknessSum / width : 0,
+        lipThicknessGap: Math.abs(upper - lower),
+        thicknessRatio: thicknessSum > 0 ? width / thicknessSum : 0
+    };
+}
+
+export class GuidedCalibration {
+    /**
+     * @param {Object} options - オプション
+     * @param {Array<Object>} options.steps - 手順 [{id, label, prompt}]（デフォルト: 閉口 + 5母音）
+     * @param {number} options.prepareDuration - 指示から収集開始までの待機時間（ミリ秒）
+     * @param {number} options.stepDuration - 1手順あたりの収集時間（ミリ秒）
+     * @param {number} options.sampleInterval - サンプリング間隔（ミリ秒）
+     * @param {number} options.minSamples - 1手順で必要な安定サンプル数
+     * @param {number} options.windowSize - 安定性を判定する区間のサンプル数
+     * @param {number} options.stabilityThreshold - 区間内の openness / width の標準偏差の許容値（口の幅に対する比）
+     * @param {number} options.maxRetries - 安定サンプルが不足した場合の再試行回数
+     * @param {number} options.minSigmaRatio - sigma の下限（平均値に対する比）
+     */
+    constructor(options = {}) {
+        this.steps = options.steps || DEFAULT_CALIBRATION_STEPS;
+        this.prepareDuration = typeof options.prepareDuration === 'number' ? options.prepareDuration : 1500;
+        this.stepDuration = options.stepDuration || 2000;
+        this.sampleInterval = options.sampleInterval || 100;
+        this.minSamples = options.minSamples || 10;
+        this.windowSize = options.windowSize || 5;
+        this.stabilityThreshold = options.stabilityThreshold || 0.08;
+        this.maxRetries = typeof options.maxRetries === 'number' ? options.maxRetries : 2;
+        this.minSigmaRatio = typeof options.minSigmaRatio === 'number' ? options.minSigmaRatio : 0.1;
+
+        this.onStepStart = options.onStepStart || null;
+        this.onStepComplete = options.onStepComplete || null;
+        this.onStepRetry = options.onStepRetry || null;
+        this.onProgress = options.onProgress || null;
+        this.onComplete = options.onComplete || null;
+
+        this.isRunning = false;
+        this.isCancelled = false;
+        this.timerId = null;
+        this.pendingReject = null;
+    }
+
+    /**
+     * キャリブレーションを開始
+     * @param {Function} getMetrics - 最新の計測値を返す関数
+     * @returns {Promise<Object>} {calibrationProfiles, baseline, steps}
+     */
+    async start(getMetrics) {
+        if (this.isRunning) {
+            throw new Error('キャリブレーションは既に実行中です');
+        }
+
+        this.isRunning = true;
+        this.isCancelled = false;
+        const stepResults = {};
+        const calibrationProfiles = {};
+        let baseline = null;
+
+        try {
+            for (let index = 0; index < this.steps.length; index++) {
+                const step = this.steps[index];
+                const result = await this._runStep(step, index, getMetrics);
+
+                stepResults[step.id] = {
+                    sampleCount: result.stable.length,
+                    rejectedCount: result.rejectedCount,
+                    attempts: result.attempts
+                };
+                calibrationProfiles[step.id] = this.computeProfile(result.stable);
+
+                if (step.id === 'closed') {
+                    baseline = CalibrationManager.calculateBaseline(
+                        result.stable.map(metrics => CalibrationManager.createSample(metrics))
+                    );
+                }
+
+                if (this.onStepComplete) {
+                    this.onStepComplete(step, calibrationProfiles[step.id], stepResults[step.id]);
+                }
+            }
+        } finally {
+            this.isRunning = false;
+            this._clearTimer();
+        }
+
+        const result = { calibrationProfiles, baseline, steps: stepResults };
+        if (this.onComplete) {
+            this.onComplete(result);
+        }
+        return result;
+    }
+
+    /**
+     * キャリブレーションを中止（実行中の start() は reject される）
+     */
+    cancel() {
+        this.isCancelled = true;
+        this._clearTimer();
+        if (this.pendingReject) {
+            this.pendingReject(new Error('キャリブレーションが中止されました'));
+            this.pendingReject = null;
+        }
+    }
+
+    /**
+     * サンプルから特徴量ごとの mean / sigma を計算
+     * @param {Array<Object>} samples - 計測値の配列
+     * @returns {Object} {featureName: {mean, sigma}}
+     */
+    computeProfile(samples) {
+        const featureSamples = samples.map(extractProfileFeatures);
+        const profile = {};
+        if (featureSamples.length === 0) {
+            return profile;
+        }
+
+        Object.keys(featureSamples[0]).forEach(feature => {
+            const values = featureSamples.map(sample => sample[feature]);
+            const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+            const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length;
+            profile[feature] = {
+                mean,
+                sigma: Math.max(Math.sqrt(variance), Math.abs(mean) * this.minSigmaRatio, 1e-4)
+            };
+        });
+        return profile;
+    }
+
+    /**
+     * サンプルを区間に分け、openness / width の変動が大きい区間を除外
+     * @param {Array<Object>} samples - 計測値の配列
+     * @returns {Object} {stable, rejectedCount}
+     */
+    filterStableSamples(samples) {
+        const stable = [];
+        let rejectedCount = 0;
+
+        for (let start = 0; start < samples.length; start += this.windowSize) {
+            const window = samples.slice(start, start + this.windowSize);
+            if (window.length < Math.min(3, this.windowSize)) {
+                rejectedCount += window.length;
+                continue;
+            }
+
+            const meanWidth = window.reduce((sum, m) => sum + m.width, 0) / window.length;
+            const opennessStd = this._standardDeviation(window.map(m => m.openness));
+            const widthStd = this._standardDeviation(window.map(m => m.width));
+            const isStable = meanWidth > 0 &&
+                opennessStd / meanWidth <= this.stabilityThreshold &&
+                widthStd / meanWidth <= this.stabilityThreshold;
+
+            if (isStable) {
+                stable.push(...window);
+            } else {
+                rejectedCount += window.length;
+            }
+        }
+
+        return { stable, rejectedCount };
+    }
+
+    /**
+     * 1手順を実行（安定サンプルが不足した場合は再試行）
+     * @private
+     */
+    async _runStep(step, index, getMetrics) {
+        let totalRejected = 0;
+
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            if (this.onStepStart) {
+                this.onStepStart(step, index, this.steps.length, attempt);
+            }
+
+            await this._wait(this.prepareDuration);
+            const samples = await this._collectSamples(getMetrics, (stepProgress) => {
+                if (this.onProgress) {
+                    this.onProgress((index + stepProgress) / this.steps.length, step, stepProgress);
+                }
+            });
+
+            const { stable, rejectedCount } = this.filterStableSamples(samples);
+            totalRejected += rejectedCount;
+            if (stable.length >= this.minSamples) {
+                return { stable, rejectedCount: totalRejected, attempts: attempt + 1 };
+            }
+
+            const reason = `安定したサンプルが不足しています: ${stable.length} < ${this.minSamples}`;
+            if (attempt < this.maxRetries && this.onStepRetry) {
+                this.onStepRetry(step, reason, attempt + 1);
+            }
+            if (attempt === this.maxRetries) {
+                throw new Error(`「${step.label || step.id}」のキャリブレーションに失敗しました（${reason}）`);
+            }
+        }
+
+        return { stable: [], rejectedCount: totalRejected, attempts: this.maxRetries + 1 };
+    }
+
+    /**
+     * 一定時間サンプルを収集
+     * @private
+     */
+    _collectSamples(getMetrics, onTick) {
+        return new Promise((resolve, reject) => {
+            const samples = [];
+            const startTime = Date.now();
+            this.pendingReject = reject;
+
+            this.timerId = setInterval(() => {
+                try {
+                    const metrics = getMetrics();
+                    if (metrics && metrics.openness > 0 && metrics.width > 0) {
+                        samples.push({ ...metrics });
+                    }
+
+                    const elapsed = Date.now() - startTime;
+                    onTick(Math.min(elapsed / this.stepDuration, 1.0));
+
+                    if (elapsed >= this.stepDuration) {
+                        this._clearTimer();
+                        this.pendingReject = null;
+                        resolve(samples);
+                    }
+                } catch (error) {
+                    this._clearTimer();
+                    this.pendingReject = null;
+                    reject(error);
+                }
+            }, this.sampleInterval);
+        });
+    }
+
+    /**
+     * 指定時間待機（中止された場合は reject）
+     * @private
+     */
+    _wait(duration) {
+        return new Promise((resolve, reject) => {
+            if (this.isCancelled) {
+                reject(new Error('キャリブレーションが中止されました'));
+                return;
+            }
+            this.pendingReject = reject;
+            this.timerId = setTimeout(() => {
+                this.timerId = null;
+                this.pendingReject = null;
+                resolve();
+            }, duration);
+        });
+    }
+
+    /**
+     * タイマーを解除
+     * @private
+     */
+    _clearTimer() {
+        if (this.timerId !== null) {
+            clearInterval(this.timerId);
+            clearTimeout(this.timerId);
+            this.timerId = null;
+        }
+    }
+
+    /**
+     * 標準偏差を計算
+     * @private
+     */
+    _standardDeviation(values) {
+        const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+        return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length);
+    }
+}
@@ -0,0 +1,196 @@
+/**
+ * HeadPoseEstimator - 顔ランドマークから頭部の姿勢を推定するクラス
+ * 両目尻（33, 263）と顎（152）から頭部に固定した座標系を求め、
+ * ヨー（左右の向き）・ピッチ（上下の向き）・ロール（傾き）を度で返します。
+ * ランドマークをこの座標系に変換すると、頭の向きによらない口の形状を計測できます。
+ * 正規化座標は x を画像の幅、y を画像の高さで割った値のため、画像の縦横比（幅 / 高さ）で y を幅の尺度に揃えてから計算します
+ */
+
+import { HEAD_POSE_CONFIG } from '../config/constants.js';
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+export class HeadPoseEstimator {
+    /**
+     * 顔ランドマークから頭部の姿勢を推定
+     * 座標軸は x: 画像上の左目尻→右目尻、y: 両目尻の中点→顎（x に直交化）、z: x × y（カメラから遠ざかる向き）
+     * @param {Array|null} allFaceLandmarks - 顔ランドマーク配列（FaceMeshHandler.getAllFaceLandmarks の結果）
+     * @param {number} aspectRatio - 画像の縦横比（幅 / 高さ、デフォルト: 1）
+     * @returns {Object|null} {yaw, pitch, roll, origin, axes, scale, aspectRatio}（必要な点がない場合null）
+     */
+    static estimate(allFaceLandmarks, aspectRatio = 1) {
+        if (!allFaceLandmarks || allFaceLandmarks.length === 0) {
+            return null;
+        }
+
+        const getPoint = (index) => {
+            const landmark = allFaceLandmarks.find(lm => lm.index === index);
+            return landmark ? HeadPoseEstimator._toIsotropic(landmark.point || landmark, aspectRatio) : null;
+        };
+        const leftEye = getPoint(33);
+        const rightEye = getPoint(263);
+        const chin = getPoint(152);
+        if (!leftEye || !rightEye || !chin) {
+            return null;
+        }
+
+        const origin = {
+            x: (leftEye.x + rightEye.x) / 2,
+            y: (leftEye.y + rightEye.y) / 2,
+            z: ((leftEye.z || 0) + (rightEye.z || 0)) / 2
+        };
+        const eyeVector = HeadPoseEstimator._subtract(rightEye, leftEye);
+        const scale = HeadPoseEstimator._length(eyeVector);
+        const xAxis = HeadPoseEstimator._normalize(eyeVector);
+        if (!xAxis) {
+            return null;
+        }
+        const down = HeadPoseEstimator._subtract(chin, origin);
+        const yAxis = HeadPoseEstimator._normalize(
+            HeadPoseEstimator._subtract(down, HeadPoseEstimator._scaleVector(xAxis, HeadPoseEstimator._dot(down, xAxis)))
+        );
+        if (!yAxis) {
+            return null;
+        }
+        const zAxis = HeadPoseEstimator._cross(xAxis, yAxis);
+
+        // 正面を向いている場合は x 軸・y 軸が画像の横・縦と一致し、z 成分が0になる
+        const clamp = (value) => Math.max(-1, Math.min(1, value));
+        return {
+            yaw: Math.asin(clamp(xAxis.z)) * RAD_TO_DEG,
+            pitch: Math.asin(clamp(yAxis.z)) * RAD_TO_DEG,
+            roll: Math.atan2(xAxis.y, xAxis.x) * RAD_TO_DEG,
+            origin,
+            axes: { x: xAxis, y: yAxis, z: zAxis },
+            scale,
+            aspectRatio
+        };
+    }
+
+    /**
+     * 極端な姿勢かどうか
+     * @param {Object|null} pose - estimate の結果
+     * @param {Object} limits - 許容する角度（度） {yaw, pitch, roll}（デフォルト: HEAD_POSE_CONFIG）
+     * @returns {boolean} いずれかの角度が許容範囲を超える場合true
+     */
+    static isExtremePose(pose, limits = {}) {
+        if (!pose) {
+            return false;
+        }
+        const maxYaw = typeof limits.yaw === 'number' ? limits.yaw : HEAD_POSE_CONFIG.maxYaw;
+        const maxPitch = typeof limits.pitch === 'number' ? limits.pitch : HEAD_POSE_CONFIG.maxPitch;
+        const maxRoll = typeof limits.roll === 'number' ? limits.roll : HEAD_POSE_CONFIG.maxRoll;
+        return Math.abs(pose.yaw) > maxYaw || Math.abs(pose.pitch) > maxPitch || Math.abs(pose.roll) > maxRoll;
+    }
+
+    /**
+     * 座標点を頭部の座標系に変換
+     * 両目尻の中点を (0.5, 0.5, 0) に置き、距離は画像の幅を1とした尺度で表す（計測値の顔スケール正規化はそのまま使える）
+     * @param {Object} point - 座標点 {x, y, z}（画像の正規化座標）
+     * @param {Object} pose - estimate の結果
+     * @returns {Object} 変換後の座標点（visibility は保持する）
+     */
+    static toHeadFrame(point, pose) {
+        const isotropic = HeadPoseEstimator._toIsotropic(point, pose.aspectRatio);
+        const relative = HeadPoseEstimator._subtract(isotropic, pose.origin);
+        const aligned = {
+            x: 0.5 + HeadPoseEstimator._dot(relative, pose.axes.x),
+            y: 0.5 + HeadPoseEstimator._dot(relative, pose.axes.y),
+            z: HeadPoseEstimator._dot(relative, pose.axes.z)
+        };
+        if (typeof point.visibility === 'number') {
+            aligned.visibility = point.visibility;
+        }
+        return aligned;
+    }
+
+    /**
+     * インデックス付きランドマーク配列を頭部の座標系に変換
+     * @param {Array|null} landmarks - ランドマーク配列 [{index, point, x, y, z}, ...]
+     * @param {Object} pose - estimate の結果
+     * @returns {Array|null} 変換後のランドマーク配列
+     */
+    static alignLandmarkList(landmarks, pose) {
+        if (!landmarks) {
+            return landmarks;
+        }
+        return landmarks.map(item => {
+            const point = HeadPoseEstimator.toHeadFrame(item.point || item, pose);
+            return { ...item, point, x: point.x, y: point.y, z: point.z };
+        });
+    }
+
+    /**
+     * 名前付きランドマーク（8点の口ランドマーク等）を頭部の座標系に変換
+     * @param {Object|null} landmarks - {leftEnd: {x, y, z}, ...}
+     * @param {Object} pose - estimate の結果
+     * @returns {Object|null} 変換後のランドマーク
+     */
+    static alignLandmarkObject(landmarks, pose) {
+        if (!landmarks) {
+            return landmarks;
+        }
+        const aligned = {};
+        Object.keys(landmarks).forEach(key => {
+            aligned[key] = landmarks[key] ? HeadPoseEstimator.toHeadFrame(landmarks[key], pose) : landmarks[key];
+        });
+        return aligned;
+    }
+
+    /**
+     * 正規化座標の y を画像の幅の尺度に変換（x・z は FaceMesh と同じく幅の尺度）
+     * @private
+     */
+    static _toIsotropic(point, aspectRatio = 1) {
+        const ratio = aspectRatio > 0 ? aspectRatio : 1;
+        return { x: point.x, y: point.y / ratio, z: point.z || 0 };
+    }
+
+    /**
+     * @private
+     */
+    static _subtract(a, b) {
+        return { x: a.x - b.x, y: a.y - b.y, z: (a.z || 0) - (b.z || 0) };
+    }
+
+    /**
+     * @private
+     */
+    static _dot(a, b) {
+        return a.x * b.x + a.y * b.y + (a.z || 0) * (b.z || 0);
+    }
+
+    /**
+     * @private
+     */
+    static _cross(a, b) {
+        return {
+            x: a.y * b.z - a.z * b.y,
+            y: a.z * b.x - a.x * b.z,
+            z: a.x * b.y - a.y * b.x
+        };
+    }
+
+    /**
+     * @private
+     */
+    static _scaleVector(vector, factor) {
+        return { x: vector.x * factor, y: vector.y * factor, z: vector.z * factor };
+    }
+
+    /**
+     * @private
+     */
+    static _length(vector) {
+        return Math.sqrt(HeadPoseEstimator._dot(vector, vector));
+    }
+
+    /**
+     * 単位ベクトルに変換（長さが0の場合null）
+     * @private
+     */
+    static _normalize(vector) {
+        const length = HeadPoseEstimator._length(vector);
+        return length > 1e-9 ? HeadPoseEstimator._scaleVector(vector, 1 / length) : null;
+    }
+}
@@ -0,0 +1,171 @@
+/**
+ * LandmarkProvider - ランドマーク検出の基底クラス
+ * MouthTracker は以下のメソッドを持つオブジェクトをランドマークの取得元として使用します（このクラスの継承は必須ではありません）
+ *   - initialize(): Promise<void> 初期化
+ *   - setOnResults(callback): 検出結果を受け取るコールバックを設定
+ *   - send(image): Promise<void> 1フレームを処理し、完了までにコールバックを呼び出す
+ *   - close(): リソースの解放（任意）
+ * 検出結果は FaceMesh と同じ形式 {multiFaceLandmarks: [[{x, y, z}, ...]]}（468/478点、画像に対する正規化座標）とします。
+ * 検出結果からの口ランドマーク等の抽出は静的メソッドで行い、全ての取得元で共通です。
+ * 抽出する点はランドマークセット（LandmarkSets、省略時は DEFAULT_LANDMARKS の contour-34）に従います
+ */
+
+import { getLandmarkSet } from '../utils/LandmarkSets.js';
+import { structureMouthLandmarks } from '../utils/MouthLandmarks.js';
+
+export class LandmarkProvider {
+    constructor() {
+        this.onResultsCallback = null;
+    }
+
+    /**
+     * 初期化
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+    }
+
+    /**
+     * 結果コールバックを設定
+     * @param {Function} callback - 結果を受け取るコールバック関数
+     */
+    setOnResults(callback) {
+        this.onResultsCallback = callback;
+    }
+
+    /**
+     * 1フレームを処理
+     * @param {HTMLVideoElement|ImageBitmap|null} image - 入力画像
+     * @returns {Promise<void>}
+     */
+    async send(image) {
+        throw new Error(`${this.constructor.name} に send が実装されていません`);
+    }
+
+    /**
+     * リソースを解放
+     */
+    close() {
+    }
+
+    /**
+     * 検出結果をコールバックに渡す
+     * @protected
+     * @param {Object} results - 検出結果 {multiFaceLandmarks}
+     */
+    _emitResults(results) {
+        if (this.onResultsCallback) {
+            this.onResultsCallback(results);
+        }
+    }
+
+    /**
+     * ランドマークの取得元として使用できるかどうか
+     * @param {Object} provider - 取得元
+     * @returns {boolean} initialize / setOnResults / send を持つ場合true
+     */
+    static isProvider(provider) {
+        return !!provider &&
+            typeof provider.initialize === 'function' &&
+            typeof provider.setOnResults === 'function' &&
+            typeof provider.send === 'function';
+    }
+
+    /**
+     * 口ランドマークを抽出（8点：外側のみ）
+     * @param {Object} results - 検出結果
+     * @param {string|Object|null} landmarkSet - ランドマークセット（セット名または定義）
+     * @returns {Object|null} 口ランドマークの構造化データ
+     */
+    static getMouthLandmarks(results, landmarkSet = null) {
+        if (!results || !results.multiFaceLandmarks || results.multiFaceLandmarks.length === 0) {
+            return null;
+        }
+
+        const landmarks = results.multiFaceLandmarks[0];
+        return structureMouthLandmarks(landmarks, getLandmarkSet(landmarkSet).indices);
+    }
+
+    /**
+     * ランドマークセットの点（DEFAULT_LANDMARKS 等）のランドマークを取得
+     * @param {Object} results - 検出結果
+     * @param {string|Object|null} landmarkSet - ランドマークセット（セット名または定義）
+     * @returns {Array|null} ランドマーク配列（セットの indices の順）
+     */
+    static getDefaultLandmarks(results, landmarkSet = null) {
+        if (!results || !results.multiFaceLandmarks || results.multiFaceLandmarks.length === 0) {
+            return null;
+        }
+
+        const landmarks = results.multiFaceLandmarks[0];
+
+        const defaultLandmarks = getLandmarkSet(landmarkSet).indices
+            .map(index => {
+                if (landmarks[index]) {
+                    return {
+                        index: index,
+                        point: landmarks[index],
+                        x: landmarks[index].x,
+                        y: landmarks[index].y,
+                        z: landmarks[index].z || 0,
+                        visibility: typeof landmarks[index].visibility === 'number' ? landmarks[index].visibility : 1
+                    };
+                }
+                return null;
+            })
+            .filter(item => item !== null);
+
+        return defaultLandmarks.length > 0 ? defaultLandmarks : null;
+    }
+
+    /**
+     * 口の輪郭ランドマークを取得（ランドマークセットの contour の点を contour の順に抽出）
+     * @param {Object} results - 検出結果
+     * @param {string|Object|null} landmarkSet - ランドマークセット（セット名または定義）
+     * @returns {Array|null} 口の輪郭ランドマーク配列
+     */
+    static getMouthContourLandmarks(results, landmarkSet = null) {
+        const set = getLandmarkSet(landmarkSet);
+        const defaultLandmarks = this.getDefaultLandmarks(results, set);
+        if (!defaultLandmarks) {
+            return null;
+        }
+
+        const byIndex = new Map(defaultLandmarks.map(lm => [lm.index, lm]));
+        return set.contour
+            .map(index => byIndex.get(index))
+            .filter(lm => lm !== undefined);
+    }
+
+    /**
+     * 口周辺の全ランドマークを取得（ランドマークセットの contour の点）
+     * @param {Object} results - 検出結果
+     * @param {string|Object|null} landmarkSet - ランドマークセット（セット名または定義）
+     * @returns {Array|null} 口周辺の全ランドマーク配列
+     */
+    static getAllMouthLandmarksExtended(results, landmarkSet = null) {
+        return this.getMouthContourLandmarks(results, landmarkSet);
+    }
+
+    /**
+     * 顔全体のランドマークを取得（ランドマークセットの点のみ）
+     * @param {Object} results - 検出結果
+     * @param {string|Object|null} landmarkSet - ランドマークセット（セット名または定義）
+     * @returns {Array|null} ランドマーク配列
+     */
+    static getAllFaceLandmarks(results, landmarkSet = null) {
+        return this.getDefaultLandmarks(results, landmarkSet);
+    }
+
+    /**
+     * 信頼度を取得
+     * @param {Object} results - 検出結果
+     * @returns {number} 信頼度 (0.0 - 1.0)
+     */
+    static getConfidence(results) {
+        if (!results || !results.multiFaceLandmarks || results.multiFaceLandmarks.length === 0) {
+            return 0;
+        }
+        return 1.0; // MediaPipeは全体の信頼度を提供
+    }
+}
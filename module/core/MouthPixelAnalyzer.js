@@ -0,0 +1,227 @@
+/**
+ * MouthPixelAnalyzer - 口の内側の画素から歯・口腔・舌の見え方を推定するクラス
+ * 唇の内縁（ランドマークセットの innerLip）で囲まれた領域をビデオフレームから切り出し、
+ * 明るく彩度の低い画素（歯）、暗い画素（口腔）、赤みの強い画素（舌）の割合を求めます。
+ * 画像の読み出しは OffscreenCanvas で行うため、DOM を使わず Web Worker 内でも動作します。
+ * 結果は計測値の mouthPixels として出力するのみで、VowelClassifier や ConsonantGestureDetector の判定には使用しません
+ * （照明や肌の色で値が大きく変わるため、判定に使う場合は利用側で閾値を調整してください）
+ */
+
+import { MOUTH_PIXEL_CONFIG } from '../config/constants.js';
+import { getLandmarkSet } from '../utils/LandmarkSets.js';
+
+export class MouthPixelAnalyzer {
+    /**
+     * @param {Object} options - オプション（MOUTH_PIXEL_CONFIG の各値を上書きできる）
+     * @param {string|Object} options.landmarkSet - 唇の内縁を含むランドマークセット（デフォルト: contour-34）
+     * @param {Function} options.createCanvas - (width, height) => キャンバス（デフォルト: OffscreenCanvas を生成）
+     */
+    constructor(options = {}) {
+        const { landmarkSet, createCanvas, ...config } = options;
+        this.config = { ...MOUTH_PIXEL_CONFIG, ...config };
+        this.innerLip = getLandmarkSet(landmarkSet).innerLip;
+        this.createCanvas = createCanvas || ((width, height) => new OffscreenCanvas(width, height));
+        this.canvas = null;
+        this.context = null;
+    }
+
+    /**
+     * 画素の解析に必要な機能があるかどうか
+     * @returns {boolean} OffscreenCanvas が使える場合true
+     */
+    static isSupported() {
+        return typeof OffscreenCanvas !== 'undefined';
+    }
+
+    /**
+     * 口の内側の画素を解析
+     * @param {HTMLVideoElement|ImageBitmap|Object} image - フレームの画像（drawImage に渡せるもの）
+     * @param {Array} faceLandmarks - 顔ランドマーク配列 [{index, x, y}]（画像に対する正規化座標、頭部の姿勢の補正前）
+     * @returns {Object|null} {teethRatio, cavityRatio, tongueRatio, meanLuma, sampledPixels, tongueOut}
+     *   （唇の内縁の点がない場合や画像の大きさが分からない場合null、口が閉じている場合は各割合が0）
+     *   teethRatio・tongueOut 等は参考値として出力するのみで、母音・子音の判定には使用しない
+     */
+    analyze(image, faceLandmarks) {
+        const imageSize = MouthPixelAnalyzer.getImageSize(image);
+        const polygon = imageSize ? this._getInnerLipPolygon(faceLandmarks, imageSize) : null;
+        if (!polygon) {
+            return null;
+        }
+
+        const minX = Math.max(0, Math.floor(Math.min(...polygon.map(p => p.x))));
+        const minY = Math.max(0, Math.floor(Math.min(...polygon.map(p => p.y))));
+        const maxX = Math.min(imageSize.width, Math.ceil(Math.max(...polygon.map(p => p.x))));
+        const maxY = Math.min(imageSize.height, Math.ceil(Math.max(...polygon.map(p => p.y))));
+        const regionWidth = maxX - minX;
+        const regionHeight = maxY - minY;
+        if (regionWidth < 1 || regionHeight < this.config.minApertureHeight) {
+            return MouthPixelAnalyzer._createResult(0, 0, 0, 0, 0, this.config);
+        }
+
+        // 大きな領域は縮小して読み出す（縮小後の1画素は元画像の 1 / scale 画素に相当する）
+        const scale = Math.min(1, this.config.sampleSize / Math.max(regionWidth, regionHeight));
+        const width = Math.max(1, Math.round(regionWidth * scale));
+        const height = Math.max(1, Math.round(regionHeight * scale));
+        const context = this._getContext(width, height);
+        context.clearRect(0, 0, width, height);
+        context.drawImage(image, minX, minY, regionWidth, regionHeight, 0, 0, width, height);
+        const data = context.getImageData(0, 0, width, height).data;
+
+        let teeth = 0;
+        let cavity = 0;
+        let tongue = 0;
+        let lumaSum = 0;
+        let sampled = 0;
+        for (let y = 0; y < height; y++) {
+            const sourceY = minY + (y + 0.5) * regionHeight / height;
+            for (let x = 0; x < width; x++) {
+                const sourceX = minX + (x + 0.5) * regionWidth / width;
+                if (!MouthPixelAnalyzer._isInsidePolygon(sourceX, sourceY, polygon)) {
+                    continue;
+                }
+                const offset = (y * width + x) * 4;
+                const category = this.classifyPixel(data[offset] / 255, data[offset + 1] / 255, data[offset + 2] / 255);
+                if (category === 'teeth') {
+                    teeth++;
+                } else if (category === 'cavity') {
+                    cavity++;
+                } else if (category === 'tongue') {
+                    tongue++;
+                }
+                lumaSum += MouthPixelAnalyzer._luma(data[offset], data[offset + 1], data[offset + 2]) / 255;
+                sampled++;
+            }
+        }
+
+        if (sampled === 0) {
+            return MouthPixelAnalyzer._createResult(0, 0, 0, 0, 0, this.config);
+        }
+        return MouthPixelAnalyzer._createResult(teeth / sampled, cavity / sampled, tongue / sampled, lumaSum / sampled, sampled, this.config);
+    }
+
+    /**
+     * 1画素を分類
+     * @param {number} r - 赤 (0.0 - 1.0)
+     * @param {number} g - 緑 (0.0 - 1.0)
+     * @param {number} b - 青 (0.0 - 1.0)
+     * @returns {string|null} 'teeth' / 'cavity' / 'tongue'（いずれでもない場合null）
+     */
+    classifyPixel(r, g, b) {
+        const luma = MouthPixelAnalyzer._luma(r, g, b);
+        if (luma <= this.config.cavityMaxLuma) {
+            return 'cavity';
+        }
+        const max = Math.max(r, g, b);
+        const saturation = max > 0 ? (max - Math.min(r, g, b)) / max : 0;
+        if (luma >= this.config.teethMinLuma && saturation <= this.config.teethMaxSaturation) {
+            return 'teeth';
+        }
+        if (r >= g * this.config.tongueMinRedGreenRatio && r >= b * this.config.tongueMinRedBlueRatio) {
+            return 'tongue';
+        }
+        return null;
+    }
+
+    /**
+     * キャンバスを解放
+     */
+    dispose() {
+        this.canvas = null;
+        this.context = null;
+    }
+
+    /**
+     * 画像の大きさ（ピクセル）を取得
+     * @param {HTMLVideoElement|ImageBitmap|Object} image - 画像
+     * @returns {Object|null} {width, height}（取得できない場合null）
+     */
+    static getImageSize(image) {
+        if (!image) {
+            return null;
+        }
+        const width = image.videoWidth || image.naturalWidth || image.width || 0;
+        const height = image.videoHeight || image.naturalHeight || image.height || 0;
+        return width > 0 && height > 0 ? { width, height } : null;
+    }
+
+    /**
+     * 唇の内縁の多角形（元画像のピクセル座標）を取得
+     * @private
+     */
+    _getInnerLipPolygon(faceLandmarks, imageSize) {
+        if (!this.innerLip || !faceLandmarks || faceLandmarks.length === 0) {
+            return null;
+        }
+        const byIndex = new Map(faceLandmarks.map(lm => [lm.index, lm.point || lm]));
+        const ring = [...this.innerLip.upper, ...[...this.innerLip.lower].reverse()];
+        const polygon = [];
+        for (const index of ring) {
+            const point = byIndex.get(index);
+            if (!point) {
+                return null;
+            }
+            polygon.push({ x: point.x * imageSize.width, y: point.y * imageSize.height });
+        }
+        return polygon;
+    }
+
+    /**
+     * 指定した大きさの描画コンテキストを取得（キャンバスは再利用する）
+     * @private
+     */
+    _getContext(width, height) {
+        if (!this.canvas) {
+            this.canvas = this.createCanvas(width, height);
+            this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+            if (!this.context) {
+                throw new Error('画素の解析に使用するキャンバスの2Dコンテキストを取得できません');
+            }
+        }
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        return this.context;
+    }
+
+    /**
+     * 解析結果を作成
+     * @private
+     */
+    static _createResult(teethRatio, cavityRatio, tongueRatio, meanLuma, sampledPixels, config) {
+        return {
+            teethRatio,
+            cavityRatio,
+            tongueRatio,
+            meanLuma,
+            sampledPixels,
+            tongueOut: sampledPixels > 0 &&
+                tongueRatio >= config.tongueOutRatio &&
+                cavityRatio <= config.tongueOutMaxCavity
+        };
+    }
+
+    /**
+     * 輝度（ITU-R BT.601）
+     * @private
+     */
+    static _luma(r, g, b) {
+        return 0.299 * r + 0.587 * g + 0.114 * b;
+    }
+
+    /**
+     * 点が多角形の内側にあるかどうか（レイキャスティング法）
+     * @private
+     */
+    static _isInsidePolygon(x, y, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+}
@@ -1,25 +1,73 @@
 /**
  * MouthTracker - メインのトラッキングクラス
- * MediaPipe FaceMeshを使用して口の動きをトラッキングします
+ * ランドマークの取得元（デフォルトは MediaPipe FaceMesh）を使用して口の動きをトラッキングします
  */
 
 import { FaceMeshHandler } from './FaceMeshHandler.js';
+import { LandmarkProvider } from './LandmarkProvider.js';
 import { DataProcessor } from './DataProcessor.js';
+import { HeadPoseEstimator } from './HeadPoseEstimator.js';
+import { MouthPixelAnalyzer } from './MouthPixelAnalyzer.js';
 import { Smoother } from '../utils/Smoother.js';
+import { OneEuroSmoother } from '../utils/OneEuroSmoother.js';
+import { KalmanSmoother } from '../utils/KalmanSmoother.js';
 import { TemporalFeatureExtractor } from './TemporalFeatureExtractor.js';
 import { CalibrationManager } from './CalibrationManager.js';
+import { GuidedCalibration } from './GuidedCalibration.js';
+import { BaselineDriftMonitor } from './BaselineDriftMonitor.js';
+import { SpeechActivityDetector } from './SpeechActivityDetector.js';
+import { TrackingWorkerClient } from './TrackingWorkerClient.js';
+import { FaceIdentityTracker } from './FaceIdentityTracker.js';
+import { VowelClassifier } from './VowelClassifier.js';
+import { FACE_MESH_CONFIG, MOUTH_LANDMARKS } from '../config/constants.js';
+import { getLandmarkSet } from '../utils/LandmarkSets.js';
 import { ErrorHandler } from '../utils/ErrorHandler.js';
 
 export class MouthTracker {
     constructor(videoElement, onDataUpdate, options = {}) {
         this.videoElement = videoElement;
         this.onDataUpdate = onDataUpdate || (() => { });
-        this.faceMeshHandler = new FaceMeshHandler();
-        this.smoother = options.smoother || new Smoother(options.smoothingFactor || 0.65);
+        const faceMeshOptions = options.faceMesh || {};
+        // 同時にトラッキングする顔の数（2以上の場合は顔ごとに状態を持ち、ペイロードに faces を付与する）
+        this.maxNumFaces = options.maxNumFaces || FACE_MESH_CONFIG.maxNumFaces;
+        // 抽出・計測に使うランドマークセット（セット名または定義、デフォルト: contour-34）
+        this.landmarkSet = getLandmarkSet(options.landmarkSet);
+        this.dataProcessor = new DataProcessor({ landmarkSet: this.landmarkSet });
+        // ランドマークの取得元（LandmarkProvider のインターフェースを持つオブジェクト）
+        this.landmarkProvider = options.landmarkProvider || new FaceMeshHandler({
+            ...faceMeshOptions,
+            landmarkSet: this.landmarkSet,
+            faceMeshOptions: { maxNumFaces: this.maxNumFaces, ...(faceMeshOptions.faceMeshOptions || {}) }
+        });
+        if (!LandmarkProvider.isProvider(this.landmarkProvider)) {
+            throw new Error('landmarkProvider には initialize / setOnResults / send を持つオブジェクトを指定してください');
+        }
+        // 後方互換のための別名
+        this.faceMeshHandler = this.landmarkProvider;
+        this.smoother = options.smoother || MouthTracker.createSmoother(options);
+        // 外れ値を棄却する平滑化器では、計測に使う輪郭ランドマークも平滑化する
+        this.smoothContour = typeof options.smoothContour === 'boolean'
+            ? options.smoothContour
+            : !!this.smoother.rejectsOutliers;
         this.temporalExtractor = options.temporalExtractor || new TemporalFeatureExtractor({
             bufferSize: options.temporalBufferSize || 30
         });
+        // 頭部の姿勢を補正して計測値を計算するか（デフォルト: true）と、極端な姿勢とみなす角度 {yaw, pitch, roll}
+        this.poseCompensation = options.poseCompensation !== false;
+        this.poseLimits = options.poseLimits || {};
+        // 入力画像の縦横比（幅 / 高さ）。姿勢の推定に使い、画像から大きさを取得できない場合（画像なしの取得元等）はこの値（省略時は1）を使う
+        this.aspectRatio = options.aspectRatio || null;
+        // 口の内側の画素の解析（options.pixelAnalysis に true または MouthPixelAnalyzer のオプションを指定）
+        // OffscreenCanvas が使えない環境では createCanvas を指定しない限り行わない
+        this.pixelAnalysis = options.pixelAnalysis || false;
+        const pixelOptions = typeof this.pixelAnalysis === 'object' ? this.pixelAnalysis : {};
+        this.pixelAnalyzer = this.pixelAnalysis && (pixelOptions.createCanvas || MouthPixelAnalyzer.isSupported())
+            ? new MouthPixelAnalyzer({ ...pixelOptions, landmarkSet: this.landmarkSet })
+            : null;
+        this.currentImage = null;
         this.isTracking = false;
+        this.isProcessingFile = false;
+        this.currentMediaTime = null;
         this.animationFrameId = null;
         this.lastMetrics = null;
         this.lastNoFaceWarning = null;
@@ -28,22 +76,97 @@ export class MouthTracker {
             lastTime: Date.now(),
             currentFps: 0
         };
+        this.guidedCalibration = null;
         this.calibrationManager = options.calibrationManager || new CalibrationManager({
             duration: options.calibrationDuration || 3000,
             sampleInterval: options.calibrationSampleInterval || 100
         });
+        // 安静区間での基準値の自動更新（options.driftMonitor に true または BaselineDriftMonitor のオプションを指定）
+        // コールバックは options.onBaselineDrift / onBaselineUpdate、または driftMonitor のオプションに指定する（前者を優先）
+        const driftMonitorOptions = typeof options.driftMonitor === 'object' ? options.driftMonitor : {};
+        this.driftMonitor = options.driftMonitor
+            ? new BaselineDriftMonitor({
+                ...driftMonitorOptions,
+                temporalExtractor: this.temporalExtractor,
+                calibrationManager: this.calibrationManager,
+                onBaselineDrift: options.onBaselineDrift || driftMonitorOptions.onBaselineDrift || null,
+                onBaselineUpdate: options.onBaselineUpdate || driftMonitorOptions.onBaselineUpdate || null
+            })
+            : null;
+        // 口の動きからの発話区間の検出（options.speechActivity に true または SpeechActivityDetector のオプションを指定）
+        // ペイロードの speechActivity を VowelClassifier.classify に渡すと、発話中以外の母音の出力を抑制できる
+        // コールバックは options.onSpeechStart / onSpeechEnd、または speechActivity のオプションに指定する（前者を優先）
+        const speechActivityOptions = typeof options.speechActivity === 'object' ? options.speechActivity : {};
+        this.speechActivityDetector = options.speechActivity
+            ? new SpeechActivityDetector({
+                ...speechActivityOptions,
+                temporalExtractor: this.temporalExtractor,
+                onSpeechStart: options.onSpeechStart || speechActivityOptions.onSpeechStart || null,
+                onSpeechEnd: options.onSpeechEnd || speechActivityOptions.onSpeechEnd || null
+            })
+            : null;
+        // Web Worker でのランドマーク検出・計測値の計算（options.useWorker、FaceMesh で1つの顔を追跡する場合のみ）
+        // Worker 内の平滑化器は smoothingMode 等のオプションから生成する（options.smoother のインスタンスは渡せない）
+        this.workerOptions = options.useWorker && !options.landmarkProvider && this.maxNumFaces <= 1
+            ? {
+                workerUrl: options.workerUrl,
+                faceMeshScriptUrl: options.faceMeshScriptUrl,
+                initTimeout: options.workerInitTimeout,
+                trackerOptions: {
+                    smoothingMode: options.smoothingMode,
+                    smoothingFactor: options.smoothingFactor,
+                    oneEuro: options.oneEuro,
+                    kalman: options.kalman,
+                    smoothContour: this.smoothContour,
+                    poseCompensation: this.poseCompensation,
+                    poseLimits: this.poseLimits,
+                    aspectRatio: this.aspectRatio,
+                    landmarkSet: this.landmarkSet,
+                    // createCanvas は Worker に渡せないため除く（Worker 内では OffscreenCanvas を使う）
+                    pixelAnalysis: typeof this.pixelAnalysis === 'object'
+                        ? { ...this.pixelAnalysis, createCanvas: undefined }
+                        : this.pixelAnalysis,
+                    faceMesh: {
+                        locateFile: typeof faceMeshOptions.locateFile === 'string' ? faceMeshOptions.locateFile : undefined,
+                        faceMeshOptions: faceMeshOptions.faceMeshOptions
+                    }
+                }
+            }
+            : null;
+        this.workerClient = null;
+        // 複数の顔のトラッキング（顔IDごとの {tracker, vowelClassifier, lastPayload}）
+        this.faceStates = new Map();
+        this.faceIdentityTracker = this.maxNumFaces > 1
+            ? new FaceIdentityTracker({
+                minIoU: options.faceMinIoU,
+                maxMissedFrames: options.faceMaxMissedFrames,
+                onFaceLost: (faceId) => {
+                    this.faceStates.delete(faceId);
+                    if (options.onFaceLost) {
+                        options.onFaceLost(faceId);
+                    }
+                }
+            })
+            : null;
+        this.faceTrackerOptions = this.maxNumFaces > 1 ? options : null;
     }
 
     /**
      * トラッキングを初期化
+     * options.useWorker の場合は Web Worker を起動する。Worker または OffscreenCanvas が使えない環境では
+     * メインスレッドでの処理に切り替える（getIsUsingWorker で確認できる）。Worker の起動に失敗した場合はエラーになる
      * @returns {Promise<void>}
      */
     async initialize() {
+        if (this.workerOptions && await this._initializeWorker()) {
+            return;
+        }
+
         try {
-            await this.faceMeshHandler.initialize(this.videoElement);
+            await this.landmarkProvider.initialize(this.videoElement);
 
             // 結果コールバックを設定
-            this.faceMeshHandler.setOnResults((results) => {
+            this.landmarkProvider.setOnResults((results) => {
                 this.processResults(results);
             });
         } catch (error) {
@@ -52,130 +175,445 @@ export class MouthTracker {
         }
     }
 
+    /**
+     * Web Worker を起動
+     * @private
+     * @returns {Promise<boolean>} Worker を使用する場合true（Worker を使えない環境の場合false）
+     */
+    async _initializeWorker() {
+        if (!TrackingWorkerClient.isSupported()) {
+            return false;
+        }
+
+        const { trackerOptions, ...clientOptions } = this.workerOptions;
+        const client = new TrackingWorkerClient(clientOptions);
+        try {
+            await client.initialize(trackerOptions);
+            this.workerClient = client;
+            return true;
+        } catch (error) {
+            // 起動の失敗（スクリプトの読み込みエラー等）はメインスレッドでの処理に切り替えずに通知する
+            client.terminate();
+            ErrorHandler.handleError(error, 'MouthTracker Worker初期化');
+            throw error;
+        }
+    }
+
+    /**
+     * Worker を使用しているかどうか
+     * @returns {boolean} Worker で処理している場合true
+     */
+    getIsUsingWorker() {
+        return this.workerClient !== null;
+    }
+
+    /**
+     * 1フレームを処理（Worker 使用時は ImageBitmap を Worker に転送する）
+     * ビデオ要素を使わない取得元（記録済みのランドマーク等）では、画像なしで呼び出してフレームを進められる
+     * @param {HTMLVideoElement|null} image - 入力画像（デフォルト: ビデオ要素）
+     * @returns {Promise<void>}
+     */
+    async processFrame(image = this.videoElement) {
+        if (!this.workerClient) {
+            // 画素の解析のため、結果コールバックの間は入力画像を保持する
+            this.currentImage = image;
+            try {
+                await this.landmarkProvider.send(image);
+            } finally {
+                this.currentImage = null;
+            }
+            return;
+        }
+
+        const timestamp = this._getFrameTimestamp();
+        const mediaTimestamp = this.currentMediaTime;
+        const bitmap = await createImageBitmap(image);
+        const frame = await this.workerClient.process(bitmap, timestamp);
+        this._emitFrame(frame, timestamp, mediaTimestamp);
+    }
+
     /**
      * FaceMeshの結果を処理
      * @param {Object} results - FaceMeshの結果
      */
     processResults(results) {
-        const defaultLandmarks = this.faceMeshHandler.getDefaultLandmarks(results);
-        if (!defaultLandmarks) {
-            const now = Date.now();
-            if (!this.lastNoFaceWarning || now - this.lastNoFaceWarning > 2000) {
-                this.lastNoFaceWarning = now;
-                this.onDataUpdate({
-                    landmarks: null,
-                    metrics: null,
-                    contourLandmarks34: null,
-                    confidence: 0,
-                    fps: this.fpsCounter.currentFps,
-                    faceDetected: false
-                });
-            }
+        const timestamp = this._getFrameTimestamp();
+        const mediaTimestamp = this.currentMediaTime;
+        if (this.faceIdentityTracker) {
+            this._emitMultiFaceFrame(results, timestamp, mediaTimestamp);
             return;
         }
+        this._emitFrame(this.analyzeResults(results, timestamp, this.currentImage), timestamp, mediaTimestamp);
+    }
 
-        const mouthLandmarks = this.faceMeshHandler.getMouthLandmarks(results);
-        if (!mouthLandmarks) {
-            const now = Date.now();
-            if (!this.lastNoFaceWarning || now - this.lastNoFaceWarning > 2000) {
-                this.lastNoFaceWarning = now;
-                this.onDataUpdate({
-                    landmarks: null,
-                    metrics: null,
-                    contourLandmarks34: null,
-                    confidence: 0,
-                    fps: this.fpsCounter.currentFps,
-                    faceDetected: false
-                });
+    /**
+     * 複数の顔を顔ごとの MouthTracker で処理して通知
+     * ペイロードの最上位には最も古いIDの顔（主な顔）の値を入れ、faces に全ての顔の値を入れる
+     * @private
+     * @param {Object} results - FaceMeshの結果
+     * @param {number} timestamp - フレームのタイムスタンプ（ミリ秒）
+     * @param {number|null} mediaTimestamp - メディア上の再生位置（秒、ライブ時はnull）
+     */
+    _emitMultiFaceFrame(results, timestamp, mediaTimestamp) {
+        const faceLandmarks = (results && results.multiFaceLandmarks || []).slice(0, this.maxNumFaces);
+        const boxes = faceLandmarks.map(landmarks => FaceIdentityTracker.computeBoundingBox(landmarks));
+        const { ids } = this.faceIdentityTracker.update(boxes);
+
+        const faces = [];
+        faceLandmarks.forEach((landmarks, index) => {
+            const faceId = ids[index];
+            const state = this.faceStates.get(faceId) || this._createFaceState(faceId);
+            state.lastPayload = null;
+            state.tracker._emitFrame(
+                state.tracker.analyzeResults({ multiFaceLandmarks: [landmarks] }, timestamp, this.currentImage),
+                timestamp,
+                mediaTimestamp
+            );
+
+            const payload = state.lastPayload;
+            if (!payload || !payload.faceDetected) {
+                return;
             }
+            faces.push({
+                ...payload,
+                faceId,
+                boundingBox: boxes[index],
+                vowelResult: payload.metrics
+                    ? state.vowelClassifier.classify(payload.metrics, payload.temporalFeatures, payload.speechActivity)
+                    : null
+            });
+        });
+        faces.sort((a, b) => a.faceId - b.faceId);
+
+        if (faces.length === 0) {
+            this._emitNoFace(timestamp, mediaTimestamp);
             return;
         }
 
         this.lastNoFaceWarning = null;
+        this.lastMetrics = faces[0].metrics;
+        this.updateFPS();
+        this.onDataUpdate({
+            ...faces[0],
+            fps: this.fpsCounter.currentFps,
+            faces,
+            faceCount: faces.length
+        });
+    }
 
-        const contourLandmarks = this.faceMeshHandler.getMouthContourLandmarks(results);
-        const allMouthLandmarksExtended = this.faceMeshHandler.getAllMouthLandmarksExtended(results);
-        const allFaceLandmarks = this.faceMeshHandler.getAllFaceLandmarks(results);
-        const confidence = this.faceMeshHandler.getConfidence(results);
+    /**
+     * 顔IDに対応する MouthTracker を取得
+     * 顔ごとのキャリブレーション（startCalibration / setBaseline 等）はこのトラッカーに対して行う
+     * @param {number} faceId - 顔ID
+     * @returns {MouthTracker|null} 顔ごとのトラッカー（消失した顔の場合null）
+     */
+    getFaceTracker(faceId) {
+        const state = this.faceStates.get(faceId);
+        return state ? state.tracker : null;
+    }
 
-        const smoothedLandmarks = this._smoothMouthLandmarksObject(mouthLandmarks);
-        const smoothedAllMouthLandmarksExtended = this._smoothLandmarks(allMouthLandmarksExtended, 'all_extended_');
-        const smoothedAllFaceLandmarks = this._smoothLandmarks(allFaceLandmarks, 'face_');
+    /**
+     * 顔IDに対応する母音判別器を取得
+     * @param {number} faceId - 顔ID
+     * @returns {VowelClassifier|null} 顔ごとの母音判別器（消失した顔の場合null）
+     */
+    getFaceClassifier(faceId) {
+        const state = this.faceStates.get(faceId);
+        return state ? state.vowelClassifier : null;
+    }
 
-        const qualityTarget = contourLandmarks || smoothedAllMouthLandmarksExtended || smoothedAllFaceLandmarks;
+    /**
+     * 追跡中の顔IDを取得
+     * @returns {Array<number>} 顔IDの配列
+     */
+    getFaceIds() {
+        return Array.from(this.faceStates.keys()).sort((a, b) => a - b);
+    }
+
+    /**
+     * 顔ごとの状態を作成
+     * 平滑化・時系列特徴量・基準値は顔ごとの MouthTracker、母音判別器も顔ごとに独立して持つ
+     * @private
+     * @param {number} faceId - 顔ID
+     * @returns {Object} {tracker, vowelClassifier, lastPayload}
+     */
+    _createFaceState(faceId) {
+        const options = this.faceTrackerOptions;
+        const withFaceId = (callback) => callback ? (event) => callback({ ...event, faceId }) : null;
+        const speechActivityOptions = typeof options.speechActivity === 'object' ? options.speechActivity : {};
+        const driftMonitorOptions = typeof options.driftMonitor === 'object' ? options.driftMonitor : {};
+        const onBaselineUpdate = options.onBaselineUpdate || driftMonitorOptions.onBaselineUpdate;
+        const state = { tracker: null, vowelClassifier: null, lastPayload: null };
+        state.tracker = new MouthTracker(null, (payload) => {
+            state.lastPayload = payload;
+        }, {
+            smoothingMode: options.smoothingMode,
+            smoothingFactor: options.smoothingFactor,
+            oneEuro: options.oneEuro,
+            kalman: options.kalman,
+            smoothContour: this.smoothContour,
+            poseCompensation: this.poseCompensation,
+            poseLimits: this.poseLimits,
+            aspectRatio: this.aspectRatio,
+            landmarkSet: this.landmarkSet,
+            pixelAnalysis: this.pixelAnalysis,
+            temporalBufferSize: options.temporalBufferSize,
+            calibrationDuration: options.calibrationDuration,
+            calibrationSampleInterval: options.calibrationSampleInterval,
+            driftMonitor: options.driftMonitor,
+            onBaselineDrift: withFaceId(options.onBaselineDrift || driftMonitorOptions.onBaselineDrift),
+            speechActivity: options.speechActivity,
+            onSpeechStart: withFaceId(options.onSpeechStart || speechActivityOptions.onSpeechStart),
+            onSpeechEnd: withFaceId(options.onSpeechEnd || speechActivityOptions.onSpeechEnd),
+            onBaselineUpdate: onBaselineUpdate
+                ? (baseline) => onBaselineUpdate(baseline, faceId)
+                : null,
+            // 顔ごとのトラッカーは取得元を使用しない（親の検出結果を受け取る）
+            landmarkProvider: this.landmarkProvider
+        });
+        state.vowelClassifier = options.createVowelClassifier
+            ? options.createVowelClassifier(faceId)
+            : new VowelClassifier(options.vowelClassifierOptions || {});
+        this.faceStates.set(faceId, state);
+        return state;
+    }
+
+    /**
+     * FaceMeshの結果からランドマークを抽出・平滑化し、計測値を計算
+     * 基準値や時系列に依存しない処理のみを行うため、Web Worker 内でも使用される
+     * @param {Object} results - FaceMeshの結果
+     * @param {number} timestamp - フレームのタイムスタンプ（ミリ秒）
+     * @param {HTMLVideoElement|ImageBitmap|null} image - 入力画像（画素の解析を行う場合、画像なしの場合は解析しない）
+     * @returns {Object|null} フレームの解析結果（顔未検出の場合null、品質が低い場合は metrics がnull）
+     */
+    analyzeResults(results, timestamp, image = null) {
+        const defaultLandmarks = LandmarkProvider.getDefaultLandmarks(results, this.landmarkSet);
+        if (!defaultLandmarks) {
+            return null;
+        }
+
+        const mouthLandmarks = LandmarkProvider.getMouthLandmarks(results, this.landmarkSet);
+        if (!mouthLandmarks) {
+            return null;
+        }
+
+        const rawContourLandmarks = LandmarkProvider.getMouthContourLandmarks(results, this.landmarkSet);
+        const allMouthLandmarksExtended = LandmarkProvider.getAllMouthLandmarksExtended(results, this.landmarkSet);
+        const allFaceLandmarks = LandmarkProvider.getAllFaceLandmarks(results, this.landmarkSet);
+        const confidence = LandmarkProvider.getConfidence(results);
+
+        const smoothedLandmarks = this._smoothMouthLandmarksObject(mouthLandmarks, timestamp);
+        const smoothedAllMouthLandmarksExtended = this._smoothLandmarks(allMouthLandmarksExtended, 'all_extended_', timestamp);
+        const smoothedAllFaceLandmarks = this._smoothLandmarks(allFaceLandmarks, 'face_', timestamp);
+        const contourLandmarks = this.smoothContour
+            ? this._smoothLandmarks(rawContourLandmarks, 'contour_', timestamp)
+            : rawContourLandmarks;
+        const smoothing = this._getSmoothingStats();
+
+        const qualityTarget = rawContourLandmarks || smoothedAllMouthLandmarksExtended || smoothedAllFaceLandmarks;
         const quality = this._assessQuality(qualityTarget);
-        if (!quality.passed) {
+
+        const aspectRatio = this._getAspectRatio(image);
+        const pose = HeadPoseEstimator.estimate(smoothedAllFaceLandmarks, aspectRatio);
+        const headPose = pose ? { yaw: pose.yaw, pitch: pose.pitch, roll: pose.roll } : null;
+        // 極端な姿勢では補正しても計測値の信頼性が低いため、品質評価に記録する（計測は行う）
+        quality.extremePose = HeadPoseEstimator.isExtremePose(headPose, this.poseLimits);
+
+        let metrics = null;
+        if (quality.passed) {
+            metrics = this.poseCompensation
+                ? this.dataProcessor.calculatePoseCompensatedMetrics(
+                    smoothedLandmarks,
+                    contourLandmarks,
+                    smoothedAllMouthLandmarksExtended,
+                    smoothedAllFaceLandmarks,
+                    aspectRatio
+                ).metrics
+                : this.dataProcessor.calculateMetrics(
+                    smoothedLandmarks,
+                    contourLandmarks,
+                    smoothedAllMouthLandmarksExtended,
+                    smoothedAllFaceLandmarks
+                );
+            // 画素の解析は画像上の位置が必要なため、姿勢の補正前のランドマークを使う
+            if (this.pixelAnalyzer && image) {
+                metrics.mouthPixels = this.pixelAnalyzer.analyze(image, smoothedAllFaceLandmarks);
+            }
+        }
+
+        return {
+            landmarks: smoothedLandmarks,
+            allMouthLandmarksExtended: smoothedAllMouthLandmarksExtended,
+            allFaceLandmarks: smoothedAllFaceLandmarks,
+            contourLandmarks34: contourLandmarks,
+            confidence,
+            quality,
+            smoothing,
+            headPose,
+            aspectRatio,
+            metrics
+        };
+    }
+
+    /**
+     * 入力画像の縦横比（幅 / 高さ）を取得
+     * @private
+     * @param {HTMLVideoElement|ImageBitmap|null} image - 入力画像
+     * @returns {number} 縦横比（画像の大きさを取得できない場合は options.aspectRatio、省略時は1）
+     */
+    _getAspectRatio(image) {
+        const imageSize = MouthPixelAnalyzer.getImageSize(image);
+        return imageSize ? imageSize.width / imageSize.height : (this.aspectRatio || 1);
+    }
+
+    /**
+     * 解析結果に基準値・時系列の処理を加えて onDataUpdate に通知
+     * @private
+     * @param {Object|null} frame - analyzeResults の結果
+     * @param {number} timestamp - フレームのタイムスタンプ（ミリ秒）
+     * @param {number|null} mediaTimestamp - メディア上の再生位置（秒、ライブ時はnull）
+     */
+    _emitFrame(frame, timestamp, mediaTimestamp) {
+        if (!frame) {
+            this._emitNoFace(timestamp, mediaTimestamp);
+            return;
+        }
+
+        this.lastNoFaceWarning = null;
+
+        const { metrics, quality, smoothing, headPose } = frame;
+        if (!metrics) {
+            // 計測できないフレームが続いた場合は発話の終了とみなせるよう、発話確率0として更新する
+            const speechActivity = this.speechActivityDetector
+                ? this.speechActivityDetector.update(null, timestamp)
+                : null;
             this.updateFPS();
             this.onDataUpdate({
-                landmarks: smoothedLandmarks,
-                allMouthLandmarksExtended: smoothedAllMouthLandmarksExtended,
-                allFaceLandmarks: smoothedAllFaceLandmarks,
+                landmarks: frame.landmarks,
+                allMouthLandmarksExtended: frame.allMouthLandmarksExtended,
+                allFaceLandmarks: frame.allFaceLandmarks,
                 metrics: null,
                 temporalFeatures: null,
-                contourLandmarks34: contourLandmarks,
+                contourLandmarks34: frame.contourLandmarks34,
                 confidence: 0,
                 fps: this.fpsCounter.currentFps,
-                timestamp: Date.now(),
+                timestamp,
+                mediaTimestamp,
                 faceDetected: true,
-                quality
+                quality,
+                smoothing,
+                headPose,
+                aspectRatio: frame.aspectRatio,
+                speechActivity
             });
             return;
         }
 
-        const metrics = DataProcessor.calculateMetricsFromDefaultLandmarks(
-            smoothedLandmarks,
-            contourLandmarks,
-            smoothedAllMouthLandmarksExtended,
-            smoothedAllFaceLandmarks
-        );
-
-        if (this.lastMetrics) {
-            metrics.opennessRate = DataProcessor.calculateChangeRate(
-                metrics.openness,
-                this.lastMetrics.openness
-            );
-            metrics.widthRate = DataProcessor.calculateChangeRate(
-                metrics.width,
-                this.lastMetrics.width
-            );
-        } else {
-            metrics.opennessRate = 0;
-            metrics.widthRate = 0;
-        }
+        DataProcessor.applyChangeRates(metrics, this.lastMetrics);
+        // キャリブレーション完了後は基準値に対する相対値を付与する（VowelClassifier が個人差の補正に使用）
+        metrics.relative = DataProcessor.calculateRelativeMetrics(metrics, this.getBaseline());
         this.lastMetrics = metrics;
 
-        this.temporalExtractor.addFrame(metrics);
+        this.temporalExtractor.addFrame(metrics, timestamp);
         const temporalFeatures = this.temporalExtractor.getAllTemporalFeatures();
+        const baselineState = this.driftMonitor ? this.driftMonitor.update(metrics, timestamp) : null;
+        const speechActivity = this.speechActivityDetector
+            ? this.speechActivityDetector.update(metrics, timestamp)
+            : null;
         this.updateFPS();
 
         this.onDataUpdate({
-            landmarks: smoothedLandmarks,
-            allMouthLandmarksExtended: smoothedAllMouthLandmarksExtended,
-            allFaceLandmarks: smoothedAllFaceLandmarks,
+            landmarks: frame.landmarks,
+            allMouthLandmarksExtended: frame.allMouthLandmarksExtended,
+            allFaceLandmarks: frame.allFaceLandmarks,
             metrics: metrics,
             temporalFeatures: temporalFeatures,
-            contourLandmarks34: contourLandmarks,
-            confidence: confidence,
+            contourLandmarks34: frame.contourLandmarks34,
+            confidence: frame.confidence,
             fps: this.fpsCounter.currentFps,
-            timestamp: Date.now(),
+            timestamp,
+            mediaTimestamp,
             faceDetected: true,
-            quality
+            quality,
+            smoothing,
+            headPose,
+            aspectRatio: frame.aspectRatio,
+            baselineState,
+            speechActivity
         });
     }
 
+    /**
+     * 平滑化器の直近フレームの統計を取得（外れ値を棄却する平滑化器のみ）
+     * @private
+     * @returns {Object|null} {rejectedCount（棄却された点の数）, rejectedIndices, rejectedKeys}
+     */
+    _getSmoothingStats() {
+        if (typeof this.smoother.getFrameStats !== 'function') {
+            return null;
+        }
+        const stats = this.smoother.getFrameStats();
+        return {
+            rejectedCount: stats.rejectedCount,
+            rejectedIndices: stats.rejectedIndices,
+            rejectedKeys: stats.rejectedKeys
+        };
+    }
+
+    /**
+     * 顔未検出を通知（2秒に1回まで）
+     * @private
+     * @param {number} timestamp - フレームのタイムスタンプ（ミリ秒）
+     * @param {number|null} mediaTimestamp - メディア上の再生位置（秒、ライブ時はnull）
+     */
+    _emitNoFace(timestamp, mediaTimestamp) {
+        if (this.speechActivityDetector) {
+            this.speechActivityDetector.update(null, timestamp);
+        }
+        if (this.lastNoFaceWarning !== null && timestamp - this.lastNoFaceWarning <= 2000) {
+            return;
+        }
+        this.lastNoFaceWarning = timestamp;
+        this.onDataUpdate({
+            landmarks: null,
+            metrics: null,
+            contourLandmarks34: null,
+            confidence: 0,
+            fps: this.fpsCounter.currentFps,
+            timestamp,
+            mediaTimestamp,
+            faceDetected: false,
+            ...(this.faceIdentityTracker ? { faces: [], faceCount: 0 } : {})
+        });
+    }
+
+    /**
+     * 現在処理中のフレームのタイムスタンプを取得
+     * 動画ファイル解析中はメディア上の再生位置を使用し、結果を再現可能にする
+     * @private
+     * @returns {number} タイムスタンプ（ミリ秒）
+     */
+    _getFrameTimestamp() {
+        if (this.currentMediaTime !== null) {
+            return Math.round(this.currentMediaTime * 1000);
+        }
+        return Date.now();
+    }
+
     /**
      * ランドマーク配列を平滑化
      * @private
      * @param {Array|null} landmarks - ランドマーク配列
      * @param {string} keyPrefix - 平滑化キーのプレフィックス
+     * @param {number} timestamp - フレームのタイムスタンプ（ミリ秒）
      * @returns {Array|null} 平滑化されたランドマーク配列
      */
-    _smoothLandmarks(landmarks, keyPrefix) {
+    _smoothLandmarks(landmarks, keyPrefix, timestamp) {
         if (!landmarks || landmarks.length === 0) {
             return null;
         }
         return landmarks.map(item => {
-            const smoothedPoint = this.smoother.smooth(`${keyPrefix}${item.index}`, item.point);
+            const smoothedPoint = this.smoother.smooth(`${keyPrefix}${item.index}`, item.point, timestamp, item.index);
             return {
                 ...item,
                 point: smoothedPoint,
@@ -190,19 +628,43 @@ export class MouthTracker {
      * 口ランドマークオブジェクトを平滑化
      * @private
      * @param {Object|null} mouthLandmarks - 口ランドマークオブジェクト
+     * @param {number} timestamp - フレームのタイムスタンプ（ミリ秒）
      * @returns {Object|null} 平滑化された口ランドマークオブジェクト
      */
-    _smoothMouthLandmarksObject(mouthLandmarks) {
+    _smoothMouthLandmarksObject(mouthLandmarks, timestamp) {
         if (!mouthLandmarks) {
             return null;
         }
         const smoothedLandmarks = {};
         Object.keys(mouthLandmarks).forEach(key => {
-            smoothedLandmarks[key] = this.smoother.smooth(key, mouthLandmarks[key]);
+            smoothedLandmarks[key] = this.smoother.smooth(key, mouthLandmarks[key], timestamp, MOUTH_LANDMARKS[key]);
         });
         return smoothedLandmarks;
     }
 
+    /**
+     * オプションに応じた平滑化器を生成
+     * @param {Object} options - MouthTracker のオプション
+     * @param {string} options.smoothingMode - 'ema'（指数移動平均、デフォルト）、'oneEuro' または 'kalman'
+     * @param {number} options.smoothingFactor - EMAの平滑化係数
+     * @param {Object} options.oneEuro - One Euro フィルタのパラメータ {minCutoff, beta, dCutoff}
+     * @param {Object} options.kalman - カルマンフィルタのパラメータ {processNoise, measurementNoise, gate, maxConsecutiveRejections}
+     * @returns {Object} smooth(key, value, timestamp) / reset() / setSmoothingFactor() を持つ平滑化器
+     */
+    static createSmoother(options = {}) {
+        const mode = options.smoothingMode || 'ema';
+        switch (mode) {
+            case 'ema':
+                return new Smoother(options.smoothingFactor || 0.65);
+            case 'oneEuro':
+                return new OneEuroSmoother(options.oneEuro || {});
+            case 'kalman':
+                return new KalmanSmoother(options.kalman || {});
+            default:
+                throw new Error(`未対応の平滑化モードです: ${mode}`);
+        }
+    }
+
     /**
      * FPSを更新
      */
@@ -233,15 +695,13 @@ export class MouthTracker {
             return;
         }
 
+        if (this.isProcessingFile) {
+            ErrorHandler.handleError(new Error('動画ファイルの解析中はトラッキングを開始できません'), 'MouthTracker.start');
+            return;
+        }
+
         this.isTracking = true;
-        this.smoother.reset();
-        this.temporalExtractor.reset();
-        this.lastMetrics = null;
-        this.fpsCounter = {
-            frames: 0,
-            lastTime: Date.now(),
-            currentFps: 0
-        };
+        this._resetTrackingState();
 
         this.trackingLoop();
 
@@ -257,7 +717,7 @@ export class MouthTracker {
 
         try {
             if (this.videoElement.readyState >= 2) { // HAVE_CURRENT_DATA
-                await this.faceMeshHandler.send(this.videoElement);
+                await this.processFrame(this.videoElement);
             }
         } catch (error) {
             ErrorHandler.handleError(error, 'MouthTracker.trackingLoop');
@@ -272,6 +732,8 @@ export class MouthTracker {
      * トラッキングを停止
      */
     stop() {
+        this.isProcessingFile = false;
+
         if (!this.isTracking) {
             return;
         }
@@ -284,12 +746,226 @@ export class MouthTracker {
         }
     }
 
+    /**
+     * 録画済みの動画ファイルを1フレームずつ解析
+     * リアルタイム再生ではなくシークでフレームを進めるため、同じファイルからは同じ結果が得られる。
+     * 各フレームの結果は onDataUpdate に通常と同じ形式で渡され、mediaTimestamp（秒）が付与される。
+     * @param {File|Blob|string} source - 動画ファイル、Blob、またはURL（Blob URLを含む）
+     * @param {Object} options - オプション
+     * @param {number} options.frameRate - 解析するフレームレート（デフォルト: 30）
+     * @param {number} options.startTime - 解析開始位置（秒、デフォルト: 0）
+     * @param {number} options.endTime - 解析終了位置（秒、デフォルト: 動画の長さ）
+     * @param {Function} options.onProgress - 進捗コールバック (progress, frameIndex, frameCount)
+     * @returns {Promise<Object>} 解析結果の概要 {frameCount, duration, frameRate}
+     */
+    async processVideoFile(source, options = {}) {
+        if (this.isProcessingFile) {
+            throw new Error('動画ファイルの解析は既に実行中です');
+        }
+        if (!this.videoElement) {
+            throw new Error('ビデオ要素が設定されていません');
+        }
+
+        this.stop();
+
+        const video = this.videoElement;
+        const frameRate = options.frameRate || 30;
+        const isObjectSource = typeof source !== 'string';
+        const url = isObjectSource ? URL.createObjectURL(source) : source;
+        // 解析後にカメラ映像等の元の入力に戻す
+        const previousSrcObject = video.srcObject;
+        const previousSrc = video.getAttribute('src');
+        const previousMuted = video.muted;
+
+        this.isProcessingFile = true;
+        this._resetTrackingState();
+
+        try {
+            video.pause();
+            video.srcObject = null;
+            video.muted = true;
+            video.src = url;
+            await this._waitForVideoEvent(video, 'loadeddata');
+
+            const duration = await this._resolveVideoDuration(video);
+            const startTime = Math.max(0, options.startTime || 0);
+            const endTime = Math.min(
+                typeof options.endTime === 'number' ? options.endTime : duration,
+                duration
+            );
+            const frameCount = Math.max(0, Math.floor((endTime - startTime) * frameRate) + 1);
+
+            for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+                if (!this.isProcessingFile) {
+                    throw new Error('動画ファイルの解析が中断されました');
+                }
+
+                const mediaTime = Math.min(startTime + frameIndex / frameRate, endTime);
+                video.currentTime = mediaTime;
+                await this._waitForVideoEvent(video, 'seeked');
+
+                this.currentMediaTime = mediaTime;
+                await this.processFrame(video);
+
+                if (options.onProgress) {
+                    options.onProgress((frameIndex + 1) / frameCount, frameIndex, frameCount);
+                }
+            }
+
+            return {
+                frameCount,
+                duration: endTime - startTime,
+                frameRate
+            };
+        } catch (error) {
+            ErrorHandler.handleError(error, 'MouthTracker.processVideoFile');
+            throw error;
+        } finally {
+            this.isProcessingFile = false;
+            this.currentMediaTime = null;
+            this._restoreVideoSource(video, previousSrcObject, previousSrc, previousMuted);
+            if (isObjectSource) {
+                URL.revokeObjectURL(url);
+            }
+        }
+    }
+
+    /**
+     * 動画の長さ（秒）を取得
+     * MediaRecorder で録画した webm 等は読み込み直後の duration が Infinity になるため、
+     * 末尾より後ろにシークして実際の長さを確定させる
+     * @private
+     * @param {HTMLVideoElement} video - 動画を読み込んだビデオ要素
+     * @returns {Promise<number>} 動画の長さ（秒）
+     */
+    async _resolveVideoDuration(video) {
+        if (Number.isFinite(video.duration)) {
+            return video.duration;
+        }
+
+        if (video.duration === Infinity) {
+            video.currentTime = Number.MAX_SAFE_INTEGER;
+            await this._waitForVideoEvent(video, 'seeked');
+            video.currentTime = 0;
+            await this._waitForVideoEvent(video, 'seeked');
+        }
+
+        if (!Number.isFinite(video.duration)) {
+            throw new Error('動画の長さを取得できません');
+        }
+        return video.duration;
+    }
+
+    /**
+     * ビデオ要素の入力を解析前の状態に戻す
+     * @private
+     * @param {HTMLVideoElement} video - ビデオ要素
+     * @param {MediaStream|null} srcObject - 解析前の srcObject
+     * @param {string|null} src - 解析前の src 属性
+     * @param {boolean} muted - 解析前の muted
+     */
+    _restoreVideoSource(video, srcObject, src, muted) {
+        video.pause();
+        if (src !== null) {
+            video.src = src;
+        } else {
+            video.removeAttribute('src');
+        }
+        video.srcObject = srcObject;
+        video.muted = muted;
+        if (srcObject === null && src === null) {
+            video.load();
+        }
+    }
+
+    /**
+     * ビデオ要素のイベントを待機
+     * @private
+     * @param {HTMLVideoElement} video - ビデオ要素
+     * @param {string} eventName - 待機するイベント名
+     * @param {number} timeout - タイムアウト（ミリ秒）
+     * @returns {Promise<void>}
+     */
+    _waitForVideoEvent(video, eventName, timeout = 5000) {
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                clearTimeout(timer);
+                video.removeEventListener(eventName, onEvent);
+                video.removeEventListener('error', onError);
+            };
+            const onEvent = () => {
+                cleanup();
+                resolve();
+            };
+            const onError = () => {
+                cleanup();
+                reject(new Error('動画ファイルの読み込みに失敗しました'));
+            };
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new Error(`動画の${eventName}イベントがタイムアウトしました`));
+            }, timeout);
+
+            video.addEventListener(eventName, onEvent);
+            video.addEventListener('error', onError);
+        });
+    }
+
+    /**
+     * 平滑化・時系列・FPSの状態をリセット
+     * @private
+     */
+    _resetTrackingState() {
+        this.smoother.reset();
+        if (this.workerClient) {
+            this.workerClient.reset();
+        }
+        this.temporalExtractor.reset();
+        if (this.driftMonitor) {
+            this.driftMonitor.reset();
+        }
+        if (this.speechActivityDetector) {
+            this.speechActivityDetector.reset();
+        }
+        if (this.faceIdentityTracker) {
+            this.faceIdentityTracker.reset();
+            this.faceStates.clear();
+        }
+        this.lastMetrics = null;
+        this.lastNoFaceWarning = null;
+        this.fpsCounter = {
+            frames: 0,
+            lastTime: Date.now(),
+            currentFps: 0
+        };
+    }
+
     /**
      * 平滑化係数を設定
      * @param {number} factor - 平滑化係数 (0.0 - 1.0)
      */
     setSmoothingFactor(factor) {
         this.smoother.setSmoothingFactor(factor);
+        if (this.workerClient) {
+            this.workerClient.setSmoothingFactor(factor);
+        }
+    }
+
+    /**
+     * トラッキングを停止し、Web Worker とランドマークの取得元を解放
+     */
+    dispose() {
+        this.stop();
+        if (this.workerClient) {
+            this.workerClient.terminate();
+            this.workerClient = null;
+        }
+        if (typeof this.landmarkProvider.close === 'function') {
+            this.landmarkProvider.close();
+        }
+        if (this.pixelAnalyzer) {
+            this.pixelAnalyzer.dispose();
+        }
     }
 
     /**
@@ -310,11 +986,40 @@ export class MouthTracker {
         });
     }
 
+    /**
+     * 母音ごとのガイド付きキャリブレーションを開始
+     * 完了すると閉口の手順から求めた基準値がこのトラッカーに設定される
+     * @param {Object} options - GuidedCalibration のオプション（手順ごとのコールバック等）
+     * @returns {Promise<Object>} {calibrationProfiles, baseline, steps}
+     */
+    async startGuidedCalibration(options = {}) {
+        this.guidedCalibration = new GuidedCalibration(options);
+        // 母音の口の形を保持している間に安静時の基準値が更新されないようにする
+        if (this.driftMonitor) {
+            this.driftMonitor.pause();
+        }
+        try {
+            const result = await this.guidedCalibration.start(() => this.lastMetrics);
+            if (result.baseline) {
+                this.setBaseline(result.baseline);
+            }
+            return result;
+        } finally {
+            this.guidedCalibration = null;
+            if (this.driftMonitor) {
+                this.driftMonitor.resume();
+            }
+        }
+    }
+
     /**
      * キャリブレーションを停止
      */
     stopCalibration() {
         this.calibrationManager.stopCalibration();
+        if (this.guidedCalibration) {
+            this.guidedCalibration.cancel();
+        }
     }
 
     /**
@@ -338,7 +1043,7 @@ export class MouthTracker {
      * @returns {boolean} キャリブレーション中の場合true
      */
     getIsCalibrating() {
-        return this.calibrationManager.getIsCalibrating();
+        return this.calibrationManager.getIsCalibrating() || !!this.guidedCalibration;
     }
 
     /**
@@ -0,0 +1,191 @@
+/**
+ * PrecomputedLandmarkProvider - 記録済みのランドマークを返す取得元
+ * SessionRecorder のセッション、顔全体のランドマーク（faceLandmarks / multiFaceLandmarks）のフレーム配列、
+ * JSONL のファイル等から読み込んだランドマークを、FaceMesh の検出結果と同じ形式で1フレームずつ返します。
+ * 入力画像が再生位置（currentTime）を持ち、フレームに mediaTimestamp がある場合は再生位置に最も近いフレームを返します
+ */
+
+import { LandmarkProvider } from './LandmarkProvider.js';
+import { parseLandmarkFileContent } from '../utils/SessionFormat.js';
+
+export class PrecomputedLandmarkProvider extends LandmarkProvider {
+    /**
+     * @param {Object} options - オプション
+     * @param {Array} options.frames - フレーム配列
+     * @param {string} options.text - ファイルの内容（セッションドキュメント、フレーム配列のJSON、またはJSONL）
+     * @param {string} options.url - 読み込むファイルのURL（initialize で取得する）
+     * @param {boolean} options.loop - 最後のフレームの後に先頭に戻るか
+     */
+    constructor(options = {}) {
+        super();
+        this.source = options;
+        this.loop = !!options.loop;
+        this.frames = [];
+        this.currentIndex = 0;
+
+        if (options.frames || typeof options.text === 'string') {
+            this.load(options.frames || options.text);
+        }
+    }
+
+    /**
+     * 初期化（url が指定されている場合はファイルを読み込む）
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        if (!this.source.url || this.frames.length > 0) {
+            return;
+        }
+
+        const response = await fetch(this.source.url);
+        if (!response.ok) {
+            throw new Error(`ランドマークファイルの読み込みに失敗しました: ${this.source.url} (${response.status})`);
+        }
+        this.load(await response.text());
+    }
+
+    /**
+     * フレームを読み込む
+     * @param {Array|string} frames - フレーム配列またはファイルの内容
+     */
+    load(frames) {
+        const list = typeof frames === 'string' ? parseLandmarkFileContent(frames) : frames;
+        if (!Array.isArray(list)) {
+            throw new Error('ランドマークのフレームは配列で指定してください');
+        }
+        this.frames = list.map(frame => ({
+            mediaTimestamp: typeof frame?.mediaTimestamp === 'number' ? frame.mediaTimestamp : null,
+            results: PrecomputedLandmarkProvider.toResults(frame)
+        }));
+        this.currentIndex = 0;
+    }
+
+    /**
+     * 次のフレーム（または入力画像の再生位置に対応するフレーム）の結果を返す
+     * 全てのフレームを返し終えた場合は顔未検出の結果を返す（loop の場合は先頭に戻る）
+     * @param {HTMLVideoElement|null} image - 入力画像（currentTime を持つ場合は再生位置で同期する）
+     * @returns {Promise<void>}
+     */
+    async send(image = null) {
+        const index = this._findFrameIndex(image);
+        const frame = index !== null ? this.frames[index] : null;
+        this._emitResults(frame ? frame.results : { multiFaceLandmarks: [] });
+    }
+
+    /**
+     * 先頭のフレームに戻る
+     */
+    reset() {
+        this.currentIndex = 0;
+    }
+
+    /**
+     * フレーム数を取得
+     * @returns {number} フレーム数
+     */
+    getFrameCount() {
+        return this.frames.length;
+    }
+
+    /**
+     * 全てのフレームを返し終えたかどうか
+     * @returns {boolean} 返し終えた場合true（loop の場合は常にfalse）
+     */
+    isFinished() {
+        return !this.loop && this.currentIndex >= this.frames.length;
+    }
+
+    /**
+     * 返すフレームのインデックスを決定
+     * @private
+     */
+    _findFrameIndex(image) {
+        if (this.frames.length === 0) {
+            return null;
+        }
+
+        const mediaTime = image && typeof image.currentTime === 'number' ? image.currentTime : null;
+        if (mediaTime !== null && this.frames[0].mediaTimestamp !== null) {
+            return this._findNearestFrame(mediaTime);
+        }
+
+        if (this.currentIndex >= this.frames.length) {
+            if (!this.loop) {
+                return null;
+            }
+            this.currentIndex = 0;
+        }
+        return this.currentIndex++;
+    }
+
+    /**
+     * 再生位置に最も近いフレームを二分探索で検索（mediaTimestamp の昇順を前提とする）
+     * @private
+     */
+    _findNearestFrame(mediaTime) {
+        let low = 0;
+        let high = this.frames.length - 1;
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            if (this.frames[middle].mediaTimestamp < mediaTime) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        if (low > 0 && Math.abs(this.frames[low - 1].mediaTimestamp - mediaTime) <= Math.abs(this.frames[low].mediaTimestamp - mediaTime)) {
+            low--;
+        }
+        this.currentIndex = low + 1;
+        return low;
+    }
+
+    /**
+     * 記録済みのフレームを検出結果の形式に変換
+     * 顔全体のランドマーク（faceLandmarks / multiFaceLandmarks）はそのまま使用し、
+     * SessionRecorder のフレームは allFaceLandmarks のインデックスの位置に点を配置した配列にする
+     * （複数の顔を記録したフレームは faces の顔ごとに変換する）
+     * @param {Object} frame - フレーム
+     * @returns {Object} 検出結果 {multiFaceLandmarks}
+     */
+    static toResults(frame) {
+        if (!frame) {
+            return { multiFaceLandmarks: [] };
+        }
+        if (Array.isArray(frame.multiFaceLandmarks)) {
+            return { multiFaceLandmarks: frame.multiFaceLandmarks };
+        }
+        if (Array.isArray(frame.faceLandmarks)) {
+            return { multiFaceLandmarks: [frame.faceLandmarks] };
+        }
+        if (Array.isArray(frame.faces)) {
+            return {
+                multiFaceLandmarks: frame.faces
+                    .filter(face => Array.isArray(face.allFaceLandmarks))
+                    .map(face => PrecomputedLandmarkProvider._toFaceLandmarks(face.allFaceLandmarks))
+            };
+        }
+        if (frame.faceDetected === false || !Array.isArray(frame.allFaceLandmarks)) {
+            return { multiFaceLandmarks: [] };
+        }
+        return { multiFaceLandmarks: [PrecomputedLandmarkProvider._toFaceLandmarks(frame.allFaceLandmarks)] };
+    }
+
+    /**
+     * インデックス付きのランドマーク配列を、インデックスの位置に点を配置した配列に変換
+     * @private
+     * @param {Array} allFaceLandmarks - [{index, x, y, z}]
+     * @returns {Array} 顔全体のランドマーク（記録されていない点は空）
+     */
+    static _toFaceLandmarks(allFaceLandmarks) {
+        const landmarks = [];
+        allFaceLandmarks.forEach(lm => {
+            const point = { x: lm.x, y: lm.y, z: lm.z || 0 };
+            if (typeof lm.visibility === 'number') {
+                point.visibility = lm.visibility;
+            }
+            landmarks[lm.index] = point;
+        });
+        return landmarks;
+    }
+}
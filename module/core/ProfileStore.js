@@ -0,0 +1,229 @@
+/**
+ * ProfileStore - ユーザーごとのキャリブレーション結果の保存・読み込み
+ * CalibrationManager の基準値と VowelClassifier の calibrationProfiles を名前付きプロファイルとして保存し、
+ * 再読み込み後や利用者の切り替え時に再キャリブレーションせずに復元できるようにします
+ */
+
+import { PROFILE_CONFIG } from '../config/constants.js';
+import { cloneData } from '../utils/SessionFormat.js';
+import { createDefaultProfileBackend } from '../utils/ProfileStorageBackends.js';
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+import { VOWEL_CLASSIFIER_FORMAT } from './VowelClassifier.js';
+
+/**
+ * 旧形式から1つ新しい形式への移行処理（キーは移行元のバージョン）
+ * バージョン0は format / version を持たない形式（GuidedCalibration の結果をそのまま保存したもの）と、
+ * VowelClassifier.toJSON() の出力をそのまま保存したもの（format が判別器の形式、version は判別器のバージョン）
+ */
+const PROFILE_MIGRATIONS = {
+    0: (data, name) => ({
+        format: PROFILE_CONFIG.format,
+        version: 1,
+        name: data.name || name,
+        createdAt: data.createdAt || Date.now(),
+        updatedAt: data.updatedAt || Date.now(),
+        baseline: data.baseline || null,
+        calibrationProfiles: data.calibrationProfiles || data.thresholds?.calibrationProfiles || {},
+        metadata: data.metadata || {}
+    })
+};
+
+export class ProfileStore {
+    /**
+     * @param {Object} options - オプション
+     * @param {Object} options.backend - 保存先（get / set / delete / keys を持つオブジェクト、デフォルト: 実行環境に応じて自動選択）
+     * @param {Function} options.onChange - 保存・削除時のコールバック (type, name)
+     * @param {Function} options.onError - 一覧の取得で読み込めないプロファイルがあった時のコールバック (error, name)
+     *   （省略時は ErrorHandler で出力する）
+     */
+    constructor(options = {}) {
+        this.backend = options.backend || createDefaultProfileBackend(options);
+        this.onChange = options.onChange || null;
+        this.onError = options.onError || null;
+    }
+
+    /**
+     * プロファイルを保存（同名のプロファイルは上書きされる）
+     * @param {string} name - プロファイル名
+     * @param {Object} data - {baseline, calibrationProfiles, metadata}
+     * @returns {Promise<Object>} 保存したプロファイル
+     */
+    async save(name, data = {}) {
+        ProfileStore._validateName(name);
+
+        const existing = await this.load(name);
+        const now = Date.now();
+        const profile = {
+            format: PROFILE_CONFIG.format,
+            version: PROFILE_CONFIG.version,
+            name,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now,
+            baseline: cloneData(data.baseline),
+            calibrationProfiles: cloneData(data.calibrationProfiles) || {},
+            metadata: cloneData(data.metadata) || {}
+        };
+
+        await this.backend.set(name, profile);
+        if (this.onChange) {
+            this.onChange('save', name);
+        }
+        return profile;
+    }
+
+    /**
+     * トラッカーと判別器の現在のキャリブレーション結果をプロファイルとして保存
+     * @param {string} name - プロファイル名
+     * @param {Object} targets - {tracker, classifier, metadata}（tracker は MouthTracker または CalibrationManager）
+     * @returns {Promise<Object>} 保存したプロファイル
+     */
+    async saveFrom(name, targets = {}) {
+        const { tracker, classifier, metadata } = targets;
+        return this.save(name, {
+            baseline: tracker ? tracker.getBaseline() : (classifier ? classifier.baseline : null),
+            calibrationProfiles: classifier ? classifier.calibrationProfiles : {},
+            metadata
+        });
+    }
+
+    /**
+     * プロファイルを読み込む（旧形式の場合は現在の形式に移行して返す）
+     * @param {string} name - プロファイル名
+     * @returns {Promise<Object|null>} プロファイル（存在しない場合はnull）
+     */
+    async load(name) {
+        ProfileStore._validateName(name);
+
+        const stored = await this.backend.get(name);
+        if (!stored) {
+            return null;
+        }
+
+        const profile = ProfileStore.migrate(stored, name);
+        if (profile !== stored) {
+            // 移行結果を書き戻し、次回以降は移行しない
+            await this.backend.set(name, profile);
+        }
+        return profile;
+    }
+
+    /**
+     * プロファイルを読み込み、トラッカーと判別器に適用
+     * @param {string} name - プロファイル名
+     * @param {Object} targets - {tracker, classifier}
+     * @returns {Promise<Object>} 適用したプロファイル
+     */
+    async loadInto(name, targets = {}) {
+        const profile = await this.load(name);
+        if (!profile) {
+            throw new Error(`プロファイルが見つかりません: ${name}`);
+        }
+        ProfileStore.apply(profile, targets);
+        return profile;
+    }
+
+    /**
+     * 保存されているプロファイルの一覧を取得
+     * 壊れている等で読み込めないプロファイルは onError に通知して一覧から除く
+     * @returns {Promise<Array<Object>>} [{name, createdAt, updatedAt, metadata}]（更新日時の新しい順）
+     */
+    async list() {
+        const names = await this.backend.keys();
+        const results = await Promise.allSettled(names.map(name => this.load(name)));
+        const profiles = results.map((result, index) => {
+            if (result.status === 'fulfilled') {
+                return result.value;
+            }
+            if (this.onError) {
+                this.onError(result.reason, names[index]);
+            } else {
+                ErrorHandler.handleError(result.reason, `ProfileStore プロファイル ${names[index]}`);
+            }
+            return null;
+        });
+        return profiles
+            .filter(profile => profile !== null)
+            .map(profile => ({
+                name: profile.name,
+                createdAt: profile.createdAt,
+                updatedAt: profile.updatedAt,
+                metadata: profile.metadata
+            }))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * プロファイルを削除
+     * @param {string} name - プロファイル名
+     * @returns {Promise<boolean>} 削除した場合true
+     */
+    async delete(name) {
+        ProfileStore._validateName(name);
+
+        const deleted = await this.backend.delete(name);
+        if (deleted && this.onChange) {
+            this.onChange('delete', name);
+        }
+        return deleted;
+    }
+
+    /**
+     * プロファイルをトラッカーと判別器に適用
+     * @param {Object} profile - プロファイル
+     * @param {Object} targets - {tracker, classifier}（tracker は MouthTracker または CalibrationManager）
+     */
+    static apply(profile, targets = {}) {
+        const { tracker, classifier } = targets;
+        if (tracker) {
+            tracker.setBaseline(profile.baseline);
+        }
+        if (classifier) {
+            classifier.setBaseline(profile.baseline);
+            classifier.setCalibrationProfiles(profile.calibrationProfiles || {});
+            classifier.reset();
+        }
+    }
+
+    /**
+     * 保存されたデータを現在の形式に移行
+     * @param {Object} data - 保存されたデータ
+     * @param {string} name - プロファイル名（旧形式で名前を持たない場合に使用）
+     * @returns {Object} 現在の形式のプロファイル
+     */
+    static migrate(data, name = null) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('プロファイルの形式が不正です');
+        }
+        // VowelClassifier.toJSON() の出力はバージョン0として移行する（version は判別器のバージョンのため使わない）
+        const isClassifierData = data.format === VOWEL_CLASSIFIER_FORMAT;
+        if (data.format !== undefined && data.format !== PROFILE_CONFIG.format && !isClassifierData) {
+            throw new Error(`プロファイルの形式が不正です: ${data.format}`);
+        }
+
+        let profile = data;
+        let version = !isClassifierData && typeof data.version === 'number' ? data.version : 0;
+        if (version > PROFILE_CONFIG.version) {
+            throw new Error(`未対応のプロファイルのバージョンです: ${version} > ${PROFILE_CONFIG.version}`);
+        }
+
+        while (version < PROFILE_CONFIG.version) {
+            const migration = PROFILE_MIGRATIONS[version];
+            if (!migration) {
+                throw new Error(`プロファイルの移行処理がありません: バージョン${version}`);
+            }
+            profile = migration(profile, name);
+            version = profile.version;
+        }
+        return profile;
+    }
+
+    /**
+     * プロファイル名を検証
+     * @private
+     */
+    static _validateName(name) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('プロファイル名を指定してください');
+        }
+    }
+}
@@ -0,0 +1,503 @@
+/**
+ * SessionPlayer - セッション再生クラス
+ * 記録済みのランドマークを DataProcessor → TemporalFeatureExtractor → VowelClassifier の順に
+ * ライブのフレームと同じ手順で処理し直します（カメラなしで閾値を調整するため）
+ */
+
+import { DataProcessor } from './DataProcessor.js';
+import { HeadPoseEstimator } from './HeadPoseEstimator.js';
+import { LandmarkProvider } from './LandmarkProvider.js';
+import { getLandmarkSet } from '../utils/LandmarkSets.js';
+import { TemporalFeatureExtractor } from './TemporalFeatureExtractor.js';
+import { SpeechActivityDetector } from './SpeechActivityDetector.js';
+import { VowelClassifier } from './VowelClassifier.js';
+import { SessionRecorder } from './SessionRecorder.js';
+import { parseSessionDocument, hydrateLandmarkList } from '../utils/SessionFormat.js';
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+
+export class SessionPlayer {
+    constructor(session = null, onFrame = null, options = {}) {
+        this.onFrame = onFrame || (() => { });
+        this.onEnded = options.onEnded || null;
+        this.vowelClassifier = options.vowelClassifier || null;
+        this.baseline = options.baseline || null;
+        // 頭部の姿勢を補正して計測値を計算するか（MouthTracker と同じ設定にする）
+        this.poseCompensation = options.poseCompensation !== false;
+        this.poseLimits = options.poseLimits || {};
+        // 縦横比を記録していないフレームの姿勢の推定に使う画像の縦横比（幅 / 高さ、省略時は1）
+        this.aspectRatio = options.aspectRatio || null;
+        // 抽出・計測に使うランドマークセット（MouthTracker と同じ設定にする）
+        this.landmarkSet = getLandmarkSet(options.landmarkSet);
+        this.dataProcessor = new DataProcessor({ landmarkSet: this.landmarkSet });
+        this.temporalExtractor = options.temporalExtractor || new TemporalFeatureExtractor({
+            bufferSize: options.temporalBufferSize || 30
+        });
+        // 発話区間の検出（MouthTracker と同じ設定にする、発話中以外は vowelClassifier の母音の出力を抑制する）
+        // コールバックは options.onSpeechStart / onSpeechEnd、または speechActivity のオプションに指定する（前者を優先）
+        const speechActivityOptions = typeof options.speechActivity === 'object' ? options.speechActivity : {};
+        this.speechActivityDetector = options.speechActivity
+            ? new SpeechActivityDetector({
+                ...speechActivityOptions,
+                temporalExtractor: this.temporalExtractor,
+                onSpeechStart: options.onSpeechStart || speechActivityOptions.onSpeechStart || null,
+                onSpeechEnd: options.onSpeechEnd || speechActivityOptions.onSpeechEnd || null
+            })
+            : null;
+        // 複数の顔を記録したフレーム（faces）の顔ごとの再生（顔IDごとの SessionPlayer）
+        // 顔ごとの母音判別器は options.createVowelClassifier(faceId)、省略時は vowelClassifier の設定を複製して作成する
+        this.faceOptions = options;
+        this.facePlayers = new Map();
+        // シーク時に状態を復元するために先読みするフレーム数
+        this.warmupFrames = typeof options.warmupFrames === 'number'
+            ? options.warmupFrames
+            : this.temporalExtractor.getBufferSize();
+        this.speed = 1.0;
+        this.frames = [];
+        this.currentIndex = 0;
+        this.isPlaying = false;
+        this.timerId = null;
+        this.lastMetrics = null;
+
+        if (options.speed) {
+            this.setSpeed(options.speed);
+        }
+        if (session) {
+            this.load(session);
+        }
+    }
+
+    /**
+     * セッションを読み込む
+     * @param {SessionRecorder|Object|string|Array} session - レコーダー、セッションドキュメント、JSON文字列、またはフレーム配列
+     */
+    load(session) {
+        this.pause();
+
+        let frames;
+        if (session instanceof SessionRecorder) {
+            frames = session.getFrames();
+        } else if (Array.isArray(session)) {
+            frames = session;
+        } else {
+            frames = parseSessionDocument(session).frames;
+        }
+        this.frames = frames.map(frame => SessionPlayer.normalizeFrame(frame, this.landmarkSet));
+
+        this._resetPipeline();
+        this.currentIndex = 0;
+    }
+
+    /**
+     * 再生を開始（記録時のフレーム間隔を再生速度で割った間隔で進む）
+     */
+    play() {
+        if (this.isPlaying || this.frames.length === 0) {
+            return;
+        }
+        if (this.currentIndex >= this.frames.length) {
+            this.seek(0);
+        }
+
+        this.isPlaying = true;
+        this._scheduleNext(0);
+    }
+
+    /**
+     * 再生を一時停止
+     */
+    pause() {
+        this.isPlaying = false;
+        if (this.timerId !== null) {
+            clearTimeout(this.timerId);
+            this.timerId = null;
+        }
+    }
+
+    /**
+     * 1フレームだけ処理して進める
+     * @returns {Object|null} 処理したフレームのペイロード（末尾の場合null）
+     */
+    step() {
+        if (this.currentIndex >= this.frames.length) {
+            return null;
+        }
+
+        const payload = this.processFrame(this.frames[this.currentIndex], this.currentIndex);
+        this.currentIndex++;
+        this.onFrame(payload);
+        return payload;
+    }
+
+    /**
+     * 指定フレームへ移動
+     * 直前の warmupFrames フレームを通知なしで処理し、時系列特徴量と母音の平滑化状態を復元する
+     * @param {number} frameIndex - 移動先のフレーム番号
+     */
+    seek(frameIndex) {
+        const target = Math.max(0, Math.min(Math.floor(frameIndex), this.frames.length));
+        this._resetPipeline();
+
+        const onVowelDetected = this.vowelClassifier ? this.vowelClassifier.onVowelDetected : null;
+        if (this.vowelClassifier) {
+            this.vowelClassifier.onVowelDetected = null;
+        }
+        try {
+            for (let i = Math.max(0, target - this.warmupFrames); i < target; i++) {
+                this.processFrame(this.frames[i], i);
+            }
+        } finally {
+            if (this.vowelClassifier) {
+                this.vowelClassifier.onVowelDetected = onVowelDetected;
+            }
+        }
+
+        this.currentIndex = target;
+
+        if (this.isPlaying) {
+            this.pause();
+            this.play();
+        }
+    }
+
+    /**
+     * 指定時刻へ移動
+     * @param {number} time - セッション先頭からの経過時間（ミリ秒）
+     */
+    seekToTime(time) {
+        if (this.frames.length === 0) {
+            return;
+        }
+
+        const startTime = this._getFrameTime(this.frames[0]);
+        const index = this.frames.findIndex(frame => this._getFrameTime(frame) - startTime >= time);
+        this.seek(index === -1 ? this.frames.length : index);
+    }
+
+    /**
+     * 再生速度を設定
+     * @param {number} speed - 再生速度（1.0で等速、0.1 - 16.0）
+     */
+    setSpeed(speed) {
+        this.speed = Math.max(0.1, Math.min(speed, 16));
+    }
+
+    /**
+     * 相対計測値の計算に使う基準値を設定（ライブ時のキャリブレーション結果を再現する）
+     * @param {Object|null} baseline - CalibrationManager の基準値
+     */
+    setBaseline(baseline) {
+        this.baseline = baseline;
+        this.facePlayers.forEach(player => player.setBaseline(baseline));
+    }
+
+    /**
+     * 1フレームをパイプラインで処理
+     * @param {Object} frame - 記録済みフレーム
+     * @param {number} frameIndex - フレーム番号
+     * @returns {Object} onDataUpdate と同じ形式のペイロード（frameIndex, vowelResult 付き）
+     */
+    processFrame(frame, frameIndex = this.currentIndex) {
+        if (Array.isArray(frame.faces)) {
+            return this._processMultiFaceFrame(frame, frameIndex);
+        }
+
+        const basePayload = {
+            frameIndex,
+            timestamp: frame.timestamp,
+            mediaTimestamp: typeof frame.mediaTimestamp === 'number' ? frame.mediaTimestamp : null,
+            fps: frame.fps || 0,
+            faceDetected: !!frame.faceDetected,
+            recordedVowel: frame.vowel || null
+        };
+
+        if (!frame.faceDetected || !frame.landmarks) {
+            this._updateSpeechActivity(null, frame);
+            return {
+                ...basePayload,
+                landmarks: null,
+                metrics: null,
+                contourLandmarks34: null,
+                confidence: 0,
+                vowelResult: null
+            };
+        }
+
+        const landmarks = frame.landmarks;
+        const contourLandmarks = hydrateLandmarkList(frame.contourLandmarks34);
+        const allMouthLandmarksExtended = hydrateLandmarkList(frame.allMouthLandmarksExtended);
+        const allFaceLandmarks = hydrateLandmarkList(frame.allFaceLandmarks);
+        const aspectRatio = typeof frame.aspectRatio === 'number' ? frame.aspectRatio : (this.aspectRatio || 1);
+        const pose = HeadPoseEstimator.estimate(allFaceLandmarks, aspectRatio);
+        const headPose = pose ? { yaw: pose.yaw, pitch: pose.pitch, roll: pose.roll } : null;
+        const quality = {
+            ...(frame.quality || { passed: true }),
+            extremePose: HeadPoseEstimator.isExtremePose(headPose, this.poseLimits)
+        };
+
+        const payload = {
+            ...basePayload,
+            landmarks,
+            allMouthLandmarksExtended,
+            allFaceLandmarks,
+            contourLandmarks34: contourLandmarks,
+            quality,
+            headPose,
+            aspectRatio
+        };
+
+        // ライブ時に品質チェックで除外されたフレームは計測しない
+        if (quality.passed === false) {
+            const speechActivity = this._updateSpeechActivity(null, frame);
+            return { ...payload, metrics: null, temporalFeatures: null, confidence: 0, vowelResult: null, speechActivity };
+        }
+
+        const metrics = this.poseCompensation
+            ? this.dataProcessor.calculatePoseCompensatedMetrics(
+                landmarks,
+                contourLandmarks,
+                allMouthLandmarksExtended,
+                allFaceLandmarks,
+                aspectRatio
+            ).metrics
+            : this.dataProcessor.calculateMetrics(
+                landmarks,
+                contourLandmarks,
+                allMouthLandmarksExtended,
+                allFaceLandmarks
+            );
+        DataProcessor.applyChangeRates(metrics, this.lastMetrics);
+        metrics.relative = DataProcessor.calculateRelativeMetrics(metrics, this.baseline);
+        this.lastMetrics = metrics;
+
+        this.temporalExtractor.addFrame(metrics, this._getFrameTime(frame));
+        const temporalFeatures = this.temporalExtractor.getAllTemporalFeatures();
+        const speechActivity = this._updateSpeechActivity(metrics, frame);
+        const vowelResult = this.vowelClassifier
+            ? this.vowelClassifier.classify(metrics, temporalFeatures, speechActivity)
+            : null;
+
+        return {
+            ...payload,
+            metrics,
+            temporalFeatures,
+            confidence: frame.confidence || 0,
+            vowelResult,
+            speechActivity
+        };
+    }
+
+    /**
+     * 複数の顔を記録したフレームを顔ごとの SessionPlayer で処理
+     * ライブ時と同様に、ペイロードの最上位には最も小さいIDの顔（主な顔）の値を入れ、faces に全ての顔の値を入れる
+     * @private
+     * @param {Object} frame - 記録済みフレーム（faces 付き）
+     * @param {number} frameIndex - フレーム番号
+     * @returns {Object} ペイロード（faces, faceCount 付き）
+     */
+    _processMultiFaceFrame(frame, frameIndex) {
+        const faces = frame.faces
+            .map(face => ({
+                ...this._getFacePlayer(face.faceId).processFrame({
+                    ...face,
+                    timestamp: frame.timestamp,
+                    mediaTimestamp: frame.mediaTimestamp,
+                    fps: frame.fps
+                }, frameIndex),
+                faceId: face.faceId,
+                boundingBox: face.boundingBox || null
+            }))
+            .filter(face => face.faceDetected)
+            .sort((a, b) => a.faceId - b.faceId);
+
+        const primary = faces.length > 0
+            ? faces[0]
+            : this.processFrame({ ...frame, faces: undefined, faceDetected: false }, frameIndex);
+        return { ...primary, faces, faceCount: faces.length };
+    }
+
+    /**
+     * 顔IDに対応する SessionPlayer を取得（ない場合は作成）
+     * @private
+     * @param {number} faceId - 顔ID
+     * @returns {SessionPlayer} 顔ごとの SessionPlayer
+     */
+    _getFacePlayer(faceId) {
+        let player = this.facePlayers.get(faceId);
+        if (player) {
+            return player;
+        }
+
+        const options = this.faceOptions;
+        const withFaceId = (callback) => callback ? (event) => callback({ ...event, faceId }) : null;
+        const speechActivityOptions = typeof options.speechActivity === 'object' ? options.speechActivity : {};
+        let vowelClassifier = null;
+        if (options.createVowelClassifier) {
+            vowelClassifier = options.createVowelClassifier(faceId);
+        } else if (this.vowelClassifier) {
+            vowelClassifier = VowelClassifier.fromJSON(this.vowelClassifier.toJSON());
+        }
+        player = new SessionPlayer(null, null, {
+            vowelClassifier,
+            baseline: this.baseline,
+            poseCompensation: this.poseCompensation,
+            poseLimits: this.poseLimits,
+            aspectRatio: this.aspectRatio,
+            landmarkSet: this.landmarkSet,
+            temporalBufferSize: this.temporalExtractor.getBufferSize(),
+            speechActivity: options.speechActivity,
+            onSpeechStart: withFaceId(options.onSpeechStart || speechActivityOptions.onSpeechStart),
+            onSpeechEnd: withFaceId(options.onSpeechEnd || speechActivityOptions.onSpeechEnd)
+        });
+        this.facePlayers.set(faceId, player);
+        return player;
+    }
+
+    /**
+     * 発話区間の検出の状態を更新
+     * @private
+     * @param {Object|null} metrics - 計測値（計測できないフレームはnull）
+     * @param {Object} frame - 記録されたフレーム
+     * @returns {Object|null} SpeechActivityDetector の状態（検出しない場合null）
+     */
+    _updateSpeechActivity(metrics, frame) {
+        return this.speechActivityDetector
+            ? this.speechActivityDetector.update(metrics, this._getFrameTime(frame))
+            : null;
+    }
+
+    /**
+     * セッション全体を先頭から処理（タイマーを使わず同期的に実行）
+     * @returns {Array} 全フレームのペイロード
+     */
+    analyzeAll() {
+        this.pause();
+        this._resetPipeline();
+
+        const results = this.frames.map((frame, index) => this.processFrame(frame, index));
+        this.currentIndex = this.frames.length;
+        return results;
+    }
+
+    /**
+     * 現在のフレーム番号を取得
+     * @returns {number} 次に処理するフレーム番号
+     */
+    getCurrentIndex() {
+        return this.currentIndex;
+    }
+
+    /**
+     * フレーム数を取得
+     * @returns {number} フレーム数
+     */
+    getFrameCount() {
+        return this.frames.length;
+    }
+
+    /**
+     * 再生中かどうか
+     * @returns {boolean} 再生中の場合true
+     */
+    getIsPlaying() {
+        return this.isPlaying;
+    }
+
+    /**
+     * 外部データのフレームを記録済みフレームの形式に揃える
+     * 顔全体のランドマーク（faceLandmarks: 468/478点の配列、または multiFaceLandmarks）のみを持つ
+     * フレームは MouthTracker と同じ抽出処理（LandmarkProvider）で口ランドマーク等を生成する（平滑化は行わない）
+     * @param {Object} frame - フレーム
+     * @param {string|Object|null} landmarkSet - 抽出するランドマークセット（省略時は contour-34）
+     * @returns {Object} 記録済みフレームの形式のフレーム
+     */
+    static normalizeFrame(frame, landmarkSet = null) {
+        if (!frame || frame.landmarks !== undefined) {
+            return frame;
+        }
+
+        const faceLandmarks = frame.faceLandmarks || frame.multiFaceLandmarks?.[0] || null;
+        if (!faceLandmarks) {
+            return { ...frame, faceDetected: false, landmarks: null };
+        }
+
+        const results = { multiFaceLandmarks: [faceLandmarks] };
+        const landmarks = LandmarkProvider.getMouthLandmarks(results, landmarkSet);
+        const allFaceLandmarks = LandmarkProvider.getAllFaceLandmarks(results, landmarkSet);
+        return {
+            timestamp: frame.timestamp || 0,
+            mediaTimestamp: typeof frame.mediaTimestamp === 'number' ? frame.mediaTimestamp : null,
+            faceDetected: !!(landmarks && allFaceLandmarks),
+            confidence: LandmarkProvider.getConfidence(results),
+            fps: frame.fps || 0,
+            aspectRatio: typeof frame.aspectRatio === 'number' ? frame.aspectRatio : null,
+            landmarks,
+            contourLandmarks34: LandmarkProvider.getMouthContourLandmarks(results, landmarkSet),
+            allMouthLandmarksExtended: LandmarkProvider.getAllMouthLandmarksExtended(results, landmarkSet),
+            allFaceLandmarks,
+            quality: frame.quality || null,
+            vowel: frame.vowel || null
+        };
+    }
+
+    /**
+     * 次のフレームの処理を予約
+     * @private
+     * @param {number} delay - 待機時間（ミリ秒）
+     */
+    _scheduleNext(delay) {
+        this.timerId = setTimeout(() => {
+            this.timerId = null;
+            if (!this.isPlaying) {
+                return;
+            }
+
+            try {
+                this.step();
+            } catch (error) {
+                ErrorHandler.handleError(error, 'SessionPlayer.play');
+            }
+
+            if (this.currentIndex >= this.frames.length) {
+                this.isPlaying = false;
+                if (this.onEnded) {
+                    this.onEnded();
+                }
+                return;
+            }
+
+            const previous = this.frames[this.currentIndex - 1];
+            const next = this.frames[this.currentIndex];
+            const interval = Math.max(0, this._getFrameTime(next) - this._getFrameTime(previous));
+            this._scheduleNext(interval / this.speed);
+        }, delay);
+    }
+
+    /**
+     * フレームの時刻を取得（動画解析で記録された場合はメディア時刻を優先）
+     * @private
+     * @param {Object} frame - 記録済みフレーム
+     * @returns {number} 時刻（ミリ秒）
+     */
+    _getFrameTime(frame) {
+        if (typeof frame.mediaTimestamp === 'number') {
+            return Math.round(frame.mediaTimestamp * 1000);
+        }
+        return frame.timestamp || 0;
+    }
+
+    /**
+     * パイプラインの内部状態をリセット
+     * @private
+     */
+    _resetPipeline() {
+        this.temporalExtractor.reset();
+        this.lastMetrics = null;
+        this.facePlayers.clear();
+        if (this.speechActivityDetector) {
+            this.speechActivityDetector.reset();
+        }
+        if (this.vowelClassifier) {
+            this.vowelClassifier.reset();
+        }
+    }
+}
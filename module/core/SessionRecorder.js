@@ -0,0 +1,212 @@
+/**
+ * SessionRecorder - セッション記録クラス
+ * MouthTracker の onDataUpdate で送られる全フレームを記録し、バージョン付きJSONとして保存します
+ */
+
+import { SESSION_CONFIG } from '../config/constants.js';
+import { serializeFrame, serializeVowelResult, parseSessionDocument } from '../utils/SessionFormat.js';
+
+export class SessionRecorder {
+    constructor(options = {}) {
+        this.maxFrames = options.maxFrames || SESSION_CONFIG.maxFrames;
+        this.metadata = options.metadata || {};
+        this.frames = [];
+        // frames の先頭から破棄済みのフレーム数（shift で毎回配列を詰めないよう、まとめて取り除く）
+        this.evictedFrames = 0;
+        this.evictionChunk = Math.max(1, Math.ceil(this.maxFrames / 10));
+        this.droppedFrames = 0;
+        this.isRecording = false;
+        this.isPaused = false;
+        this.startedAt = null;
+        this.stoppedAt = null;
+        this.tracker = null;
+        this.originalOnDataUpdate = null;
+    }
+
+    /**
+     * MouthTracker に接続し、onDataUpdate のペイロードを記録対象にする
+     * 元のコールバックは記録後にそのまま呼び出される
+     * @param {MouthTracker} tracker - 接続するトラッカー
+     */
+    attach(tracker) {
+        if (this.tracker) {
+            this.detach();
+        }
+
+        this.tracker = tracker;
+        this.originalOnDataUpdate = tracker.onDataUpdate;
+        tracker.onDataUpdate = (data) => {
+            this.record(data);
+            this.originalOnDataUpdate(data);
+        };
+    }
+
+    /**
+     * MouthTracker から切断し、元のコールバックに戻す
+     */
+    detach() {
+        if (!this.tracker) {
+            return;
+        }
+
+        this.tracker.onDataUpdate = this.originalOnDataUpdate;
+        this.tracker = null;
+        this.originalOnDataUpdate = null;
+    }
+
+    /**
+     * 記録を開始（既存のフレームは破棄される）
+     */
+    start() {
+        this.clear();
+        this.isRecording = true;
+        this.isPaused = false;
+        this.startedAt = Date.now();
+        this.stoppedAt = null;
+    }
+
+    /**
+     * 記録を停止
+     */
+    stop() {
+        if (!this.isRecording) {
+            return;
+        }
+
+        this.isRecording = false;
+        this.isPaused = false;
+        this.stoppedAt = Date.now();
+    }
+
+    /**
+     * 記録を一時停止
+     */
+    pause() {
+        if (this.isRecording) {
+            this.isPaused = true;
+        }
+    }
+
+    /**
+     * 一時停止した記録を再開
+     */
+    resume() {
+        if (this.isRecording) {
+            this.isPaused = false;
+        }
+    }
+
+    /**
+     * フレームを記録
+     * @param {Object} data - onDataUpdate のペイロード
+     * @param {Object|null} vowelResult - VowelClassifier.classify の結果（オプション）
+     * @returns {boolean} 記録した場合true
+     */
+    record(data, vowelResult = null) {
+        if (!this.isRecording || this.isPaused || !data) {
+            return false;
+        }
+
+        this.frames.push(serializeFrame(data, vowelResult));
+
+        // 上限を超えた分は古いフレームから破棄（配列からは evictionChunk 件ごとにまとめて取り除く）
+        while (this.getFrameCount() > this.maxFrames) {
+            this.evictedFrames++;
+            this.droppedFrames++;
+        }
+        if (this.evictedFrames >= this.evictionChunk) {
+            this._compact();
+        }
+
+        return true;
+    }
+
+    /**
+     * 直近に記録したフレームへ母音判別結果を追加
+     * onDataUpdate 内で classify した結果を記録する場合に使用する
+     * @param {Object} vowelResult - VowelClassifier.classify の結果
+     * @returns {boolean} 追加した場合true
+     */
+    recordVowelResult(vowelResult) {
+        if (!this.isRecording || this.isPaused || this.getFrameCount() === 0) {
+            return false;
+        }
+
+        this.frames[this.frames.length - 1].vowel = serializeVowelResult(vowelResult);
+        return true;
+    }
+
+    /**
+     * 記録済みフレームを取得
+     * @returns {Array} フレーム配列
+     */
+    getFrames() {
+        this._compact();
+        return this.frames;
+    }
+
+    /**
+     * 記録済みフレーム数を取得
+     * @returns {number} フレーム数
+     */
+    getFrameCount() {
+        return this.frames.length - this.evictedFrames;
+    }
+
+    /**
+     * 記録済みフレームを破棄
+     */
+    clear() {
+        this.frames = [];
+        this.evictedFrames = 0;
+        this.droppedFrames = 0;
+    }
+
+    /**
+     * 記録内容をバージョン付きのセッションドキュメントに変換
+     * @returns {Object} セッションドキュメント
+     */
+    toJSON() {
+        return {
+            format: SESSION_CONFIG.format,
+            version: SESSION_CONFIG.version,
+            createdAt: new Date().toISOString(),
+            startedAt: this.startedAt,
+            stoppedAt: this.stoppedAt,
+            frameCount: this.getFrameCount(),
+            droppedFrames: this.droppedFrames,
+            maxFrames: this.maxFrames,
+            metadata: { ...this.metadata },
+            frames: this.getFrames()
+        };
+    }
+
+    /**
+     * 記録内容をJSON文字列に変換
+     * @param {number} space - インデント幅（省略時は改行なし）
+     * @returns {string} JSON文字列
+     */
+    serialize(space) {
+        return JSON.stringify(this.toJSON(), null, space);
+    }
+
+    /**
+     * セッションドキュメントを読み込む
+     * @param {string|Object} input - JSON文字列またはパース済みオブジェクト
+     * @returns {Object} 検証済みのセッションドキュメント
+     */
+    static fromJSON(input) {
+        return parseSessionDocument(input);
+    }
+
+    /**
+     * 破棄済みのフレームを配列から取り除く
+     * @private
+     */
+    _compact() {
+        if (this.evictedFrames > 0) {
+            this.frames.splice(0, this.evictedFrames);
+            this.evictedFrames = 0;
+        }
+    }
+}
@@ -0,0 +1,202 @@
+/**
+ * SpeechActivityDetector - 口の動きから発話区間を検出するクラス（映像による発話検出）
+ * TemporalFeatureExtractor の履歴から openness の分散・速度のエネルギー・振動の頻度を求め、
+ * フレームごとの発話確率を計算します。開始と終了の閾値を分けたヒステリシスで発話中かどうかを判定し、
+ * 咀嚼（遅い周期的な動き）や笑顔・口の形の保持（振動のない動き）を発話とみなさないようにします
+ */
+
+export class SpeechActivityDetector {
+    /**
+     * @param {Object} options - オプション
+     * @param {TemporalFeatureExtractor} options.temporalExtractor - 時系列特徴量の抽出器（addFrame の後に update を呼び出す）
+     * @param {string} options.feature - 判定に使う計測値の名前
+     * @param {number} options.windowSize - 分散・速度のエネルギー・振動の頻度を求めるフレーム数
+     * @param {number} options.varianceReference - 発話とみなす openness の分散（これ以上でスコアが1）
+     * @param {number} options.velocityEnergyReference - 発話とみなす速度のエネルギー（これ以上でスコアが1）
+     * @param {number} options.minExcursion - 振動として数える最小の変化量
+     * @param {number} options.minOscillationRate - 発話とみなす振動の頻度の下限（Hz）
+     * @param {number} options.maxOscillationRate - 発話とみなす振動の頻度の上限（Hz）
+     * @param {number} options.oscillationFalloff - 頻度の範囲外でスコアが0になるまでの幅（Hz）
+     * @param {number} options.smoothingAlpha - 発話確率の平滑化係数（前フレームの値の重み）
+     * @param {number} options.startThreshold - 発話の開始とみなす発話確率
+     * @param {number} options.endThreshold - 発話の終了とみなす発話確率（startThreshold より小さくする）
+     * @param {number} options.minStartDuration - 開始の閾値を超え続ける最短時間（ミリ秒）
+     * @param {number} options.endHoldTime - 終了の閾値を下回り続ける最短時間（ミリ秒）
+     * @param {Function} options.onSpeechStart - 発話の開始時のコールバック ({type, start, probability})
+     * @param {Function} options.onSpeechEnd - 発話の終了時のコールバック ({type, start, end, duration})
+     */
+    constructor(options = {}) {
+        if (!options.temporalExtractor) {
+            throw new Error('temporalExtractor を指定してください');
+        }
+        this.temporalExtractor = options.temporalExtractor;
+        this.feature = options.feature || 'openness';
+        this.windowSize = options.windowSize || 30;
+        this.varianceReference = options.varianceReference || 0.0002;
+        this.velocityEnergyReference = options.velocityEnergyReference || 0.05;
+        this.minExcursion = options.minExcursion || 0.01;
+        this.minOscillationRate = options.minOscillationRate || 2.0;
+        this.maxOscillationRate = options.maxOscillationRate || 8.0;
+        // 咀嚼（1〜1.5Hz）は振動の頻度がフレームの刻みで 1.5Hz を少し超えて計測されても0になるようにする
+        this.oscillationFalloff = options.oscillationFalloff || 0.4;
+        this.smoothingAlpha = typeof options.smoothingAlpha === 'number' ? options.smoothingAlpha : 0.5;
+        this.startThreshold = options.startThreshold || 0.5;
+        this.endThreshold = options.endThreshold || 0.25;
+        this.minStartDuration = options.minStartDuration || 100;
+        this.endHoldTime = options.endHoldTime || 300;
+        this.onSpeechStart = options.onSpeechStart || null;
+        this.onSpeechEnd = options.onSpeechEnd || null;
+
+        if (this.endThreshold > this.startThreshold) {
+            throw new Error('endThreshold は startThreshold 以下にしてください');
+        }
+
+        this.reset();
+    }
+
+    /**
+     * 1フレーム分の状態を更新（TemporalFeatureExtractor.addFrame の後に呼び出す）
+     * 計測値がない（顔が見つからない等）フレームは発話確率0として扱う
+     * @param {Object|null} metrics - 計測値
+     * @param {number} timestamp - フレームのタイムスタンプ（ミリ秒）
+     * @returns {Object} {speaking, probability, features, start, events}
+     */
+    update(metrics, timestamp = Date.now()) {
+        const features = metrics ? this._calculateFeatures() : null;
+        const rawProbability = features ? SpeechActivityDetector.calculateProbability(features, this) : 0;
+        this.probability = this.probability === null
+            ? rawProbability
+            : this.probability * this.smoothingAlpha + rawProbability * (1 - this.smoothingAlpha);
+        this.features = features;
+
+        const events = this.speaking
+            ? this._updateSpeaking(timestamp)
+            : this._updateSilent(timestamp);
+        return { ...this.getState(), events };
+    }
+
+    /**
+     * 現在の状態を取得
+     * @returns {Object} {speaking, probability, features, start}
+     */
+    getState() {
+        return {
+            speaking: this.speaking,
+            probability: this.probability || 0,
+            features: this.features,
+            start: this.speaking ? this.speechStart : null
+        };
+    }
+
+    /**
+     * 発話中かどうか
+     * @returns {boolean} 発話中の場合true
+     */
+    isSpeaking() {
+        return this.speaking;
+    }
+
+    /**
+     * 状態をリセット（発話中の場合も終了イベントは通知しない）
+     */
+    reset() {
+        this.speaking = false;
+        this.probability = null;
+        this.features = null;
+        this.speechStart = null;
+        this.candidateStart = null;
+        this.belowEndSince = null;
+    }
+
+    /**
+     * 特徴量から発話確率を計算
+     * 分散と速度のエネルギーで口の動きの大きさを、振動の頻度で発話らしい速さの動きかどうかを評価する
+     * @param {Object} features - {opennessVariance, velocityEnergy, oscillationRate}
+     * @param {Object} options - varianceReference / velocityEnergyReference / minOscillationRate /
+     *   maxOscillationRate / oscillationFalloff（SpeechActivityDetector のインスタンスを渡せる）
+     * @returns {number} 発話確率 (0.0 - 1.0)
+     */
+    static calculateProbability(features, options) {
+        const varianceScore = Math.min(1, features.opennessVariance / options.varianceReference);
+        const energyScore = Math.min(1, features.velocityEnergy / options.velocityEnergyReference);
+        const activity = (varianceScore + energyScore) / 2;
+
+        const rate = features.oscillationRate;
+        let rateScore = 1;
+        if (rate < options.minOscillationRate) {
+            rateScore = Math.max(0, 1 - (options.minOscillationRate - rate) / options.oscillationFalloff);
+        } else if (rate > options.maxOscillationRate) {
+            rateScore = Math.max(0, 1 - (rate - options.maxOscillationRate) / options.oscillationFalloff);
+        }
+        return activity * rateScore;
+    }
+
+    /**
+     * 時系列特徴量の抽出器から特徴量を計算
+     * @private
+     */
+    _calculateFeatures() {
+        const extractor = this.temporalExtractor;
+        const standardDeviation = extractor.getStandardDeviation(this.feature, this.windowSize);
+        return {
+            opennessVariance: standardDeviation * standardDeviation,
+            velocityEnergy: extractor.getVelocityEnergy(this.feature, this.windowSize),
+            oscillationRate: extractor.getOscillationRate(this.feature, this.windowSize, this.minExcursion)
+        };
+    }
+
+    /**
+     * 発話していない状態での更新（開始の閾値を minStartDuration 超え続けたら開始）
+     * @private
+     */
+    _updateSilent(timestamp) {
+        if (this.probability < this.startThreshold) {
+            this.candidateStart = null;
+            return [];
+        }
+        if (this.candidateStart === null) {
+            this.candidateStart = timestamp;
+        }
+        if (timestamp - this.candidateStart < this.minStartDuration) {
+            return [];
+        }
+
+        this.speaking = true;
+        this.speechStart = this.candidateStart;
+        this.candidateStart = null;
+        this.belowEndSince = null;
+
+        const event = { type: 'speechStart', start: this.speechStart, probability: this.probability };
+        if (this.onSpeechStart) {
+            this.onSpeechStart(event);
+        }
+        return [event];
+    }
+
+    /**
+     * 発話中の状態での更新（終了の閾値を endHoldTime 下回り続けたら終了）
+     * @private
+     */
+    _updateSpeaking(timestamp) {
+        if (this.probability >= this.endThreshold) {
+            this.belowEndSince = null;
+            return [];
+        }
+        if (this.belowEndSince === null) {
+            this.belowEndSince = timestamp;
+        }
+        if (timestamp - this.belowEndSince < this.endHoldTime) {
+            return [];
+        }
+
+        const end = this.belowEndSince;
+        const event = { type: 'speechEnd', start: this.speechStart, end, duration: end - this.speechStart };
+        this.speaking = false;
+        this.speechStart = null;
+        this.belowEndSince = null;
+        if (this.onSpeechEnd) {
+            this.onSpeechEnd(event);
+        }
+        return [event];
+    }
+}
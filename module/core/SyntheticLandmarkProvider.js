@@ -0,0 +1,210 @@
+/**
+ * SyntheticLandmarkProvider - 口の形状を指定してランドマークを生成する取得元（テスト用）
+ * カメラや記録ファイルなしで MouthTracker 以降の処理を確認するため、
+ * 指定した開口量・口の幅から FaceMesh と同じ点番号（478点）の顔ランドマークを生成します。
+ * 形状は目尻間の距離を1とした値で指定し、生成する点の唇の間隔と口角間の距離になります
+ */
+
+import { LandmarkProvider } from './LandmarkProvider.js';
+
+// 母音ごとの典型的な口の形状（目尻間の距離に対する比）
+// 判別の閾値はこの形状から決めたものではなく、VowelClassifier の閾値（画像単位の値の換算）に
+// 合わせて、全ての組み込みランドマークセットで同じ名前の母音に判別される形状を選んでいる
+export const SYNTHETIC_MOUTH_SHAPES = {
+    closed: { openness: 0, width: 0.55 },
+    a: { openness: 0.3, width: 0.6 },
+    i: { openness: 0.07, width: 0.75 },
+    u: { openness: 0.08, width: 0.4 },
+    e: { openness: 0.09, width: 0.72 },
+    o: { openness: 0.2, width: 0.45 }
+};
+
+const FACE_LANDMARK_COUNT = 478;
+
+// 口の点の配置 [点番号, 口の幅の半分に対する横位置, 唇上の位置]
+// 唇上の位置: 'upperInner' / 'lowerInner' は唇の間、'upperOuter' / 'lowerOuter' は唇の外側の縁（数値はその間の割合）
+const MOUTH_POINTS = [
+    [61, -1, 'corner'], [291, 1, 'corner'],
+    [78, -0.85, 'corner'], [308, 0.85, 'corner'],
+    [13, 0, 'upperInner'], [82, -0.3, 'upperInner'], [81, -0.55, 'upperInner'], [80, -0.75, 'upperInner'],
+    [312, 0.3, 'upperInner'], [311, 0.55, 'upperInner'], [310, 0.75, 'upperInner'],
+    [14, 0, 'lowerInner'], [87, -0.3, 'lowerInner'], [178, -0.55, 'lowerInner'], [88, -0.75, 'lowerInner'],
+    [317, 0.3, 'lowerInner'], [402, 0.55, 'lowerInner'], [318, 0.75, 'lowerInner'],
+    [79, -0.9, 'upperInner'], [309, 0.9, 'upperInner'],
+    [191, -0.8, 'upperInner'], [415, 0.8, 'upperInner'], [95, -0.8, 'lowerInner'], [324, 0.8, 'lowerInner'],
+    [12, 0, 0.3], [11, 0, 0.65], [0, 0, 1], [37, -0.3, 1], [39, -0.55, 0.9], [40, -0.75, 0.75], [41, -0.45, 0.5],
+    [267, 0.3, 1], [269, 0.55, 0.9], [270, 0.75, 0.75], [271, 0.45, 0.5],
+    [185, -0.9, 0.5], [409, 0.9, 0.5],
+    [15, 0, -0.3], [16, 0, -0.6], [17, 0, -1], [84, -0.3, -0.95], [314, 0.3, -0.95],
+    [146, -0.9, -0.5], [91, -0.75, -0.75], [181, -0.55, -0.9], [405, 0.55, -0.9], [321, 0.75, -0.75], [375, 0.9, -0.5]
+];
+
+export class SyntheticLandmarkProvider extends LandmarkProvider {
+    /**
+     * @param {Object} options - オプション
+     * @param {Array<Object|string|null>|Function} options.sequence - フレームごとの形状の配列、または (frameIndex) => 形状 の関数
+     *   形状は {openness, width, protrusion} または SYNTHETIC_MOUTH_SHAPES のキー（'a' 等）。null の場合は顔未検出
+     * @param {boolean} options.loop - 配列の最後のフレームの後に先頭に戻るか（falseの場合は最後の形状を維持）
+     * @param {Object} options.faceCenter - 顔の中心（鼻）の位置 {x, y}（正規化座標）
+     * @param {number} options.faceSize - 目尻間の距離（正規化座標）
+     * @param {number} options.lipThickness - 唇の厚さ（目尻間の距離に対する比）
+     * @param {number} options.noise - 各点に加えるノイズの標準偏差（正規化座標）
+     * @param {number} options.seed - ノイズの乱数の種（同じ種からは同じランドマークが生成される）
+     */
+    constructor(options = {}) {
+        super();
+        this.sequence = options.sequence || ['closed'];
+        this.loop = options.loop !== false;
+        this.faceCenter = options.faceCenter || { x: 0.5, y: 0.45 };
+        this.faceSize = options.faceSize || 0.2;
+        this.lipThickness = options.lipThickness || 0.09;
+        this.noise = options.noise || 0;
+        this.seed = typeof options.seed === 'number' ? options.seed : 1;
+        this.reset();
+    }
+
+    /**
+     * 次のフレームのランドマークを生成して返す（入力画像は使用しない）
+     * @returns {Promise<void>}
+     */
+    async send() {
+        const shape = this._getShape(this.frameIndex);
+        this.frameIndex++;
+        this._emitResults({
+            multiFaceLandmarks: shape ? [this.createLandmarks(shape)] : []
+        });
+    }
+
+    /**
+     * フレーム番号と乱数の状態をリセット
+     */
+    reset() {
+        this.frameIndex = 0;
+        this.randomState = this.seed >>> 0 || 1;
+    }
+
+    /**
+     * 形状から顔全体のランドマークを生成
+     * @param {Object|string} shape - {openness, width, protrusion} または SYNTHETIC_MOUTH_SHAPES のキー
+     * @returns {Array<Object>} 478点のランドマーク [{x, y, z}]
+     */
+    createLandmarks(shape) {
+        const { openness, width, protrusion } = SyntheticLandmarkProvider.resolveShape(shape);
+        const size = this.faceSize;
+        const cx = this.faceCenter.x;
+        const cy = this.faceCenter.y;
+
+        // 口以外の点は顔の輪郭に沿った楕円上に配置する（計測には使用しない）
+        const landmarks = [];
+        for (let index = 0; index < FACE_LANDMARK_COUNT; index++) {
+            const angle = (index / FACE_LANDMARK_COUNT) * Math.PI * 2;
+            const radius = 0.3 + 0.5 * ((index * 37) % 100) / 100;
+            landmarks.push({
+                x: cx + Math.cos(angle) * size * 0.7 * radius,
+                y: cy + Math.sin(angle) * size * 0.9 * radius,
+                z: 0
+            });
+        }
+
+        const setPoint = (index, x, y, z = 0) => {
+            landmarks[index] = { x, y, z };
+        };
+        setPoint(33, cx - size / 2, cy - size * 0.35);
+        setPoint(263, cx + size / 2, cy - size * 0.35);
+        setPoint(1, cx, cy, -size * 0.1);
+        setPoint(2, cx, cy + size * 0.12, -size * 0.08);
+        setPoint(152, cx, cy + size * 1.1);
+        setPoint(175, cx, cy + size * 1.0);
+        setPoint(199, cx, cy + size * 0.95);
+        setPoint(200, cx, cy + size * 0.9);
+        setPoint(176, cx - size * 0.15, cy + size * 1.0);
+        setPoint(172, cx - size * 0.45, cy + size * 0.85);
+        setPoint(397, cx + size * 0.45, cy + size * 0.85);
+        setPoint(116, cx - size * 0.6, cy + size * 0.1);
+        setPoint(117, cx - size * 0.5, cy + size * 0.15);
+        setPoint(345, cx + size * 0.6, cy + size * 0.1);
+        setPoint(346, cx + size * 0.5, cy + size * 0.15);
+
+        // 口の点は唇の間を楕円、唇の外側の縁を厚さ分だけ外側に配置する
+        const mouthCenterY = cy + size * 0.55;
+        const halfWidth = width * size / 2;
+        const halfGap = openness * size / 2;
+        const thickness = this.lipThickness * size;
+        const lipZ = -protrusion * size;
+        MOUTH_POINTS.forEach(([index, position, lip]) => {
+            const profile = Math.sqrt(Math.max(0, 1 - position * position));
+            let y;
+            if (lip === 'corner') {
+                y = 0;
+            } else if (lip === 'upperInner') {
+                y = -halfGap * profile;
+            } else if (lip === 'lowerInner') {
+                y = halfGap * profile;
+            } else if (lip > 0) {
+                y = -halfGap * profile - thickness * lip * (0.4 + 0.6 * profile);
+            } else {
+                y = halfGap * profile - thickness * lip * (0.4 + 0.6 * profile);
+            }
+            setPoint(index, cx + halfWidth * position, mouthCenterY + y, lipZ * profile);
+        });
+        setPoint(18, cx, mouthCenterY + halfGap + thickness * 1.6);
+
+        if (this.noise > 0) {
+            landmarks.forEach(point => {
+                point.x += this._randomNormal() * this.noise;
+                point.y += this._randomNormal() * this.noise;
+            });
+        }
+        return landmarks;
+    }
+
+    /**
+     * 形状の指定を数値に変換
+     * @param {Object|string} shape - {openness, width, protrusion} または SYNTHETIC_MOUTH_SHAPES のキー
+     * @returns {Object} {openness, width, protrusion}
+     */
+    static resolveShape(shape) {
+        const base = typeof shape === 'string' ? SYNTHETIC_MOUTH_SHAPES[shape] : shape;
+        if (!base) {
+            throw new Error(`未対応の口の形状です: ${shape}`);
+        }
+        return {
+            openness: base.openness || 0,
+            width: base.width || SYNTHETIC_MOUTH_SHAPES.closed.width,
+            protrusion: base.protrusion || 0
+        };
+    }
+
+    /**
+     * フレーム番号に対応する形状を取得
+     * @private
+     */
+    _getShape(frameIndex) {
+        if (typeof this.sequence === 'function') {
+            return this.sequence(frameIndex);
+        }
+        if (this.sequence.length === 0) {
+            return null;
+        }
+        const index = this.loop
+            ? frameIndex % this.sequence.length
+            : Math.min(frameIndex, this.sequence.length - 1);
+        return this.sequence[index];
+    }
+
+    /**
+     * 標準正規分布の乱数（xorshift32 と Box-Muller 法による再現可能な乱数）
+     * @private
+     */
+    _randomNormal() {
+        const next = () => {
+            let x = this.randomState;
+            x ^= x << 13;
+            x ^= x >>> 17;
+            x ^= x << 5;
+            this.randomState = x >>> 0;
+            return (this.randomState + 1) / 4294967297;
+        };
+        return Math.sqrt(-2 * Math.log(next())) * Math.cos(2 * Math.PI * next());
+    }
+}
@@ -21,13 +21,14 @@ export class TemporalFeatureExtractor {
   /**
    * 新しいフレームの特徴量を追加
    * @param {Object} metrics - 計測値
+   * @param {number} timestamp - フレームのタイムスタンプ（ミリ秒、省略時は現在時刻）
    */
-  addFrame(metrics) {
+  addFrame(metrics, timestamp = Date.now()) {
     if (!metrics) return;
 
-    // 現在のタイムスタンプを追加
+    // フレームのタイムスタンプを追加
     const frameData = {
-      timestamp: Date.now(),
+      timestamp,
       metrics: { ...metrics }
     };
 
@@ -170,6 +171,103 @@ export class TemporalFeatureExtractor {
     return Math.sqrt(variance);
   }
 
+  /**
+   * 指定した特徴量の速度のエネルギー（速度の二乗平均）を計算
+   * @param {string} featureName - 特徴量の名前
+   * @param {number} windowSize - ウィンドウサイズ（デフォルト: 10フレーム）
+   * @returns {number} 速度の二乗平均（(/秒)^2）
+   */
+  getVelocityEnergy(featureName, windowSize = 10) {
+    if (this.history.length < 2) {
+      return 0;
+    }
+
+    const startIndex = Math.max(1, this.history.length - windowSize);
+    let sumSquared = 0;
+    let count = 0;
+
+    for (let i = startIndex; i < this.history.length; i++) {
+      const currentValue = this._getFeatureValue(this.history[i].metrics, featureName);
+      const previousValue = this._getFeatureValue(this.history[i - 1].metrics, featureName);
+      const timeDelta = this.history[i].timestamp - this.history[i - 1].timestamp;
+      if (currentValue !== null && previousValue !== null && timeDelta > 0) {
+        const velocity = (currentValue - previousValue) / (timeDelta / 1000);
+        sumSquared += velocity * velocity;
+        count++;
+      }
+    }
+
+    return count > 0 ? sumSquared / count : 0;
+  }
+
+  /**
+   * 指定した特徴量の振動の頻度を計算
+   * 増加から減少（またはその逆）への切り替わりを数え、1秒あたりの往復回数を返す
+   * 切り替わりが3回以上ある場合は、最初と最後の極値の間の時間から求める（窓の長さで割ると回数の刻みで値が飛ぶため）
+   * @param {string} featureName - 特徴量の名前
+   * @param {number} windowSize - ウィンドウサイズ（デフォルト: 30フレーム）
+   * @param {number} minExcursion - 切り替わりとみなす直前の極値からの最小変化量（ノイズの除去）
+   * @returns {number} 振動の頻度（Hz）
+   */
+  getOscillationRate(featureName, windowSize = 30, minExcursion = 0.005) {
+    const actualWindowSize = Math.min(windowSize, this.history.length);
+    if (actualWindowSize < 3) {
+      return 0;
+    }
+
+    const frames = this.history.slice(this.history.length - actualWindowSize);
+    const duration = frames[frames.length - 1].timestamp - frames[0].timestamp;
+    if (duration <= 0) {
+      return 0;
+    }
+
+    let extreme = null;
+    let extremeTime = null;
+    let direction = 0;
+    let reversals = 0;
+    let firstReversalTime = null;
+    let lastReversalTime = null;
+
+    for (const frame of frames) {
+      const value = this._getFeatureValue(frame.metrics, featureName);
+      if (value === null) {
+        continue;
+      }
+      if (extreme === null) {
+        extreme = value;
+        extremeTime = frame.timestamp;
+        continue;
+      }
+
+      const change = value - extreme;
+      if ((direction >= 0 && change > 0) || (direction <= 0 && change < 0)) {
+        // 同じ向きの変化（または最初の変化）では極値を更新する
+        if (direction === 0 && Math.abs(change) < minExcursion) {
+          continue;
+        }
+        direction = Math.sign(change);
+        extreme = value;
+        extremeTime = frame.timestamp;
+      } else if (Math.abs(change) >= minExcursion) {
+        // 切り替わりの時刻は直前の極値の時刻とする
+        if (firstReversalTime === null) {
+          firstReversalTime = extremeTime;
+        }
+        lastReversalTime = extremeTime;
+        direction = -direction;
+        extreme = value;
+        extremeTime = frame.timestamp;
+        reversals++;
+      }
+    }
+
+    // 1往復で2回切り替わる
+    if (reversals >= 3 && lastReversalTime > firstReversalTime) {
+      return (reversals - 1) / 2 / ((lastReversalTime - firstReversalTime) / 1000);
+    }
+    return reversals / 2 / (duration / 1000);
+  }
+
   /**
    * 指定した特徴量の変化の傾向を取得
    * @param {string} featureName - 特徴量の名前
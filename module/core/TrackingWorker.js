@@ -0,0 +1,96 @@
+/**
+ * TrackingWorker - トラッキング用 Web Worker のエントリポイント（クラシック Worker として起動する）
+ * 従来の FaceMesh（face_mesh.js）は importScripts でしか読み込めないため、モジュール Worker ではなく
+ * クラシック Worker で FaceMesh を読み込み、MouthTracker は動的 import で読み込みます。
+ * 転送された ImageBitmap で FaceMesh の推論を行い、ランドマークの平滑化と計測値の計算
+ * （MouthTracker.analyzeResults）の結果をメインスレッドに返します。
+ * 基準値・時系列特徴量・FPS の処理はメインスレッドの MouthTracker で行います
+ *
+ * メッセージ:
+ *   - init: {id, faceMeshScriptUrl, trackerOptions} → {type: 'ready', id}
+ *   - frame: {id, bitmap, timestamp} → {type: 'result', id, frame}
+ *   - reset: 平滑化の状態をリセット
+ *   - setSmoothingFactor: {factor}
+ *   失敗した場合は {type: 'error', id, message} を返す
+ */
+
+let tracker = null;
+let latestResults = null;
+
+/**
+ * FaceMesh を読み込み、Worker 内の MouthTracker を初期化
+ * FaceMesh のスクリプトは globalThis.FaceMesh を定義するクラシックスクリプトであること
+ * @param {Object} message - init メッセージ
+ */
+async function initialize(message) {
+    if (!globalThis.FaceMesh) {
+        if (typeof self.importScripts !== 'function') {
+            throw new Error('TrackingWorker はクラシック Worker として起動してください（type: \'module\' では FaceMesh を読み込めません）');
+        }
+        self.importScripts(message.faceMeshScriptUrl);
+        if (!globalThis.FaceMesh) {
+            throw new Error(`FaceMesh のスクリプトが FaceMesh を定義していません: ${message.faceMeshScriptUrl}`);
+        }
+    }
+
+    // 相対パスは Worker のスクリプトの位置から解決される
+    const { MouthTracker } = await import('./MouthTracker.js');
+    tracker = new MouthTracker(null, null, message.trackerOptions || {});
+    await tracker.landmarkProvider.initialize(null);
+    tracker.landmarkProvider.setOnResults((results) => {
+        latestResults = results;
+    });
+}
+
+/**
+ * 1フレームを処理
+ * @param {ImageBitmap} bitmap - フレームの画像
+ * @param {number} timestamp - フレームのタイムスタンプ（ミリ秒）
+ * @returns {Promise<Object|null>} MouthTracker.analyzeResults の結果
+ */
+async function processFrame(bitmap, timestamp) {
+    if (!tracker) {
+        bitmap.close();
+        throw new Error('Worker が初期化されていません');
+    }
+
+    latestResults = null;
+    try {
+        await tracker.landmarkProvider.send(bitmap);
+        // 画素の解析で画像を読み出すため、解析が終わってから解放する
+        return latestResults ? tracker.analyzeResults(latestResults, timestamp, bitmap) : null;
+    } finally {
+        bitmap.close();
+    }
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    try {
+        switch (message.type) {
+            case 'init':
+                await initialize(message);
+                self.postMessage({ type: 'ready', id: message.id });
+                break;
+            case 'frame': {
+                const frame = await processFrame(message.bitmap, message.timestamp);
+                self.postMessage({ type: 'result', id: message.id, frame });
+                break;
+            }
+            case 'reset':
+                if (tracker) {
+                    tracker.smoother.reset();
+                }
+                break;
+            case 'setSmoothingFactor':
+                if (tracker) {
+                    tracker.setSmoothingFactor(message.factor);
+                }
+                break;
+            default:
+                throw new Error(`未対応のメッセージです: ${message.type}`);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', id: message.id, message: error.message });
+    }
+};
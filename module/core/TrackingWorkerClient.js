@@ -0,0 +1,152 @@
+/**
+ * TrackingWorkerClient - トラッキング用 Web Worker との通信クラス
+ * ビデオフレームを ImageBitmap として Worker（TrackingWorker.js）に転送し、
+ * Worker 内で行ったランドマーク検出と計測値の計算の結果（MouthTracker.analyzeResults の形式）を受け取ります
+ */
+
+import { WORKER_CONFIG } from '../config/constants.js';
+
+export class TrackingWorkerClient {
+    /**
+     * @param {Object} options - オプション
+     * @param {string|URL} options.workerUrl - Worker のスクリプト（デフォルト: 同じディレクトリの TrackingWorker.js、クラシック Worker として起動する）
+     * @param {string} options.faceMeshScriptUrl - Worker 内で importScripts により読み込む FaceMesh のスクリプト
+     * @param {number} options.initTimeout - 初期化のタイムアウト（ミリ秒）
+     */
+    constructor(options = {}) {
+        this.workerUrl = options.workerUrl || new URL('./TrackingWorker.js', import.meta.url);
+        this.faceMeshScriptUrl = options.faceMeshScriptUrl || WORKER_CONFIG.faceMeshScriptUrl;
+        this.initTimeout = options.initTimeout || WORKER_CONFIG.initTimeout;
+        this.worker = null;
+        this.nextRequestId = 1;
+        this.pendingRequests = new Map();
+    }
+
+    /**
+     * Worker での処理に必要な機能があるかどうか
+     * @returns {boolean} Worker、OffscreenCanvas、createImageBitmap が使える場合true
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap === 'function';
+    }
+
+    /**
+     * Worker を起動し、FaceMesh を初期化
+     * @param {Object} trackerOptions - Worker 内の MouthTracker のオプション（平滑化の設定等、構造化複製できる値のみ）
+     * @returns {Promise<void>}
+     */
+    async initialize(trackerOptions = {}) {
+        if (!TrackingWorkerClient.isSupported()) {
+            throw new Error('この環境では Web Worker でのトラッキングを利用できません');
+        }
+
+        // face_mesh.js は importScripts でのみ読み込めるため、クラシック Worker として起動する
+        this.worker = new Worker(this.workerUrl);
+        this.worker.onmessage = (event) => this._handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this._rejectAll(new Error(`Worker でエラーが発生しました: ${event.message || '不明なエラー'}`));
+        };
+
+        let timer = null;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('Worker の初期化がタイムアウトしました')), this.initTimeout);
+        });
+        try {
+            await Promise.race([
+                this._request('init', {
+                    faceMeshScriptUrl: new URL(this.faceMeshScriptUrl, globalThis.location?.href).href,
+                    trackerOptions
+                }),
+                timeout
+            ]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * フレームを Worker で処理（ImageBitmap は転送され、呼び出し後は使用できない）
+     * @param {ImageBitmap} bitmap - フレームの画像
+     * @param {number} timestamp - フレームのタイムスタンプ（ミリ秒）
+     * @returns {Promise<Object|null>} MouthTracker.analyzeResults の結果
+     */
+    process(bitmap, timestamp) {
+        if (!this.worker) {
+            bitmap.close();
+            return Promise.reject(new Error('Worker が起動していません'));
+        }
+        return this._request('frame', { bitmap, timestamp }, [bitmap]);
+    }
+
+    /**
+     * Worker 内の平滑化の状態をリセット
+     */
+    reset() {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'reset' });
+        }
+    }
+
+    /**
+     * Worker 内の平滑化係数を設定
+     * @param {number} factor - 平滑化係数 (0.0 - 1.0)
+     */
+    setSmoothingFactor(factor) {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'setSmoothingFactor', factor });
+        }
+    }
+
+    /**
+     * Worker を終了（処理中の要求は中止される）
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this._rejectAll(new Error('Worker が終了しました'));
+    }
+
+    /**
+     * 応答を待つ要求を送信
+     * @private
+     */
+    _request(type, data, transfer = []) {
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pendingRequests.set(id, { resolve, reject });
+            this.worker.postMessage({ type, id, ...data }, transfer);
+        });
+    }
+
+    /**
+     * Worker からの応答を処理
+     * @private
+     */
+    _handleMessage(message) {
+        const request = this.pendingRequests.get(message.id);
+        if (!request) {
+            return;
+        }
+        this.pendingRequests.delete(message.id);
+
+        if (message.type === 'error') {
+            request.reject(new Error(message.message));
+        } else {
+            request.resolve(message.frame !== undefined ? message.frame : null);
+        }
+    }
+
+    /**
+     * 応答待ちの要求を全て失敗させる
+     * @private
+     */
+    _rejectAll(error) {
+        this.pendingRequests.forEach(request => request.reject(error));
+        this.pendingRequests.clear();
+    }
+}
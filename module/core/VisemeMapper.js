@@ -0,0 +1,232 @@
+/**
+ * VisemeMapper - 母音の確率と計測値からリップシンク用のビセーム重みを計算するクラス
+ * 1つのラベルではなく連続値の重みを出力し、アバターのブレンドシェイプにそのまま適用できるようにします
+ *   - oculus: Oculus / Meta の15ビセーム（合計が1になる重み）
+ *   - vrm: VRM の aa / ih / ou / ee / oh（0.0 - 1.0）
+ *   - arkit: ARKit 形式の口のブレンドシェイプ（jawOpen, mouthFunnel, mouthPucker, mouthSmileLeft 等、0.0 - 1.0）
+ * TH / DD / kk / CH / SS / nn / RR は口唇の形状から判別できないため常に0になります
+ */
+
+export const OCULUS_VISEMES = ['sil', 'PP', 'FF', 'TH', 'DD', 'kk', 'CH', 'SS', 'nn', 'RR', 'aa', 'E', 'I', 'O', 'U'];
+
+export const VRM_VISEMES = ['aa', 'ih', 'ou', 'ee', 'oh'];
+
+export const ARKIT_MOUTH_BLENDSHAPES = [
+    'jawOpen',
+    'mouthClose',
+    'mouthFunnel',
+    'mouthPucker',
+    'mouthSmileLeft',
+    'mouthSmileRight',
+    'mouthStretchLeft',
+    'mouthStretchRight',
+    'mouthRollLower'
+];
+
+const VOWEL_TO_OCULUS = { a: 'aa', e: 'E', i: 'I', o: 'O', u: 'U' };
+const VOWEL_TO_VRM = { a: 'aa', i: 'ih', u: 'ou', e: 'ee', o: 'oh' };
+
+export class VisemeMapper {
+    /**
+     * @param {Object} options - オプション
+     * @param {number} options.restOpenness - 安静時の開口量（計測値に innerOpenness・relative がない場合に使用）
+     * @param {Object} options.vowelOpenness - 母音ごとの典型的な開口量（VRM の重みが1になる開口量）
+     * @param {number} options.jawOpenRange - jawOpen が1になる安静時からの開口量
+     * @param {number} options.smileRange - mouthSmile が1になる口角の上がり具合（口の幅の半分に対する比）
+     * @param {number} options.stretchRange - mouthStretch が1になる安静時からの幅の増加率
+     * @param {boolean} options.mirror - 左右を反転するか（カメラ映像を鏡像で扱う場合にtrue）
+     * @param {number} options.smoothing - 出力の平滑化係数（0で平滑化なし、1に近いほど強い）
+     */
+    constructor(options = {}) {
+        this.restOpenness = options.restOpenness || 0.01;
+        this.vowelOpenness = {
+            a: 0.11,
+            i: 0.03,
+            u: 0.04,
+            e: 0.045,
+            o: 0.055,
+            ...(options.vowelOpenness || {})
+        };
+        this.jawOpenRange = options.jawOpenRange || 0.12;
+        this.smileRange = options.smileRange || 0.15;
+        this.stretchRange = options.stretchRange || 0.25;
+        this.mirror = !!options.mirror;
+        this.smoothing = typeof options.smoothing === 'number' ? options.smoothing : 0;
+        this.previous = {};
+    }
+
+    /**
+     * 全ての形式のビセーム重みを計算
+     * @param {Object|null} vowelResult - VowelClassifier の判別結果（probabilities を使用）
+     * @param {Object|null} metrics - 計測値
+     * @param {Object|null} gestures - 進行中の子音ジェスチャー {bilabial, labiodental}（ConsonantGestureDetector.getActiveGestures の結果）
+     * @returns {Object} {oculus, vrm, arkit}
+     */
+    map(vowelResult, metrics, gestures = null) {
+        return {
+            oculus: this.toOculus(vowelResult, gestures),
+            vrm: this.toVrm(vowelResult, metrics),
+            arkit: this.toArkit(vowelResult, metrics, gestures)
+        };
+    }
+
+    /**
+     * Oculus / Meta の15ビセームの重みを計算（合計が1になる）
+     * @param {Object|null} vowelResult - VowelClassifier の判別結果
+     * @param {Object|null} gestures - 進行中の子音ジェスチャー {bilabial, labiodental}
+     * @returns {Object} {sil, PP, FF, ..., aa, E, I, O, U}
+     */
+    toOculus(vowelResult, gestures = null) {
+        const probabilities = VisemeMapper._getProbabilities(vowelResult);
+        const weights = {};
+        OCULUS_VISEMES.forEach(viseme => {
+            weights[viseme] = 0;
+        });
+
+        Object.entries(VOWEL_TO_OCULUS).forEach(([vowel, viseme]) => {
+            weights[viseme] = probabilities[vowel] || 0;
+        });
+        weights.PP = Math.max(probabilities.closed || 0, gestures?.bilabial ? 1 : 0);
+        weights.FF = gestures?.labiodental ? 1 : 0;
+
+        const total = OCULUS_VISEMES.reduce((sum, viseme) => sum + weights[viseme], 0);
+        if (total > 1) {
+            OCULUS_VISEMES.forEach(viseme => {
+                weights[viseme] /= total;
+            });
+        } else {
+            weights.sil = 1 - total;
+        }
+        return this._smooth('oculus', weights);
+    }
+
+    /**
+     * VRM の aa / ih / ou / ee / oh の重みを計算
+     * 母音の確率に、母音ごとの典型的な開口量に対する現在の開き具合を掛ける
+     * @param {Object|null} vowelResult - VowelClassifier の判別結果
+     * @param {Object|null} metrics - 計測値
+     * @returns {Object} {aa, ih, ou, ee, oh}
+     */
+    toVrm(vowelResult, metrics) {
+        const probabilities = VisemeMapper._getProbabilities(vowelResult);
+        const aboveRest = this._getOpennessAboveRest(metrics);
+        const weights = {};
+
+        Object.entries(VOWEL_TO_VRM).forEach(([vowel, viseme]) => {
+            const range = Math.max(this.vowelOpenness[vowel] - this.restOpenness, 1e-3);
+            const intensity = VisemeMapper._clamp(aboveRest / range);
+            weights[viseme] = VisemeMapper._clamp((probabilities[vowel] || 0) * intensity);
+        });
+        return this._smooth('vrm', weights);
+    }
+
+    /**
+     * ARKit 形式の口のブレンドシェイプの重みを計算
+     * @param {Object|null} vowelResult - VowelClassifier の判別結果
+     * @param {Object|null} metrics - 計測値
+     * @param {Object|null} gestures - 進行中の子音ジェスチャー {bilabial, labiodental}
+     * @returns {Object} {jawOpen, mouthClose, mouthFunnel, mouthPucker, mouthSmileLeft, ...}
+     */
+    toArkit(vowelResult, metrics, gestures = null) {
+        const probabilities = VisemeMapper._getProbabilities(vowelResult);
+        const clamp = VisemeMapper._clamp;
+        const weights = {};
+        ARKIT_MOUTH_BLENDSHAPES.forEach(name => {
+            weights[name] = 0;
+        });
+        if (!metrics) {
+            return this._smooth('arkit', weights);
+        }
+
+        const { i = 0, u = 0, e = 0, o = 0, closed = 0 } = probabilities;
+        const jawOpen = clamp(this._getOpennessAboveRest(metrics) / this.jawOpenRange);
+        const circularity = clamp(((metrics.circularity || 0) - 0.3) / 0.4);
+        const protrusion = clamp((metrics.lipProtrusion || 0) / 0.015);
+
+        weights.jawOpen = jawOpen;
+        // 唇を閉じたまま顎が開いている状態（m / p / b の閉鎖）
+        weights.mouthClose = gestures?.bilabial ? Math.max(closed, 0.5) * jawOpen : closed * jawOpen;
+        weights.mouthFunnel = clamp(o * 0.8 + u * 0.4) * (0.5 + 0.5 * circularity);
+        weights.mouthPucker = clamp(u * 0.9 + o * 0.3) * (0.5 + 0.5 * protrusion);
+        weights.mouthRollLower = gestures?.labiodental ? 1 : 0;
+
+        // 口角の角度の sin は口角の上下の変位を表す（上がっている場合に正）
+        const leftCorner = clamp(Math.sin(metrics.mouthCornerAngle?.left || 0) / this.smileRange);
+        const rightCorner = clamp(Math.sin(metrics.mouthCornerAngle?.right || 0) / this.smileRange);
+
+        const widthRatio = metrics.relative?.widthRatio;
+        const stretch = typeof widthRatio === 'number' && widthRatio > 0
+            ? clamp((widthRatio - 1) / this.stretchRange)
+            : clamp((i + e) * 0.6);
+
+        // 画像上の左（ランドマーク61側）は本人の右側。鏡像の場合は画像上の左が本人の左側になる
+        weights.mouthSmileLeft = this.mirror ? leftCorner : rightCorner;
+        weights.mouthSmileRight = this.mirror ? rightCorner : leftCorner;
+        weights.mouthStretchLeft = stretch;
+        weights.mouthStretchRight = stretch;
+        return this._smooth('arkit', weights);
+    }
+
+    /**
+     * 平滑化の状態をリセット
+     */
+    reset() {
+        this.previous = {};
+    }
+
+    /**
+     * 安静時からの開口量を取得
+     * 唇の内縁を計測できる場合は内縁の高さ（唇を閉じると0）をそのまま使う
+     * @private
+     */
+    _getOpennessAboveRest(metrics) {
+        if (!metrics || typeof metrics.openness !== 'number') {
+            return 0;
+        }
+        if (typeof metrics.innerOpenness === 'number') {
+            return Math.max(0, metrics.innerOpenness);
+        }
+        if (metrics.relative && typeof metrics.relative.opennessAboveRest === 'number') {
+            return metrics.relative.opennessAboveRest;
+        }
+        return Math.max(0, metrics.openness - this.restOpenness);
+    }
+
+    /**
+     * 出力を指数移動平均で平滑化
+     * @private
+     */
+    _smooth(key, weights) {
+        if (this.smoothing <= 0) {
+            return weights;
+        }
+        const previous = this.previous[key];
+        if (!previous) {
+            this.previous[key] = { ...weights };
+            return weights;
+        }
+
+        const smoothed = {};
+        Object.keys(weights).forEach(name => {
+            smoothed[name] = previous[name] * this.smoothing + weights[name] * (1 - this.smoothing);
+        });
+        this.previous[key] = smoothed;
+        return { ...smoothed };
+    }
+
+    /**
+     * 判別結果から確率を取り出す
+     * @private
+     */
+    static _getProbabilities(vowelResult) {
+        return (vowelResult && vowelResult.probabilities) || {};
+    }
+
+    /**
+     * 0.0 - 1.0 に制限
+     * @private
+     */
+    static _clamp(value) {
+        return Math.max(0, Math.min(1, value || 0));
+    }
+}
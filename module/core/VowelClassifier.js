@@ -1,10 +1,20 @@
 /**
  * VowelClassifier - 母音判別クラス
  * 計測値を正規化された特徴として受け取り、母音ラベルを推定する。
+ * fit() で学習した場合は、手動調整の閾値の代わりに学習済みモデル（VowelModel）で判別する。
  */
+
+import { VowelModel } from './VowelModel.js';
+import { DataProcessor } from './DataProcessor.js';
+
+export const VOWEL_CLASSIFIER_FORMAT = 'mouth-track-vowel-classifier';
+export const VOWEL_CLASSIFIER_VERSION = 1;
+
 export class VowelClassifier {
     constructor(options = {}) {
         this.baseline = options.baseline || null;
+        // 基準値（metrics.relative または setBaseline）がある場合、閾値を調整した標準的な口の大きさに換算して判別する
+        this.baselineCompensation = options.baselineCompensation !== false;
         this.onVowelDetected = options.onVowelDetected || null;
         this.historyLength = options.historyLength || 7;
         this.vowelHistory = [];
@@ -24,38 +34,53 @@ export class VowelClassifier {
         this.thresholds = {
             closed: {
                 openness: 0.018,
-                opennessRatio: 1.4
+                opennessRatio: 1.4,
+                // 唇の内縁の高さ（innerOpenness）がこれ以下なら閉口（内縁を計測できる場合）
+                innerOpenness: 0.015
             },
+            // 閾値を調整した際の標準的な安静時の口（基準値による補正の換算先）
+            // 計測値と同じ目尻間の距離で正規化した値。幅は成人の口裂幅（約50mm）と外眼角間距離（約90mm）の比
+            neutral: {
+                openness: 0.022,
+                width: 0.55
+            },
+            // 口の幅（width）の閾値は、画像の幅で正規化していた頃に実際の映像で調整した値
+            // （い・え: 0.08以上、う: 0.05以下、お: 0.07前後、安静時の幅 0.065）を、安静時の幅が neutral.width になるよう
+            // 0.55 / 0.065 ≈ 8.5 倍して目尻間の距離で正規化した値に換算したもの
+            // い・えの aspectRatio（幅 / 開口量）は、換算後の幅の下限 0.68 と開口量の閾値から求めた値
+            // （い: 開口量の上限 0.04 で 17、ペナルティの 0.05 で 13.5、え: 開口量の最適値 0.045 で 15、上限 0.06 で 11）
             vowels: {
                 a: {
                     openness: { optimal: 0.11, sigma: 0.02, penaltyThreshold: 0.09 },
                     aspectRatio: { min: 1.1, max: 1.9, falloffRange: 1.6 },
-                    area: { max: 0.025 }
+                    area: { max: 0.025 },
+                    innerAreaRatio: { min: 0.35 }
                 },
                 i: {
-                    aspectRatio: { optimal: 6.5, sigma: 1.5, min: 4.0 },
+                    aspectRatio: { optimal: 17.0, sigma: 4.0, min: 13.5 },
                     openness: { max: 0.04, penaltyThreshold: 0.05 },
-                    width: { min: 0.08, range: 0.05 },
+                    width: { min: 0.68, range: 0.42 },
                     mouthCornerAngle: { max: 0.25 },
                     lipThicknessRatio: { optimal: 0.12, sigma: 0.06 }
                 },
                 u: {
-                    width: { max: 0.05, penaltyThreshold: 0.06 },
+                    width: { max: 0.42, penaltyThreshold: 0.51 },
                     circularity: { min: 0.45, penaltyThreshold: 0.35 },
                     openness: { max: 0.05, sigma: 0.02 },
                     aspectRatio: { min: 1.0, max: 2.4 },
-                    lipProtrusion: { max: 0.012 }
+                    lipProtrusion: { max: 0.012 },
+                    innerAreaRatio: { max: 0.15 }
                 },
                 e: {
-                    aspectRatio: { optimal: 3.0, sigma: 1.0, penaltyThreshold: 2.0 },
+                    aspectRatio: { optimal: 15.0, sigma: 4.0, penaltyThreshold: 11.0 },
                     openness: { min: 0.03, optimal: 0.045, sigma: 0.015, max: 0.06 },
-                    width: { min: 0.08, range: 0.05 },
+                    width: { min: 0.68, range: 0.42 },
                     mouthCornerAngle: { max: 0.28 },
                     lipThicknessGap: { optimal: 0.008, sigma: 0.008 }
                 },
                 o: {
                     circularity: { min: 0.45, penaltyThreshold: 0.38 },
-                    width: { optimal: 0.07, sigma: 0.02 },
+                    width: { optimal: 0.59, sigma: 0.17 },
                     lipProtrusion: { max: 0.015 },
                     thicknessRatio: { optimal: 4.0, sigma: 1.5 },
                     openness: { optimal: 0.055, sigma: 0.02 }
@@ -66,26 +91,45 @@ export class VowelClassifier {
         if (options.thresholds) {
             this.setThresholds(options.thresholds);
         }
+
+        this.model = null;
+        if (options.model) {
+            this.model = options.model instanceof VowelModel ? options.model : VowelModel.fromJSON(options.model);
+        }
     }
 
     /**
      * 計測値から母音を判別
      * @param {Object} metrics - 計測値（正規化済み距離を想定）
      * @param {Object} temporalFeatures - 時系列特徴量
+     * @param {Object|null} speechActivity - SpeechActivityDetector の状態（指定した場合、発話中でなければ母音を出力しない）
      * @returns {Object} 判別結果
      */
-    classify(metrics, temporalFeatures = null) {
+    classify(metrics, temporalFeatures = null, speechActivity = null) {
         if (!this._hasRequiredMetrics(metrics)) {
             return this._createEmptyResult();
         }
 
+        // 発話していない間の口の動き（咀嚼・笑顔・形の保持）は母音として扱わない
+        if (speechActivity && !speechActivity.speaking) {
+            this.reset();
+            return this._isMouthClosed(metrics)
+                ? this._createResult('closed', 1.0, { closed: 1.0, a: 0, i: 0, u: 0, e: 0, o: 0 }, metrics)
+                : this._createEmptyResult();
+        }
+
+        if (this.isTrained()) {
+            return this._classifyWithModel(metrics, temporalFeatures);
+        }
+
         if (this._isMouthClosed(metrics)) {
             return this._createResult('closed', 1.0, { closed: 1.0, a: 0, i: 0, u: 0, e: 0, o: 0 }, metrics);
         }
 
-        const scores = this._calculateScores(metrics);
+        const scoringMetrics = this._compensateMetrics(metrics);
+        const scores = this._calculateScores(scoringMetrics);
         const { vowel: topVowel, maxScore } = this._selectTopVowel(scores);
-        const minScoreThreshold = this._getMinScoreThreshold(metrics);
+        const minScoreThreshold = this._getMinScoreThreshold(scoringMetrics);
         if (maxScore < minScoreThreshold) {
             return this._createEmptyResult();
         }
@@ -99,6 +143,104 @@ export class VowelClassifier {
         return this._createResult(gated.vowel, gated.confidence, smoothedProbabilities, metrics, scores);
     }
 
+    /**
+     * ラベル付きサンプルから判別モデルを学習
+     * ラベルは 'a' / 'i' / 'u' / 'e' / 'o' / 'closed' を想定する。'closed' を含まない場合、閉口判定は従来の閾値で行う。
+     * @param {Array<Object>} samples - [{label, metrics}] の配列
+     * @param {Object} modelOptions - VowelModel のオプション（type: 'gaussian' | 'knn', features 等）
+     * @returns {VowelClassifier} 自身
+     */
+    fit(samples, modelOptions = {}) {
+        const model = new VowelModel(modelOptions);
+        model.fit(samples);
+        this.model = model;
+        this.reset();
+        return this;
+    }
+
+    /**
+     * 学習済みモデルで1フレームを予測（時間方向の平滑化は行わない）
+     * @param {Object} metrics - 計測値
+     * @returns {Object} {label, confidence, probabilities}
+     */
+    predict(metrics) {
+        if (!this.isTrained()) {
+            throw new Error('判別モデルが学習されていません。fit() を先に呼び出してください');
+        }
+        return this.model.predict(metrics);
+    }
+
+    /**
+     * 学習済みモデルを使用しているかどうか
+     * @returns {boolean} 学習済みの場合true
+     */
+    isTrained() {
+        return !!(this.model && this.model.isTrained());
+    }
+
+    /**
+     * 設定と学習済みモデルをシリアライズ
+     * @returns {Object} JSONで表現可能なオブジェクト
+     */
+    toJSON() {
+        return {
+            format: VOWEL_CLASSIFIER_FORMAT,
+            version: VOWEL_CLASSIFIER_VERSION,
+            historyLength: this.historyLength,
+            smoothingAlpha: this.smoothingAlpha,
+            baselineCompensation: this.baselineCompensation,
+            thresholds: this.thresholds,
+            calibrationProfiles: this.calibrationProfiles,
+            model: this.model ? this.model.toJSON() : null
+        };
+    }
+
+    /**
+     * シリアライズされた判別器を復元
+     * @param {string|Object} input - JSON文字列または toJSON の結果
+     * @param {Object} options - 追加のオプション（onVowelDetected 等）
+     * @returns {VowelClassifier} 復元された判別器
+     */
+    static fromJSON(input, options = {}) {
+        const data = typeof input === 'string' ? JSON.parse(input) : input;
+        if (!data || data.format !== VOWEL_CLASSIFIER_FORMAT) {
+            throw new Error('母音判別器の形式が不正です');
+        }
+        if (data.version > VOWEL_CLASSIFIER_VERSION) {
+            throw new Error(`未対応の母音判別器のバージョンです: ${data.version} > ${VOWEL_CLASSIFIER_VERSION}`);
+        }
+
+        const classifier = new VowelClassifier({
+            ...options,
+            historyLength: data.historyLength,
+            smoothingAlpha: data.smoothingAlpha,
+            baselineCompensation: data.baselineCompensation,
+            calibrationProfiles: data.calibrationProfiles,
+            model: data.model
+        });
+        classifier.thresholds = data.thresholds;
+        return classifier;
+    }
+
+    /**
+     * 学習済みモデルによる判別
+     * @private
+     */
+    _classifyWithModel(metrics, temporalFeatures) {
+        if (!this.model.labels.includes('closed') && this._isMouthClosed(metrics)) {
+            return this._createResult('closed', 1.0, { closed: 1.0, a: 0, i: 0, u: 0, e: 0, o: 0 }, metrics);
+        }
+
+        const prediction = this.model.predict(metrics);
+        const probabilities = { ...this._getEmptyProbabilities(), ...prediction.probabilities };
+        const smoothedProbabilities = this._smoothProbabilities(probabilities);
+        const { vowel: topVowel } = this._selectTopVowel(smoothedProbabilities);
+        const smoothed = this._smoothVowel(topVowel, smoothedProbabilities[topVowel] || 0, temporalFeatures);
+
+        const gated = this._applyConfidenceGate(smoothed);
+        return this._createResult(gated.vowel, gated.confidence, smoothedProbabilities, metrics, prediction.probabilities);
+    }
+
     _hasRequiredMetrics(metrics) {
         return metrics && typeof metrics.openness === 'number' && typeof metrics.width === 'number' && typeof metrics.aspectRatio === 'number';
     }
@@ -122,7 +264,11 @@ export class VowelClassifier {
         const aspectScore = this._clampedRatio(aspectRatio, config.aspectRatio.min, config.aspectRatio.max, config.aspectRatio.falloffRange);
         const areaScore = Math.min(area / (config.area.max || 0.02), 1.0);
 
-        const combined = (openScore * 0.65) + (aspectScore * 0.25) + (areaScore * 0.1);
+        const combined = this._blendInnerAreaScore(
+            (openScore * 0.65) + (aspectScore * 0.25) + (areaScore * 0.1),
+            metrics,
+            config.innerAreaRatio ? (ratio) => Math.min(ratio / config.innerAreaRatio.min, 1.0) : null
+        );
         
         if (openness < config.openness.penaltyThreshold) {
             const penaltyFactor = Math.max(0.18, openness / config.openness.penaltyThreshold);
@@ -175,7 +321,13 @@ export class VowelClassifier {
         const aspectScore = (aspectRatio >= config.aspectRatio.min && aspectRatio <= config.aspectRatio.max) ? 1.0 : 0.6;
         const protrusionScore = lipProtrusion ? Math.min(lipProtrusion / config.lipProtrusion.max, 1.0) : 0.2;
 
-        const combined = (widthScore * 0.25) + (circularityScore * 0.25) + (opennessScore * 0.2) + (protrusionScore * 0.2) + (aspectScore * 0.1);
+        const combined = this._blendInnerAreaScore(
+            (widthScore * 0.25) + (circularityScore * 0.25) + (opennessScore * 0.2) + (protrusionScore * 0.2) + (aspectScore * 0.1),
+            metrics,
+            config.innerAreaRatio
+                ? (ratio) => ratio <= config.innerAreaRatio.max ? 1.0 : Math.max(0, 1.0 - (ratio - config.innerAreaRatio.max) / config.innerAreaRatio.max)
+                : null
+        );
         if (width > config.width.penaltyThreshold) return combined * 0.18;
         if (circularity < config.circularity.penaltyThreshold) return combined * 0.38;
         if (openness < 0.04) {
@@ -226,6 +378,23 @@ export class VowelClassifier {
         return combined;
     }
 
+    /**
+     * 内縁と外縁の面積比（innerToOuterAreaRatio）のスコアを加味する
+     * 唇の内縁を計測できない場合や閾値がない場合（古い形式の閾値）は元のスコアのまま
+     * @private
+     * @param {number} combined - 内縁以外の特徴量によるスコア
+     * @param {Object} metrics - 計測値
+     * @param {Function|null} scoreRatio - 面積比からスコア（0.0 - 1.0）を求める関数
+     * @returns {number} スコア
+     */
+    _blendInnerAreaScore(combined, metrics, scoreRatio) {
+        const ratio = metrics.innerToOuterAreaRatio;
+        if (typeof ratio !== 'number' || !scoreRatio) {
+            return combined;
+        }
+        return combined * 0.85 + scoreRatio(ratio) * 0.15;
+    }
+
     _gaussianScore(value, optimal, sigma) {
         const diff = value - optimal;
         const variance = sigma * sigma || 1e-6;
@@ -241,6 +410,12 @@ export class VowelClassifier {
     _isMouthClosed(metrics) {
         const { openness, upperLipThickness = 0, lowerLipThickness = 0, width = 0 } = metrics;
 
+        // 唇の内縁を計測できる場合は唇の間の隙間で判定する（唇の厚さで開いて見えることがない）
+        const innerClosedThreshold = this.thresholds.closed?.innerOpenness;
+        if (typeof metrics.innerOpenness === 'number' && typeof innerClosedThreshold === 'number') {
+            return metrics.innerOpenness <= innerClosedThreshold;
+        }
+
         if (openness <= 0.018) {
             return true;
         }
@@ -257,6 +432,11 @@ export class VowelClassifier {
             return openness <= baselineOpenness * opennessRatio;
         }
 
+        if (metrics.relative && metrics.relative.opennessRatio > 0) {
+            const opennessRatio = this.thresholds.closed?.opennessRatio ?? 1.4;
+            return metrics.relative.opennessRatio <= opennessRatio;
+        }
+
         const closedOpennessThreshold = this.thresholds.closed?.openness ?? 0.018;
         if (openness <= closedOpennessThreshold) {
             return true;
@@ -265,6 +445,45 @@ export class VowelClassifier {
         return false;
     }
 
+    /**
+     * 基準値に対する相対値を使い、計測値を標準的な口の大きさ（thresholds.neutral）に換算
+     * 口の大きさの差は安静時の幅の比で、安静時の唇の隙間は開口量から差し引いて補正する。
+     * キャリブレーションプロファイルは本人の絶対値のため、設定されている場合は補正しない。
+     * @private
+     * @param {Object} metrics - 計測値
+     * @returns {Object} 補正後の計測値（補正しない場合は元の計測値）
+     */
+    _compensateMetrics(metrics) {
+        if (!this.baselineCompensation || Object.keys(this.calibrationProfiles || {}).length > 0) {
+            return metrics;
+        }
+
+        const relative = metrics.relative || DataProcessor.calculateRelativeMetrics(metrics, this.baseline);
+        const neutral = this.thresholds.neutral;
+        if (!relative || !neutral || !(relative.widthRatio > 0) || !(metrics.width > 0)) {
+            return metrics;
+        }
+
+        // 安静時の幅を標準値に合わせる倍率（異常な基準値による過補正を防ぐため制限する）
+        const factor = Math.max(0.5, Math.min((neutral.width * relative.widthRatio) / metrics.width, 2.0));
+        const scaleDistance = (value) => typeof value === 'number' ? value * factor : value;
+
+        const compensated = {
+            ...metrics,
+            openness: neutral.openness + relative.opennessAboveRest * factor,
+            width: metrics.width * factor,
+            area: typeof metrics.area === 'number' ? metrics.area * factor * factor : metrics.area,
+            upperLipThickness: scaleDistance(metrics.upperLipThickness),
+            lowerLipThickness: scaleDistance(metrics.lowerLipThickness),
+            jawMovement: scaleDistance(metrics.jawMovement),
+            lipProtrusion: scaleDistance(metrics.lipProtrusion),
+            innerOpenness: scaleDistance(metrics.innerOpenness),
+            innerArea: typeof metrics.innerArea === 'number' ? metrics.innerArea * factor * factor : metrics.innerArea
+        };
+        compensated.aspectRatio = compensated.width / (compensated.openness + 0.0001);
+        return compensated;
+    }
+
     _getMinScoreThreshold(metrics) {
         return metrics.openness < 0.04 ? 0.45 : 0.28;
     }
@@ -413,10 +632,31 @@ export class VowelClassifier {
         };
     }
 
+    /**
+     * 平滑化の履歴をリセット
+     */
+    reset() {
+        this.vowelHistory = [];
+        this.probabilityEma = null;
+    }
+
+    /**
+     * 基準値を設定（閉口判定と個人差の補正に使用）
+     * MouthTracker の計測値に relative が付与されている場合は設定しなくても補正される
+     * @param {Object|null} baseline - CalibrationManager の基準値
+     */
     setBaseline(baseline) {
         this.baseline = baseline;
     }
 
+    /**
+     * キャリブレーションで得た特徴量ごとの mean / sigma を設定
+     * @param {Object} calibrationProfiles - {vowel: {feature: {mean, sigma}}}（GuidedCalibration の結果）
+     */
+    setCalibrationProfiles(calibrationProfiles) {
+        this.calibrationProfiles = { ...calibrationProfiles };
+    }
+
     setThresholds(thresholds) {
         if (thresholds.calibrationProfiles) {
             this.calibrationProfiles = { ...this.calibrationProfiles, ...thresholds.calibrationProfiles };
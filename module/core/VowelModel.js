@@ -0,0 +1,382 @@
+/**
+ * VowelModel - 学習可能な母音判別モデル
+ * ラベル付きの計測値サンプルから、母音ごとの多変量ガウス分布またはk近傍法で判別します。
+ * 特徴量は学習データ全体の平均・標準偏差で標準化してから扱います。
+ */
+
+import { getValueByPath } from '../utils/ObjectUtils.js';
+
+export const VOWEL_MODEL_FORMAT = 'mouth-track-vowel-model';
+export const VOWEL_MODEL_VERSION = 1;
+
+// 判別に使用するデフォルトの特徴量（計測値のドット区切りパス）
+// mouthCornerAngle は atan2 の角度で、左の口角は ±π 付近を行き来して値が約 2π 跳ぶため距離の計算に使わない
+export const DEFAULT_MODEL_FEATURES = [
+    'openness',
+    'width',
+    'aspectRatio',
+    'area',
+    'circularity',
+    'upperLipThickness',
+    'lowerLipThickness',
+    'lipProtrusion'
+];
+
+const MODEL_TYPES = ['gaussian', 'knn'];
+
+/**
+ * 対称正定値行列のコレスキー分解（A = L L^T）
+ * @param {Array<Array<number>>} matrix - 対称正定値行列
+ * @returns {Array<Array<number>>} 下三角行列 L
+ */
+function choleskyDecompose(matrix) {
+    const n = matrix.length;
+    const lower = Array.from({ length: n }, () => new Array(n).fill(0));
+
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) {
+                sum -= lower[i][k] * lower[j][k];
+            }
+            if (i === j) {
+                if (sum <= 0) {
+                    throw new Error('共分散行列が正定値ではありません。regularization を大きくしてください');
+                }
+                lower[i][i] = Math.sqrt(sum);
+            } else {
+                lower[i][j] = sum / lower[j][j];
+            }
+        }
+    }
+    return lower;
+}
+
+/**
+ * コレスキー因子を使ってマハラノビス距離の二乗を計算（L y = diff を前進代入で解く）
+ * @param {Array<Array<number>>} lower - 下三角行列 L
+ * @param {Array<number>} diff - 平均との差ベクトル
+ * @returns {number} マハラノビス距離の二乗
+ */
+function mahalanobisSquared(lower, diff) {
+    const n = diff.length;
+    const y = new Array(n).fill(0);
+    let total = 0;
+    for (let i = 0; i < n; i++) {
+        let sum = diff[i];
+        for (let k = 0; k < i; k++) {
+            sum -= lower[i][k] * y[k];
+        }
+        y[i] = sum / lower[i][i];
+        total += y[i] * y[i];
+    }
+    return total;
+}
+
+export class VowelModel {
+    /**
+     * @param {Object} options - オプション
+     * @param {string} options.type - 'gaussian'（多変量ガウス、デフォルト）または 'knn'
+     * @param {Array<string>} options.features - 使用する特徴量
+     * @param {number} options.k - kNNの近傍数（デフォルト: 5）
+     * @param {number} options.regularization - 共分散行列の対角に加える値（標準化後の単位、デフォルト: 0.01）
+     * @param {string} options.covariance - 'full'（デフォルト）または 'diagonal'
+     */
+    constructor(options = {}) {
+        this.type = options.type || 'gaussian';
+        if (!MODEL_TYPES.includes(this.type)) {
+            throw new Error(`未対応のモデル種別です: ${this.type}`);
+        }
+        this.features = options.features || DEFAULT_MODEL_FEATURES.slice();
+        this.k = options.k || 5;
+        this.regularization = typeof options.regularization === 'number' ? options.regularization : 0.01;
+        this.covariance = options.covariance || 'full';
+
+        this.labels = [];
+        this.featureMean = [];
+        this.featureStd = [];
+        this.classes = {};
+        this.samples = [];
+    }
+
+    /**
+     * 学習済みかどうか
+     * @returns {boolean} 学習済みの場合true
+     */
+    isTrained() {
+        return this.labels.length > 0;
+    }
+
+    /**
+     * 計測値から特徴ベクトルを取り出す（数値でない値は0とする）
+     * @param {Object} metrics - 計測値
+     * @returns {Array<number>} 特徴ベクトル
+     */
+    extractFeatures(metrics) {
+        return this.features.map(name => {
+            const value = getValueByPath(metrics, name);
+            return typeof value === 'number' && Number.isFinite(value) ? value : 0;
+        });
+    }
+
+    /**
+     * ラベル付きサンプルから学習
+     * @param {Array<Object>} samples - [{label, metrics}] または [{label, features}]
+     * @returns {VowelModel} 自身
+     */
+    fit(samples) {
+        if (!Array.isArray(samples) || samples.length === 0) {
+            throw new Error('学習サンプルがありません');
+        }
+
+        const vectors = samples.map((sample, index) => {
+            if (!sample || typeof sample.label !== 'string' || sample.label.length === 0) {
+                throw new Error(`サンプル${index}にラベルがありません`);
+            }
+            return Array.isArray(sample.features) ? sample.features.slice() : this.extractFeatures(sample.metrics);
+        });
+        if (vectors.some(vector => vector.length !== this.features.length)) {
+            throw new Error(`特徴量の次元が一致しません（期待値: ${this.features.length}）`);
+        }
+
+        this._fitStandardization(vectors);
+        const standardized = vectors.map(vector => this._standardize(vector));
+        this.labels = Array.from(new Set(samples.map(sample => sample.label)));
+
+        if (this.type === 'knn') {
+            this.classes = {};
+            this.labels.forEach(label => {
+                this.classes[label] = { count: samples.filter(sample => sample.label === label).length };
+            });
+            this.samples = standardized.map((vector, index) => ({ label: samples[index].label, vector }));
+        } else {
+            this.samples = [];
+            this.classes = {};
+            this.labels.forEach(label => {
+                const classVectors = standardized.filter((vector, index) => samples[index].label === label);
+                this.classes[label] = this._fitGaussian(classVectors);
+            });
+            this._prepareGaussians();
+        }
+
+        return this;
+    }
+
+    /**
+     * 計測値からラベルを予測
+     * @param {Object} metrics - 計測値（features を直接渡す場合は {features: [...]}）
+     * @returns {Object} {label, confidence, probabilities}
+     */
+    predict(metrics) {
+        if (!this.isTrained()) {
+            throw new Error('モデルが学習されていません');
+        }
+
+        const raw = Array.isArray(metrics?.features) ? metrics.features : this.extractFeatures(metrics);
+        const vector = this._standardize(raw);
+        const probabilities = this.type === 'knn'
+            ? this._predictKnn(vector)
+            : this._predictGaussian(vector);
+
+        let label = null;
+        let confidence = 0;
+        Object.entries(probabilities).forEach(([key, probability]) => {
+            if (probability > confidence) {
+                label = key;
+                confidence = probability;
+            }
+        });
+
+        return { label, confidence, probabilities };
+    }
+
+    /**
+     * モデルをシリアライズ
+     * @returns {Object} JSONで表現可能なオブジェクト
+     */
+    toJSON() {
+        const classes = {};
+        Object.entries(this.classes).forEach(([label, params]) => {
+            classes[label] = this.type === 'knn'
+                ? { count: params.count }
+                : { count: params.count, mean: params.mean, covariance: params.covariance };
+        });
+
+        return {
+            format: VOWEL_MODEL_FORMAT,
+            version: VOWEL_MODEL_VERSION,
+            type: this.type,
+            features: this.features,
+            k: this.k,
+            regularization: this.regularization,
+            covariance: this.covariance,
+            labels: this.labels,
+            featureMean: this.featureMean,
+            featureStd: this.featureStd,
+            classes,
+            samples: this.type === 'knn' ? this.samples : []
+        };
+    }
+
+    /**
+     * シリアライズされたモデルを復元
+     * @param {string|Object} input - JSON文字列または toJSON の結果
+     * @returns {VowelModel} 復元されたモデル
+     */
+    static fromJSON(input) {
+        const data = typeof input === 'string' ? JSON.parse(input) : input;
+        if (!data || data.format !== VOWEL_MODEL_FORMAT) {
+            throw new Error('母音モデルの形式が不正です');
+        }
+        if (data.version > VOWEL_MODEL_VERSION) {
+            throw new Error(`未対応の母音モデルのバージョンです: ${data.version} > ${VOWEL_MODEL_VERSION}`);
+        }
+
+        const model = new VowelModel({
+            type: data.type,
+            features: data.features,
+            k: data.k,
+            regularization: data.regularization,
+            covariance: data.covariance
+        });
+        model.labels = data.labels.slice();
+        model.featureMean = data.featureMean.slice();
+        model.featureStd = data.featureStd.slice();
+        model.samples = (data.samples || []).map(sample => ({ label: sample.label, vector: sample.vector.slice() }));
+        model.classes = {};
+        Object.entries(data.classes).forEach(([label, params]) => {
+            model.classes[label] = { ...params };
+        });
+        if (model.type === 'gaussian') {
+            model._prepareGaussians();
+        }
+        return model;
+    }
+
+    /**
+     * 標準化のための平均・標準偏差を計算
+     * @private
+     */
+    _fitStandardization(vectors) {
+        const dimension = this.features.length;
+        this.featureMean = new Array(dimension).fill(0);
+        this.featureStd = new Array(dimension).fill(0);
+
+        vectors.forEach(vector => vector.forEach((value, i) => { this.featureMean[i] += value; }));
+        this.featureMean = this.featureMean.map(sum => sum / vectors.length);
+
+        vectors.forEach(vector => vector.forEach((value, i) => {
+            const diff = value - this.featureMean[i];
+            this.featureStd[i] += diff * diff;
+        }));
+        this.featureStd = this.featureStd.map(sum => Math.sqrt(sum / vectors.length) || 1);
+    }
+
+    /**
+     * 特徴ベクトルを標準化
+     * @private
+     */
+    _standardize(vector) {
+        return vector.map((value, i) => (value - this.featureMean[i]) / this.featureStd[i]);
+    }
+
+    /**
+     * 1クラス分のガウス分布を推定
+     * @private
+     */
+    _fitGaussian(vectors) {
+        const dimension = this.features.length;
+        const mean = new Array(dimension).fill(0);
+        vectors.forEach(vector => vector.forEach((value, i) => { mean[i] += value; }));
+        for (let i = 0; i < dimension; i++) {
+            mean[i] /= vectors.length;
+        }
+
+        const covariance = Array.from({ length: dimension }, () => new Array(dimension).fill(0));
+        vectors.forEach(vector => {
+            for (let i = 0; i < dimension; i++) {
+                for (let j = 0; j < dimension; j++) {
+                    covariance[i][j] += (vector[i] - mean[i]) * (vector[j] - mean[j]);
+                }
+            }
+        });
+        for (let i = 0; i < dimension; i++) {
+            for (let j = 0; j < dimension; j++) {
+                covariance[i][j] /= vectors.length;
+                if (this.covariance === 'diagonal' && i !== j) {
+                    covariance[i][j] = 0;
+                }
+            }
+            covariance[i][i] += this.regularization;
+        }
+
+        return { count: vectors.length, mean, covariance };
+    }
+
+    /**
+     * 予測用にコレスキー因子と対数行列式を計算
+     * @private
+     */
+    _prepareGaussians() {
+        const total = Object.values(this.classes).reduce((sum, params) => sum + params.count, 0);
+        Object.values(this.classes).forEach(params => {
+            params.cholesky = choleskyDecompose(params.covariance);
+            params.logDet = 2 * params.cholesky.reduce((sum, row, i) => sum + Math.log(row[i]), 0);
+            params.logPrior = Math.log(params.count / total);
+        });
+    }
+
+    /**
+     * 多変量ガウス分布による事後確率
+     * @private
+     */
+    _predictGaussian(vector) {
+        const logPosteriors = {};
+        this.labels.forEach(label => {
+            const params = this.classes[label];
+            const diff = vector.map((value, i) => value - params.mean[i]);
+            logPosteriors[label] = params.logPrior - 0.5 * (params.logDet + mahalanobisSquared(params.cholesky, diff));
+        });
+
+        const maxLog = Math.max(...Object.values(logPosteriors));
+        const expValues = {};
+        let sum = 0;
+        this.labels.forEach(label => {
+            expValues[label] = Math.exp(logPosteriors[label] - maxLog);
+            sum += expValues[label];
+        });
+
+        const probabilities = {};
+        this.labels.forEach(label => {
+            probabilities[label] = expValues[label] / sum;
+        });
+        return probabilities;
+    }
+
+    /**
+     * k近傍法による確率（距離の逆数で重み付け）
+     * @private
+     */
+    _predictKnn(vector) {
+        const neighbors = this.samples
+            .map(sample => ({
+                label: sample.label,
+                distance: Math.sqrt(sample.vector.reduce((sum, value, i) => sum + (value - vector[i]) * (value - vector[i]), 0))
+            }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, Math.min(this.k, this.samples.length));
+
+        const weights = {};
+        this.labels.forEach(label => { weights[label] = 0; });
+        neighbors.forEach(neighbor => {
+            weights[neighbor.label] += 1 / (neighbor.distance + 1e-6);
+        });
+
+        const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+        const probabilities = {};
+        this.labels.forEach(label => {
+            probabilities[label] = total > 0 ? weights[label] / total : 0;
+        });
+        return probabilities;
+    }
+}
@@ -0,0 +1,230 @@
+/**
+ * VowelSegmenter - フレームごとの母音ラベルを時間区間（セグメント）にまとめるクラス
+ * 字幕やリップシンクのキーフレーム用に、onset / offset のタイムスタンプを持つ区間を作成します。
+ * 最短時間に満たない区間は破棄し、許容時間以内の途切れ（別ラベルや未検出）は同じ区間として結合します
+ */
+
+export class VowelSegmenter {
+    /**
+     * @param {Object} options - オプション
+     * @param {number} options.minDuration - 区間として確定する最短時間（ミリ秒）
+     * @param {number} options.gapTolerance - 同じ区間として結合する途切れの最大時間（ミリ秒）
+     * @param {Array<string>} options.ignoreLabels - 区間にしないラベル（例: ['closed']）
+     * @param {Function} options.onSegmentStart - 区間の開始が確定した時のコールバック ({vowel, displayVowel, start})
+     * @param {Function} options.onSegmentEnd - 区間が終了した時のコールバック (segment)
+     */
+    constructor(options = {}) {
+        this.minDuration = typeof options.minDuration === 'number' ? options.minDuration : 80;
+        this.gapTolerance = typeof options.gapTolerance === 'number' ? options.gapTolerance : 60;
+        this.ignoreLabels = options.ignoreLabels || [];
+        this.onSegmentStart = options.onSegmentStart || null;
+        this.onSegmentEnd = options.onSegmentEnd || null;
+
+        this.reset();
+    }
+
+    /**
+     * 1フレーム分の判別結果を追加
+     * @param {Object} result - VowelClassifier / VowelSequenceDecoder の結果、または SessionPlayer のペイロード
+     * @param {number} timestamp - フレームのタイムスタンプ（ミリ秒、省略時は result.timestamp）
+     * @returns {Array<Object>} このフレームで発生したイベント [{type: 'segmentStart' | 'segmentEnd', segment}]
+     */
+    push(result, timestamp = null) {
+        const frame = VowelSegmenter._createFrame(result, timestamp);
+        const events = [];
+
+        if (!this.current) {
+            this.current = this._createCandidate(frame);
+            this._checkStart(events);
+            return events;
+        }
+
+        if (frame.vowel === this.current.vowel) {
+            this._addFrame(this.current, frame);
+            this.gapStart = null;
+            this.pending = null;
+            this._checkStart(events);
+            return events;
+        }
+
+        if (this.gapStart === null) {
+            this.gapStart = frame.timestamp;
+        }
+        if (frame.vowel !== null) {
+            if (this.pending && this.pending.vowel === frame.vowel) {
+                this._addFrame(this.pending, frame);
+            } else {
+                this.pending = this._createCandidate(frame);
+            }
+        } else {
+            this.pending = null;
+        }
+
+        if (frame.timestamp - this.gapStart > this.gapTolerance) {
+            this._closeCurrent(this.gapStart, events);
+            this.current = this.pending;
+            this.pending = null;
+            this.gapStart = null;
+            this._checkStart(events);
+        }
+        return events;
+    }
+
+    /**
+     * 処理中の区間を終了
+     * @param {number|null} timestamp - 終了時刻（省略時は最後のフレームの時刻）
+     * @returns {Array<Object>} 発生したイベント
+     */
+    flush(timestamp = null) {
+        const events = [];
+        if (this.current) {
+            const end = this.gapStart !== null
+                ? this.gapStart
+                : (timestamp !== null ? timestamp : this.current.lastTime);
+            this._closeCurrent(end, events);
+        }
+        this.current = null;
+        this.pending = null;
+        this.gapStart = null;
+        return events;
+    }
+
+    /**
+     * 系列全体を区間に分割（逐次処理の状態には影響しない）
+     * @param {Array<Object>} sequence - 判別結果またはペイロードの配列（timestamp を持つこと）
+     * @returns {Array<Object>} 区間の配列
+     */
+    segment(sequence) {
+        const segmenter = new VowelSegmenter({
+            minDuration: this.minDuration,
+            gapTolerance: this.gapTolerance,
+            ignoreLabels: this.ignoreLabels
+        });
+        sequence.forEach(item => segmenter.push(item));
+        segmenter.flush();
+        return segmenter.getSegments();
+    }
+
+    /**
+     * 確定した区間を取得
+     * @returns {Array<Object>} 区間の配列 [{vowel, displayVowel, start, end, duration, peakConfidence, meanProbabilities, frameCount}]
+     */
+    getSegments() {
+        return this.segments.slice();
+    }
+
+    /**
+     * 状態と区間の履歴をリセット
+     */
+    reset() {
+        this.segments = [];
+        this.current = null;
+        this.pending = null;
+        this.gapStart = null;
+    }
+
+    /**
+     * 入力からフレーム情報を取り出す
+     * @private
+     */
+    static _createFrame(result, timestamp) {
+        const source = result && result.vowelResult !== undefined ? result.vowelResult : result;
+        const time = typeof timestamp === 'number'
+            ? timestamp
+            : (result && typeof result.timestamp === 'number' ? result.timestamp : Date.now());
+        return {
+            vowel: source && typeof source.vowel === 'string' ? source.vowel : null,
+            displayVowel: source ? source.displayVowel || null : null,
+            confidence: source ? source.confidence || 0 : 0,
+            probabilities: source ? source.probabilities || null : null,
+            timestamp: time
+        };
+    }
+
+    /**
+     * 区間の候補を作成（ラベルなし・除外ラベルの場合はnull）
+     * @private
+     */
+    _createCandidate(frame) {
+        if (frame.vowel === null || this.ignoreLabels.includes(frame.vowel)) {
+            return null;
+        }
+        const candidate = {
+            vowel: frame.vowel,
+            displayVowel: frame.displayVowel,
+            start: frame.timestamp,
+            lastTime: frame.timestamp,
+            peakConfidence: 0,
+            probabilitySums: {},
+            frameCount: 0,
+            started: false
+        };
+        this._addFrame(candidate, frame);
+        return candidate;
+    }
+
+    /**
+     * 区間にフレームを追加
+     * @private
+     */
+    _addFrame(candidate, frame) {
+        candidate.lastTime = frame.timestamp;
+        candidate.peakConfidence = Math.max(candidate.peakConfidence, frame.confidence);
+        candidate.frameCount++;
+        if (frame.probabilities) {
+            Object.entries(frame.probabilities).forEach(([key, value]) => {
+                candidate.probabilitySums[key] = (candidate.probabilitySums[key] || 0) + (value || 0);
+            });
+        }
+    }
+
+    /**
+     * 最短時間に達した区間の開始を通知
+     * @private
+     */
+    _checkStart(events) {
+        const current = this.current;
+        if (!current || current.started || current.lastTime - current.start < this.minDuration) {
+            return;
+        }
+        current.started = true;
+
+        const segment = { vowel: current.vowel, displayVowel: current.displayVowel, start: current.start };
+        events.push({ type: 'segmentStart', segment });
+        if (this.onSegmentStart) {
+            this.onSegmentStart(segment);
+        }
+    }
+
+    /**
+     * 処理中の区間を終了し、開始済みであれば確定して通知
+     * @private
+     */
+    _closeCurrent(end, events) {
+        const current = this.current;
+        if (!current || !current.started) {
+            return;
+        }
+
+        const meanProbabilities = {};
+        Object.entries(current.probabilitySums).forEach(([key, sum]) => {
+            meanProbabilities[key] = sum / current.frameCount;
+        });
+
+        const segment = {
+            vowel: current.vowel,
+            displayVowel: current.displayVowel,
+            start: current.start,
+            end,
+            duration: end - current.start,
+            peakConfidence: current.peakConfidence,
+            meanProbabilities,
+            frameCount: current.frameCount
+        };
+        this.segments.push(segment);
+        events.push({ type: 'segmentEnd', segment });
+        if (this.onSegmentEnd) {
+            this.onSegmentEnd(segment);
+        }
+    }
+}
@@ -0,0 +1,266 @@
+/**
+ * VowelSequenceDecoder - HMM（ビタビアルゴリズム）による母音系列のデコード
+ * VowelClassifier のフレームごとの probabilities を出力確率として扱い、遷移確率で不自然な短時間の切り替わりを抑えます。
+ *   - オンライン: 固定遅延（lag フレーム）で確定した結果を逐次出力
+ *   - オフライン: 記録済みセッション全体をビタビアルゴリズムでデコード
+ * VowelClassifier 側の指数移動平均は遅延の原因になるため、併用する場合は smoothingAlpha: 0 を推奨します
+ */
+
+export const DEFAULT_DECODER_STATES = ['closed', 'a', 'i', 'u', 'e', 'o', 'none'];
+
+const VOWEL_STATES = ['a', 'i', 'u', 'e', 'o'];
+
+export class VowelSequenceDecoder {
+    /**
+     * @param {Object} options - オプション
+     * @param {Array<string>} options.states - 状態（'none' は母音なし。デフォルト: 閉口 + 5母音 + none）
+     * @param {number} options.selfTransition - 同じ状態に留まる確率
+     * @param {number} options.vowelSwitchWeight - 母音から別の母音へ直接移る遷移の重み（他の遷移に対する比、小さいほど抑制）
+     * @param {Object} options.transitions - 遷移確率の個別指定 {from: {to: probability}}（指定後に各行を正規化）
+     * @param {number} options.lag - オンラインデコードの遅延フレーム数
+     * @param {number} options.minEmission - 出力確率の下限（0の確率で経路が途切れないようにする）
+     * @param {number} options.emissionWeight - 出力確率の重み（大きいほど遷移確率より観測を重視）
+     * @param {Function} options.onDecoded - オンラインデコードで結果が確定した時のコールバック (decoded)
+     */
+    constructor(options = {}) {
+        this.states = options.states || DEFAULT_DECODER_STATES;
+        // 既定値では母音の切り替え1回の対数コストが約2.3（出力確率の重み付き）になり、
+        // 1〜2フレームの揺らぎは抑えつつ、確率の比が1.2程度の差でも数フレーム続く母音は残す
+        this.selfTransition = typeof options.selfTransition === 'number' ? options.selfTransition : 0.6;
+        this.vowelSwitchWeight = typeof options.vowelSwitchWeight === 'number' ? options.vowelSwitchWeight : 0.8;
+        this.lag = typeof options.lag === 'number' ? options.lag : 5;
+        this.minEmission = options.minEmission || 1e-3;
+        this.emissionWeight = options.emissionWeight || 4.0;
+        this.onDecoded = options.onDecoded || null;
+
+        this.setTransitions(options.transitions || null);
+        this.reset();
+    }
+
+    /**
+     * 遷移確率行列を設定
+     * 既定値は selfTransition と vowelSwitchWeight から作成し、transitions で個別に上書きする
+     * @param {Object|null} transitions - {from: {to: probability}}
+     */
+    setTransitions(transitions = null) {
+        const matrix = {};
+        this.states.forEach(from => {
+            const row = {};
+            const others = this.states.filter(to => to !== from);
+            const weights = others.map(to => (VOWEL_STATES.includes(from) && VOWEL_STATES.includes(to))
+                ? this.vowelSwitchWeight
+                : 1.0);
+            const totalWeight = weights.reduce((sum, w) => sum + w, 0) || 1;
+
+            row[from] = this.selfTransition;
+            others.forEach((to, index) => {
+                row[to] = (1 - this.selfTransition) * weights[index] / totalWeight;
+            });
+
+            if (transitions && transitions[from]) {
+                Object.assign(row, transitions[from]);
+            }
+
+            const rowSum = this.states.reduce((sum, to) => sum + (row[to] || 0), 0);
+            if (!(rowSum > 0)) {
+                throw new Error(`遷移確率が不正です: ${from}`);
+            }
+            matrix[from] = {};
+            this.states.forEach(to => {
+                matrix[from][to] = (row[to] || 0) / rowSum;
+            });
+        });
+
+        this.transitions = matrix;
+        this.logTransitions = this.states.map(from => this.states.map(to => Math.log(matrix[from][to] || 1e-12)));
+    }
+
+    /**
+     * オンラインデコードに1フレームを追加
+     * lag フレーム前のフレームの結果を確定して返す（バッファが溜まるまではnull）
+     * @param {Object} probabilities - フレームの確率 {a, i, u, e, o, closed}（VowelClassifier の結果を渡してもよい）
+     * @param {number} timestamp - フレームのタイムスタンプ（ミリ秒）
+     * @returns {Object|null} 確定した結果 {vowel, state, confidence, frameIndex, timestamp}
+     */
+    push(probabilities, timestamp = Date.now()) {
+        this._step(VowelSequenceDecoder.extractProbabilities(probabilities), timestamp);
+
+        if (this.window.length <= this.lag) {
+            return null;
+        }
+
+        const path = this._backtrack();
+        const decoded = this._createDecoded(this.window[0], path[0]);
+        this.window.shift();
+        this._emit(decoded);
+        return decoded;
+    }
+
+    /**
+     * オンラインデコードで未確定のフレームを全て確定して返し、状態をリセット
+     * @returns {Array<Object>} 確定した結果の配列
+     */
+    flush() {
+        if (this.window.length === 0) {
+            return [];
+        }
+
+        const path = this._backtrack();
+        const decoded = this.window.map((frame, index) => this._createDecoded(frame, path[index]));
+        this.reset();
+        decoded.forEach(item => this._emit(item));
+        return decoded;
+    }
+
+    /**
+     * 系列全体をビタビアルゴリズムでデコード（オンラインデコードの状態には影響しない）
+     * @param {Array<Object>} sequence - 確率、VowelClassifier の結果、SessionPlayer のペイロード、または記録済みフレームの配列
+     * @returns {Array<Object>} フレームごとの結果 {vowel, state, confidence, frameIndex, timestamp}
+     */
+    decode(sequence) {
+        const decoder = new VowelSequenceDecoder({
+            states: this.states,
+            minEmission: this.minEmission,
+            emissionWeight: this.emissionWeight
+        });
+        decoder.transitions = this.transitions;
+        decoder.logTransitions = this.logTransitions;
+
+        sequence.forEach((item, index) => {
+            decoder._step(VowelSequenceDecoder.extractProbabilities(item), VowelSequenceDecoder._getTimestamp(item, index));
+        });
+        return decoder.flush();
+    }
+
+    /**
+     * 状態をリセット
+     */
+    reset() {
+        this.delta = null;
+        this.window = [];
+        this.frameCount = 0;
+    }
+
+    /**
+     * 様々な形式の入力から確率を取り出す
+     * @param {Object} item - 確率、VowelClassifier の結果、SessionPlayer のペイロード、または記録済みフレーム
+     * @returns {Object} 確率 {a, i, u, e, o, closed}
+     */
+    static extractProbabilities(item) {
+        if (!item) {
+            return {};
+        }
+        if (item.vowelResult !== undefined) {
+            return item.vowelResult ? item.vowelResult.probabilities || {} : {};
+        }
+        if (item.vowel && typeof item.vowel === 'object') {
+            return item.vowel.probabilities || {};
+        }
+        return item.probabilities || item;
+    }
+
+    /**
+     * 入力のタイムスタンプを取得
+     * @private
+     */
+    static _getTimestamp(item, index) {
+        return item && typeof item.timestamp === 'number' ? item.timestamp : index;
+    }
+
+    /**
+     * ビタビアルゴリズムの1ステップ
+     * @private
+     */
+    _step(probabilities, timestamp) {
+        const emissions = this._getLogEmissions(probabilities);
+        const backpointers = new Array(this.states.length);
+        let delta;
+
+        if (!this.delta) {
+            delta = emissions.slice();
+            backpointers.fill(-1);
+        } else {
+            delta = this.states.map((_, to) => {
+                let best = -Infinity;
+                let bestFrom = 0;
+                for (let from = 0; from < this.states.length; from++) {
+                    const score = this.delta[from] + this.logTransitions[from][to];
+                    if (score > best) {
+                        best = score;
+                        bestFrom = from;
+                    }
+                }
+                backpointers[to] = bestFrom;
+                return best + emissions[to];
+            });
+        }
+
+        // アンダーフローを防ぐため最大値で正規化する
+        const maxDelta = Math.max(...delta);
+        this.delta = delta.map(value => value - maxDelta);
+        this.window.push({ backpointers, probabilities, timestamp, frameIndex: this.frameCount });
+        this.frameCount++;
+    }
+
+    /**
+     * 現在の最尤状態からバッファ内の経路を逆にたどる
+     * @private
+     * @returns {Array<number>} バッファ内の各フレームの状態インデックス
+     */
+    _backtrack() {
+        const path = new Array(this.window.length);
+        let state = this.delta.indexOf(Math.max(...this.delta));
+        for (let index = this.window.length - 1; index >= 0; index--) {
+            path[index] = state;
+            const pointer = this.window[index].backpointers[state];
+            state = pointer >= 0 ? pointer : state;
+        }
+        return path;
+    }
+
+    /**
+     * 確率から各状態の対数出力確率を計算
+     * 'none' の確率は他の状態の確率の残り（VowelClassifier が判別できなかったフレームで高くなる）
+     * @private
+     */
+    _getLogEmissions(probabilities) {
+        const total = this.states
+            .filter(state => state !== 'none')
+            .reduce((sum, state) => sum + (probabilities[state] || 0), 0);
+
+        return this.states.map(state => {
+            const probability = state === 'none'
+                ? Math.max(0, 1 - total)
+                : (probabilities[state] || 0);
+            return Math.log(Math.max(probability, this.minEmission)) * this.emissionWeight;
+        });
+    }
+
+    /**
+     * デコード結果を作成
+     * @private
+     */
+    _createDecoded(frame, stateIndex) {
+        const state = this.states[stateIndex];
+        const confidence = state === 'none'
+            ? 0
+            : frame.probabilities[state] || 0;
+        return {
+            vowel: state === 'none' ? null : state,
+            state,
+            confidence,
+            frameIndex: frame.frameIndex,
+            timestamp: frame.timestamp
+        };
+    }
+
+    /**
+     * 確定した結果を通知
+     * @private
+     */
+    _emit(decoded) {
+        if (this.onDecoded) {
+            this.onDecoded(decoded);
+        }
+    }
+}
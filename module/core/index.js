@@ -5,6 +5,24 @@
 export { MouthTracker } from './MouthTracker.js';
 export { CameraManager } from './CameraManager.js';
 export { FaceMeshHandler } from './FaceMeshHandler.js';
+export { HeadPoseEstimator } from './HeadPoseEstimator.js';
+export { MouthPixelAnalyzer } from './MouthPixelAnalyzer.js';
+export { FaceIdentityTracker } from './FaceIdentityTracker.js';
+export { LandmarkProvider } from './LandmarkProvider.js';
+export { PrecomputedLandmarkProvider } from './PrecomputedLandmarkProvider.js';
+export { SyntheticLandmarkProvider, SYNTHETIC_MOUTH_SHAPES } from './SyntheticLandmarkProvider.js';
+export { TrackingWorkerClient } from './TrackingWorkerClient.js';
 export { DataProcessor } from './DataProcessor.js';
 export { VowelClassifier } from './VowelClassifier.js';
 export { TemporalFeatureExtractor } from './TemporalFeatureExtractor.js';
+export { SessionRecorder } from './SessionRecorder.js';
+export { SessionPlayer } from './SessionPlayer.js';
+export { VowelModel } from './VowelModel.js';
+export { GuidedCalibration } from './GuidedCalibration.js';
+export { ProfileStore } from './ProfileStore.js';
+export { BaselineDriftMonitor } from './BaselineDriftMonitor.js';
+export { SpeechActivityDetector } from './SpeechActivityDetector.js';
+export { ConsonantGestureDetector } from './ConsonantGestureDetector.js';
+export { VowelSequenceDecoder, DEFAULT_DECODER_STATES } from './VowelSequenceDecoder.js';
+export { VowelSegmenter } from './VowelSegmenter.js';
+export { VisemeMapper, OCULUS_VISEMES, VRM_VISEMES, ARKIT_MOUTH_BLENDSHAPES } from './VisemeMapper.js';
@@ -9,11 +9,36 @@
 export { MouthTracker } from './core/MouthTracker.js';
 export { CameraManager } from './core/CameraManager.js';
 export { VowelClassifier } from './core/VowelClassifier.js';
+export { VowelModel } from './core/VowelModel.js';
+export { GuidedCalibration } from './core/GuidedCalibration.js';
+export { ProfileStore } from './core/ProfileStore.js';
+export { BaselineDriftMonitor } from './core/BaselineDriftMonitor.js';
+export { SpeechActivityDetector } from './core/SpeechActivityDetector.js';
+export { ConsonantGestureDetector } from './core/ConsonantGestureDetector.js';
+export { VowelSequenceDecoder, DEFAULT_DECODER_STATES } from './core/VowelSequenceDecoder.js';
+export { VowelSegmenter } from './core/VowelSegmenter.js';
+export { VisemeMapper, OCULUS_VISEMES, VRM_VISEMES, ARKIT_MOUTH_BLENDSHAPES } from './core/VisemeMapper.js';
 export { FaceMeshHandler } from './core/FaceMeshHandler.js';
+export { HeadPoseEstimator } from './core/HeadPoseEstimator.js';
+export { MouthPixelAnalyzer } from './core/MouthPixelAnalyzer.js';
+export { FaceIdentityTracker } from './core/FaceIdentityTracker.js';
+export { LandmarkProvider } from './core/LandmarkProvider.js';
+export { PrecomputedLandmarkProvider } from './core/PrecomputedLandmarkProvider.js';
+export { SyntheticLandmarkProvider, SYNTHETIC_MOUTH_SHAPES } from './core/SyntheticLandmarkProvider.js';
+export { TrackingWorkerClient } from './core/TrackingWorkerClient.js';
 export { DataProcessor } from './core/DataProcessor.js';
+export { SessionRecorder } from './core/SessionRecorder.js';
+export { SessionPlayer } from './core/SessionPlayer.js';
 export { ErrorHandler } from './utils/ErrorHandler.js';
 export { Smoother } from './utils/Smoother.js';
+export { OneEuroSmoother } from './utils/OneEuroSmoother.js';
+export { KalmanSmoother } from './utils/KalmanSmoother.js';
+export { CsvExporter } from './utils/CsvExporter.js';
+export { StreamingOutput, DEFAULT_STREAM_FIELDS } from './utils/StreamingOutput.js';
+export * from './utils/OscEncoder.js';
+export * from './utils/ProfileStorageBackends.js';
 export * from './utils/MouthLandmarks.js';
+export * from './utils/LandmarkSets.js';
 export * from './config/constants.js';
 export { Visualizer } from './ui/Visualizer.js';
 
@@ -0,0 +1,198 @@
+/**
+ * CsvExporter - フレームごとの計測値をCSVに変換するクラス
+ * ネストされた計測値（cornerMovement 等）・時系列特徴量・母音判別結果（デコード結果を含む）を列に展開します
+ */
+
+import { EXPORT_CONFIG } from '../config/constants.js';
+import { flattenObject } from './ObjectUtils.js';
+
+const PROBABILITY_KEYS = ['a', 'i', 'u', 'e', 'o', 'closed'];
+
+export class CsvExporter {
+    /**
+     * @param {Object} options - オプション
+     * @param {Array<string>} options.columns - 出力する列（省略時は全フレームに現れた列を出現順に出力）
+     * @param {number} options.precision - 数値の小数点以下桁数
+     * @param {string} options.delimiter - 区切り文字
+     * @param {string} options.dateFormat - ファイル名の日付形式
+     * @param {string} options.filePrefix - ファイル名のプレフィックス
+     * @param {boolean} options.includeHeader - ヘッダー行を出力するか（デフォルト: true）
+     */
+    constructor(options = {}) {
+        this.columns = options.columns || null;
+        this.precision = typeof options.precision === 'number' ? options.precision : EXPORT_CONFIG.csvPrecision;
+        this.delimiter = options.delimiter || EXPORT_CONFIG.csvDelimiter;
+        this.dateFormat = options.dateFormat || EXPORT_CONFIG.dateFormat;
+        this.filePrefix = options.filePrefix || EXPORT_CONFIG.filePrefix;
+        this.includeHeader = options.includeHeader !== false;
+    }
+
+    /**
+     * フレームを1行分の平坦なオブジェクトに変換
+     * 記録済みフレーム（vowel）と SessionPlayer のペイロード（vowelResult）の両方に対応する
+     * frame.file がある場合は先頭に file 列を出力する（複数ファイルの結果を1つのCSVにまとめる場合）
+     * @param {Object} frame - フレーム
+     * @param {number} index - フレーム番号（frame.frameIndex がない場合に使用）
+     * @returns {Object} 列名をキーとするオブジェクト
+     */
+    flattenFrame(frame, index = 0) {
+        const vowel = frame.vowelResult || frame.vowel || null;
+        const row = {
+            ...(frame.file !== undefined ? { file: frame.file } : {}),
+            frameIndex: typeof frame.frameIndex === 'number' ? frame.frameIndex : index,
+            timestamp: frame.timestamp,
+            mediaTimestamp: frame.mediaTimestamp,
+            faceDetected: frame.faceDetected
+        };
+
+        flattenObject(frame.metrics, 'metrics', row);
+        flattenObject(frame.temporalFeatures, 'temporal', row);
+        flattenObject(frame.headPose, 'headPose', row);
+
+        if (frame.speechActivity) {
+            row['speech.speaking'] = frame.speechActivity.speaking;
+            row['speech.probability'] = frame.speechActivity.probability;
+        }
+
+        if (vowel) {
+            row['vowel.label'] = vowel.vowel;
+            row['vowel.confidence'] = vowel.confidence;
+            PROBABILITY_KEYS.forEach(key => {
+                row[`vowel.probabilities.${key}`] = vowel.probabilities ? vowel.probabilities[key] : undefined;
+            });
+        }
+
+        // VowelSequenceDecoder でデコードした母音（mouth-track-analyze --decode 等で付与された場合）
+        if (frame.decodedVowel !== undefined) {
+            row.decodedVowel = frame.decodedVowel;
+        }
+
+        return row;
+    }
+
+    /**
+     * 出力する列を決定
+     * @param {Array<Object>} rows - 平坦化された行
+     * @returns {Array<string>} 列名
+     */
+    resolveColumns(rows) {
+        if (this.columns) {
+            return this.columns;
+        }
+
+        const columns = [];
+        const seen = new Set();
+        rows.forEach(row => {
+            Object.keys(row).forEach(key => {
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    columns.push(key);
+                }
+            });
+        });
+        return columns;
+    }
+
+    /**
+     * フレーム配列をCSV文字列に変換
+     * @param {Array<Object>} frames - フレーム配列
+     * @returns {string} CSV文字列
+     */
+    toCsv(frames) {
+        const rows = frames.map((frame, index) => this.flattenFrame(frame, index));
+        const columns = this.resolveColumns(rows);
+        const lines = [];
+
+        if (this.includeHeader) {
+            lines.push(columns.map(column => this._escape(column)).join(this.delimiter));
+        }
+        rows.forEach(row => {
+            lines.push(columns.map(column => this._formatValue(row[column])).join(this.delimiter));
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * 設定された日付形式でファイル名を生成
+     * @param {Date} date - 日時（省略時は現在時刻）
+     * @param {string} extension - 拡張子
+     * @returns {string} ファイル名（例: mouth-track_2024-01-31_12-00-00.csv）
+     */
+    createFileName(date = new Date(), extension = 'csv') {
+        return `${this.filePrefix}_${CsvExporter.formatDate(date, this.dateFormat)}.${extension}`;
+    }
+
+    /**
+     * CSVをファイルとしてダウンロード（ブラウザ専用）
+     * @param {Array<Object>} frames - フレーム配列
+     * @param {string} fileName - ファイル名（省略時は createFileName の結果）
+     */
+    download(frames, fileName = this.createFileName()) {
+        if (typeof document === 'undefined') {
+            throw new Error('CSVのダウンロードはブラウザ環境でのみ利用できます');
+        }
+
+        const blob = new Blob([this.toCsv(frames)], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * 日付を書式化（YYYY, MM, DD, HH, mm, ss, SSS に対応）
+     * @param {Date} date - 日時
+     * @param {string} format - 書式
+     * @returns {string} 書式化された文字列
+     */
+    static formatDate(date, format = EXPORT_CONFIG.dateFormat) {
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        const tokens = {
+            YYYY: String(date.getFullYear()),
+            MM: pad(date.getMonth() + 1),
+            DD: pad(date.getDate()),
+            HH: pad(date.getHours()),
+            mm: pad(date.getMinutes()),
+            ss: pad(date.getSeconds()),
+            SSS: pad(date.getMilliseconds(), 3)
+        };
+        return format.replace(/YYYY|SSS|MM|DD|HH|mm|ss/g, token => tokens[token]);
+    }
+
+    /**
+     * セルの値を書式化
+     * @private
+     * @param {*} value - 値
+     * @returns {string} セル文字列
+     */
+    _formatValue(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? String(Number(value.toFixed(this.precision))) : '';
+        }
+        if (Array.isArray(value)) {
+            return this._escape(value.join(' '));
+        }
+        return this._escape(String(value));
+    }
+
+    /**
+     * 区切り文字・引用符・改行を含む値をエスケープ
+     * @private
+     * @param {string} value - 値
+     * @returns {string} エスケープされた値
+     */
+    _escape(value) {
+        if (value.includes(this.delimiter) || value.includes('"') || value.includes('\n')) {
+            return `"${value.replace(/"/g, '""')}"`;
+        }
+        return value;
+    }
+}
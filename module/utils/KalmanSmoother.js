@@ -0,0 +1,200 @@
+/**
+ * KalmanSmoother - 等速度モデルのカルマンフィルタによる座標平滑化クラス
+ * イノベーション（予測と観測の差）がゲートを超えた観測を外れ値として棄却し、
+ * FaceMeshが1フレームだけ唇の点を飛ばす現象による計測値の乱れを防ぎます
+ */
+
+export class KalmanSmoother {
+    /**
+     * @param {Object} options - オプション
+     * @param {number} options.processNoise - 加速度ノイズの強さ（大きいほど速い動きに追従）
+     * @param {number} options.measurementNoise - 観測ノイズの標準偏差（正規化座標）
+     * @param {number} options.gate - 棄却ゲート（マハラノビス距離）
+     * @param {number} options.maxConsecutiveRejections - 連続棄却の上限（超えた場合は実際の動きとみなして観測に追従）
+     */
+    constructor(options = {}) {
+        this.processNoise = typeof options.processNoise === 'number' ? options.processNoise : 2.0;
+        this.measurementNoise = typeof options.measurementNoise === 'number' ? options.measurementNoise : 0.003;
+        this.gate = typeof options.gate === 'number' ? options.gate : 4.0;
+        this.maxConsecutiveRejections = typeof options.maxConsecutiveRejections === 'number'
+            ? options.maxConsecutiveRejections
+            : 2;
+        // 外れ値を棄却するため、MouthTrackerは輪郭ランドマークも平滑化する
+        this.rejectsOutliers = true;
+        this.states = {};
+        this.frameStats = KalmanSmoother._createFrameStats(null);
+    }
+
+    /**
+     * カルマンフィルタによる平滑化
+     * @param {string} key - ランドマークのキー
+     * @param {Object} newValue - 新しい座標値 {x, y, z}
+     * @param {number} timestamp - フレームのタイムスタンプ（ミリ秒）
+     * @param {number|null} landmarkIndex - ランドマークの番号（棄却数を点ごとに数えるために使用、省略時はキーごとに数える）
+     * @returns {Object} 平滑化された座標値
+     */
+    smooth(key, newValue, timestamp = Date.now(), landmarkIndex = null) {
+        if (!newValue || typeof newValue.x !== 'number') {
+            return newValue;
+        }
+
+        if (this.frameStats.timestamp !== timestamp) {
+            this.frameStats = KalmanSmoother._createFrameStats(timestamp);
+        }
+
+        const measurement = { x: newValue.x, y: newValue.y, z: newValue.z || 0 };
+        const state = this.states[key];
+        if (!state) {
+            this.states[key] = this._createState(measurement, timestamp);
+            return newValue;
+        }
+
+        const dt = (timestamp - state.timestamp) / 1000;
+        if (dt <= 0) {
+            return this._getPosition(state);
+        }
+
+        const axes = ['x', 'y', 'z'];
+        axes.forEach(axis => this._predict(state.axes[axis], dt));
+        state.timestamp = timestamp;
+
+        // ゲート判定は画像平面（x, y）のみで行う（zは推定値のため変動が大きい）
+        const distanceSq = ['x', 'y'].reduce((sum, axis) => {
+            const axisState = state.axes[axis];
+            const innovation = measurement[axis] - axisState.position;
+            const innovationVariance = axisState.covariance[0][0] + this.measurementNoise * this.measurementNoise;
+            return sum + (innovation * innovation) / innovationVariance;
+        }, 0);
+
+        if (Math.sqrt(distanceSq) > this.gate) {
+            if (state.consecutiveRejections < this.maxConsecutiveRejections) {
+                state.consecutiveRejections++;
+                this.frameStats.rejectedKeys.push(key);
+                this.frameStats.rejectedPoints.add(typeof landmarkIndex === 'number' ? landmarkIndex : key);
+                return this._getPosition(state);
+            }
+
+            // 棄却が続いた場合は実際の移動とみなし、観測値から再初期化する
+            this.states[key] = this._createState(measurement, timestamp);
+            return { ...measurement };
+        }
+
+        state.consecutiveRejections = 0;
+        axes.forEach(axis => this._update(state.axes[axis], measurement[axis]));
+        return this._getPosition(state);
+    }
+
+    /**
+     * 直近のフレームで棄却された点の数を取得
+     * 同じランドマークが複数のキー（face_ / contour_ 等）で平滑化されていても1点として数える
+     * @returns {number} 棄却数
+     */
+    getRejectedCount() {
+        return this.frameStats.rejectedPoints.size;
+    }
+
+    /**
+     * 直近のフレームの棄却情報を取得
+     * @returns {Object} {timestamp, rejectedCount, rejectedIndices, rejectedKeys}
+     *   （rejectedIndices は棄却されたランドマークの番号、番号なしで平滑化された点は含まない）
+     */
+    getFrameStats() {
+        const points = Array.from(this.frameStats.rejectedPoints);
+        return {
+            timestamp: this.frameStats.timestamp,
+            rejectedCount: points.length,
+            rejectedIndices: points.filter(point => typeof point === 'number').sort((a, b) => a - b),
+            rejectedKeys: this.frameStats.rejectedKeys.slice()
+        };
+    }
+
+    /**
+     * 全ての平滑化データをリセット
+     */
+    reset() {
+        this.states = {};
+        this.frameStats = KalmanSmoother._createFrameStats(null);
+    }
+
+    /**
+     * 平滑化係数を変更（EMA用のインターフェース互換）
+     * 係数 0.0 - 1.0 を processNoise に対応付ける（係数が大きいほどノイズを小さく見積もり、平滑化が強い）
+     * @param {number} factor - 平滑化係数 (0.0 - 1.0)
+     */
+    setSmoothingFactor(factor) {
+        const clamped = Math.max(0, Math.min(1, factor));
+        this.processNoise = Math.pow(10, 2 - clamped * 3);
+    }
+
+    /**
+     * フレームごとの棄却情報を初期化
+     * @private
+     */
+    static _createFrameStats(timestamp) {
+        return { timestamp, rejectedKeys: [], rejectedPoints: new Set() };
+    }
+
+    /**
+     * 観測値から状態を初期化
+     * @private
+     */
+    _createState(measurement, timestamp) {
+        const initialVariance = this.measurementNoise * this.measurementNoise;
+        const axes = {};
+        ['x', 'y', 'z'].forEach(axis => {
+            axes[axis] = {
+                position: measurement[axis],
+                velocity: 0,
+                covariance: [[initialVariance, 0], [0, 1.0]]
+            };
+        });
+        return { timestamp, axes, consecutiveRejections: 0 };
+    }
+
+    /**
+     * 予測ステップ（等速度モデル、加速度を白色ノイズとする）
+     * @private
+     */
+    _predict(axisState, dt) {
+        const [[p00, p01], [p10, p11]] = axisState.covariance;
+        const q = this.processNoise;
+        const dt2 = dt * dt;
+
+        axisState.position += axisState.velocity * dt;
+        axisState.covariance = [
+            [p00 + dt * (p10 + p01) + dt2 * p11 + q * dt2 * dt2 / 4, p01 + dt * p11 + q * dt2 * dt / 2],
+            [p10 + dt * p11 + q * dt2 * dt / 2, p11 + q * dt2]
+        ];
+    }
+
+    /**
+     * 更新ステップ
+     * @private
+     */
+    _update(axisState, measurement) {
+        const [[p00, p01], [p10, p11]] = axisState.covariance;
+        const s = p00 + this.measurementNoise * this.measurementNoise;
+        const k0 = p00 / s;
+        const k1 = p10 / s;
+        const innovation = measurement - axisState.position;
+
+        axisState.position += k0 * innovation;
+        axisState.velocity += k1 * innovation;
+        axisState.covariance = [
+            [(1 - k0) * p00, (1 - k0) * p01],
+            [p10 - k1 * p00, p11 - k1 * p01]
+        ];
+    }
+
+    /**
+     * 状態から座標を取得
+     * @private
+     */
+    _getPosition(state) {
+        return {
+            x: state.axes.x.position,
+            y: state.axes.y.position,
+            z: state.axes.z.position
+        };
+    }
+}
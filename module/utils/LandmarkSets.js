@@ -0,0 +1,287 @@
+/**
+ * LandmarkSets - ランドマークセットの登録と取得
+ * 検出結果から抽出する点と、計測に使う点の組み合わせを名前付きのセットとして管理します。
+ * FaceMeshHandler / LandmarkProvider の抽出と DataProcessor の計測は、選択したセットの点に従います
+ *
+ * セットの定義:
+ *   - name: セット名
+ *   - description: 説明（任意）
+ *   - indices: 検出結果から抽出する点（口の基本ランドマーク8点（MOUTH_LANDMARKS）を含むこと。
+ *     顔スケール・頭部姿勢の計算には FACE_SCALE_LANDMARKS の点も必要）
+ *   - contour: indices のうち口の輪郭として計測に使う点（周長等の計算ではこの順に結ぶ）
+ *   - groups: 計測に使う点のグループ（いずれも contour に含まれる点、指定がないグループを使う計測値は0になる）
+ *       upperOuter / lowerOuter: 上唇・下唇の外側（開口量、唇の曲率・突出度）
+ *       upperInner / lowerInner: 上唇・下唇の内側（唇の厚さ・高さ）
+ *       corners: 左右の口角 [左, 右]
+ *       leftCornerAdjacent / rightCornerAdjacent: 口角の周辺（口角の動き）
+ *       leftCheek / rightCheek: 頬（頬の動き）
+ *       jaw: 顎（顎の動き）
+ *   - innerLip / outerLip: 唇の内縁・外縁の線 {upper, lower}（任意、indices に含まれる点）
+ *       upper は左の口角から右の口角まで、lower は口角を除いた下唇の点を左から右の順に指定する。
+ *       内縁は開口面積・高さのプロファイル等の計測に使用し、指定がない場合はそれらの計測値がnullになる。
+ *       外縁は円形度（circularity）の計測に使用し、指定がない場合は contour の多角形で近似する
+ *
+ * 組み込みセットは VowelClassifier 等の閾値がそのまま使えるよう、開口量の列・口角（61, 291）・唇の外縁を共通にしています
+ */
+
+import {
+    DEFAULT_LANDMARKS,
+    MOUTH_LANDMARKS,
+    LIP_LANDMARK_LINES,
+    FACE_SCALE_LANDMARKS,
+    FACE_MESH_LANDMARK_COUNT,
+    LANDMARK_SET_CONFIG
+} from '../config/constants.js';
+
+export const LANDMARK_GROUP_NAMES = [
+    'upperOuter',
+    'lowerOuter',
+    'upperInner',
+    'lowerInner',
+    'corners',
+    'leftCornerAdjacent',
+    'rightCornerAdjacent',
+    'leftCheek',
+    'rightCheek',
+    'jaw'
+];
+
+const BASIC_MOUTH_INDICES = Object.values(MOUTH_LANDMARKS);
+
+// 線の両端（口角）を除いた点
+const withoutEnds = (line) => line.slice(1, -1);
+
+const INNER_LIP_RING = [...LIP_LANDMARK_LINES.upperInner, ...[...LIP_LANDMARK_LINES.lowerInner].reverse()];
+const OUTER_LIP_RING = [...LIP_LANDMARK_LINES.upperOuter, ...[...LIP_LANDMARK_LINES.lowerOuter].reverse()];
+const MIDDLE_LIP_POINTS = [
+    ...LIP_LANDMARK_LINES.upperSemiOuter,
+    ...LIP_LANDMARK_LINES.lowerSemiOuter,
+    ...LIP_LANDMARK_LINES.upperSemiInner,
+    ...LIP_LANDMARK_LINES.lowerSemiInner
+];
+
+// 開口量（openness）・面積の計測に使う上下唇中央の列（contour-34 の upperOuter / lowerOuter）
+// VowelClassifier 等の閾値はこの点で測った開口量を前提とするため、全ての組み込みセットで同じ点を使う
+// （幅は口角 61 / 291、円形度は唇の外縁 OUTER_LIP で測る点も同様に共通にする）
+const OPENNESS_COLUMN = {
+    upper: [12, 13, 14, 15, 16, 17, 18],
+    lower: [14, 15, 16, 17, 18]
+};
+// 開口量の列のうち、唇の線（LIP_LANDMARK_LINES）に含まれない点
+const OPENNESS_COLUMN_EXTRA = [12, 15, 16, 17, 18];
+
+// 唇の内縁・外縁の線（LIP_LANDMARK_LINES の形式）
+const INNER_LIP = { upper: LIP_LANDMARK_LINES.upperInner, lower: LIP_LANDMARK_LINES.lowerInner };
+const OUTER_LIP = { upper: LIP_LANDMARK_LINES.upperOuter, lower: LIP_LANDMARK_LINES.lowerOuter };
+
+const BUILT_IN_SETS = [
+    {
+        name: 'minimal-8',
+        description: '口の基本ランドマーク8点と開口量の計測に使う上下唇中央の列・唇の外縁（計算量が最も少ない）',
+        indices: [...new Set([...BASIC_MOUTH_INDICES, ...OPENNESS_COLUMN_EXTRA, ...OUTER_LIP_RING, ...FACE_SCALE_LANDMARKS])],
+        contour: [61, 37, 13, 267, 291, 314, 14, 84, ...OPENNESS_COLUMN_EXTRA],
+        groups: {
+            upperOuter: OPENNESS_COLUMN.upper,
+            lowerOuter: OPENNESS_COLUMN.lower,
+            corners: [61, 291]
+        },
+        // 内縁の点を持たないため、口角と上下唇中央（13, 14）を結んだ線で唇の隙間を近似する
+        innerLip: { upper: [61, 13, 291], lower: [14] },
+        outerLip: OUTER_LIP
+    },
+    {
+        name: 'contour-34',
+        description: '口の輪郭・口角周辺・頬・顎の点（DEFAULT_LANDMARKS、従来の計測）と唇の内縁・外縁',
+        indices: [...new Set([...DEFAULT_LANDMARKS, ...INNER_LIP_RING, ...OUTER_LIP_RING])],
+        contour: DEFAULT_LANDMARKS.filter(index => !FACE_SCALE_LANDMARKS.includes(index)),
+        groups: {
+            upperOuter: OPENNESS_COLUMN.upper,
+            lowerOuter: OPENNESS_COLUMN.lower,
+            upperInner: [78, 79, 80, 81, 82],
+            lowerInner: [308, 309, 310, 311, 312],
+            corners: [61, 291],
+            leftCornerAdjacent: [39, 40, 41],
+            rightCornerAdjacent: [269, 270, 271],
+            leftCheek: [116, 117],
+            rightCheek: [345, 346],
+            jaw: [175, 176, 172, 397]
+        },
+        innerLip: INNER_LIP,
+        outerLip: OUTER_LIP
+    },
+    {
+        name: 'inner-lip',
+        description: '唇の内縁の20点と開口量の計測に使う上下唇中央の列・口角・唇の外縁（唇の隙間は innerOpenness で計測する）',
+        indices: [...new Set([...INNER_LIP_RING, ...OPENNESS_COLUMN_EXTRA, ...BASIC_MOUTH_INDICES, ...OUTER_LIP_RING, ...FACE_SCALE_LANDMARKS])],
+        contour: [...INNER_LIP_RING, ...OPENNESS_COLUMN_EXTRA, 61, 291],
+        groups: {
+            upperOuter: OPENNESS_COLUMN.upper,
+            lowerOuter: OPENNESS_COLUMN.lower,
+            corners: [61, 291],
+            leftCornerAdjacent: [191, 95],
+            rightCornerAdjacent: [415, 324]
+        },
+        innerLip: INNER_LIP,
+        outerLip: OUTER_LIP
+    },
+    {
+        name: 'full-lips-80',
+        description: '唇の外縁から内縁までの80点と開口量の計測に使う上下唇中央の列',
+        indices: [...OUTER_LIP_RING, ...INNER_LIP_RING, ...MIDDLE_LIP_POINTS, 18, ...FACE_SCALE_LANDMARKS],
+        contour: [...OUTER_LIP_RING, ...INNER_LIP_RING, ...MIDDLE_LIP_POINTS, 18],
+        groups: {
+            upperOuter: OPENNESS_COLUMN.upper,
+            lowerOuter: OPENNESS_COLUMN.lower,
+            upperInner: withoutEnds(LIP_LANDMARK_LINES.upperInner),
+            lowerInner: LIP_LANDMARK_LINES.lowerInner,
+            corners: [61, 291],
+            leftCornerAdjacent: [185, 40, 146],
+            rightCornerAdjacent: [409, 270, 375]
+        },
+        innerLip: INNER_LIP,
+        outerLip: OUTER_LIP
+    }
+];
+
+const registry = new Map();
+// 検証済みのセット（getLandmarkSet で毎フレーム検証し直さないため）
+const validatedSets = new WeakSet();
+
+/**
+ * ランドマークセットを検証して正規化
+ * @param {Object} definition - セットの定義
+ * @param {number} meshSize - 検出結果の点の数（468、または refineLandmarks の場合478）
+ * @returns {Object} 正規化したセット（凍結済み）{name, description, indices, contour, groups, innerLip, outerLip, requiresRefinedMesh}
+ */
+export function validateLandmarkSet(definition, meshSize = FACE_MESH_LANDMARK_COUNT.refined) {
+    if (!definition || typeof definition !== 'object') {
+        throw new Error('ランドマークセットはオブジェクトで指定してください');
+    }
+    const name = definition.name;
+    if (typeof name !== 'string' || name.length === 0) {
+        throw new Error('ランドマークセットの name を指定してください');
+    }
+
+    const checkIndices = (list, label) => {
+        if (!Array.isArray(list)) {
+            throw new Error(`ランドマークセット ${name} の ${label} は配列で指定してください`);
+        }
+        list.forEach(index => {
+            if (!Number.isInteger(index) || index < 0 || index >= meshSize) {
+                throw new Error(`ランドマークセット ${name} の ${label} に範囲外の点があります: ${index}（0 - ${meshSize - 1}）`);
+            }
+        });
+        if (new Set(list).size !== list.length) {
+            throw new Error(`ランドマークセット ${name} の ${label} に重複した点があります`);
+        }
+    };
+
+    checkIndices(definition.indices, 'indices');
+    if (definition.indices.length === 0) {
+        throw new Error(`ランドマークセット ${name} の indices が空です`);
+    }
+    const missingBasic = BASIC_MOUTH_INDICES.filter(index => !definition.indices.includes(index));
+    if (missingBasic.length > 0) {
+        throw new Error(`ランドマークセット ${name} に口の基本ランドマークがありません: ${missingBasic.join(', ')}`);
+    }
+
+    const contour = definition.contour || definition.indices;
+    checkIndices(contour, 'contour');
+    const outsideIndices = contour.filter(index => !definition.indices.includes(index));
+    if (outsideIndices.length > 0) {
+        throw new Error(`ランドマークセット ${name} の contour に indices にない点があります: ${outsideIndices.join(', ')}`);
+    }
+
+    const groups = {};
+    const definedGroups = definition.groups || {};
+    Object.keys(definedGroups).forEach(groupName => {
+        if (!LANDMARK_GROUP_NAMES.includes(groupName)) {
+            throw new Error(`ランドマークセット ${name} の未対応のグループです: ${groupName}`);
+        }
+    });
+    LANDMARK_GROUP_NAMES.forEach(groupName => {
+        const group = definedGroups[groupName] || [];
+        checkIndices(group, `groups.${groupName}`);
+        const outsideContour = group.filter(index => !contour.includes(index));
+        if (outsideContour.length > 0) {
+            throw new Error(`ランドマークセット ${name} の groups.${groupName} に contour にない点があります: ${outsideContour.join(', ')}`);
+        }
+        groups[groupName] = Object.freeze([...group]);
+    });
+    if (groups.corners.length !== 0 && groups.corners.length !== 2) {
+        throw new Error(`ランドマークセット ${name} の groups.corners は左右の口角の2点で指定してください`);
+    }
+
+    const checkLipLines = (lip, label) => {
+        if (!lip) {
+            return null;
+        }
+        checkIndices([...(lip.upper || []), ...(lip.lower || [])], label);
+        if (!Array.isArray(lip.upper) || lip.upper.length < 2 || !Array.isArray(lip.lower) || lip.lower.length === 0) {
+            throw new Error(`ランドマークセット ${name} の ${label} は {upper: 口角を含む2点以上, lower: 1点以上} で指定してください`);
+        }
+        const outside = [...lip.upper, ...lip.lower].filter(index => !definition.indices.includes(index));
+        if (outside.length > 0) {
+            throw new Error(`ランドマークセット ${name} の ${label} に indices にない点があります: ${outside.join(', ')}`);
+        }
+        return Object.freeze({ upper: Object.freeze([...lip.upper]), lower: Object.freeze([...lip.lower]) });
+    };
+    const innerLip = checkLipLines(definition.innerLip, 'innerLip');
+    const outerLip = checkLipLines(definition.outerLip, 'outerLip');
+
+    const landmarkSet = Object.freeze({
+        name,
+        description: definition.description || '',
+        indices: Object.freeze([...definition.indices]),
+        contour: Object.freeze([...contour]),
+        groups: Object.freeze(groups),
+        innerLip,
+        outerLip,
+        requiresRefinedMesh: definition.indices.some(index => index >= FACE_MESH_LANDMARK_COUNT.base)
+    });
+    validatedSets.add(landmarkSet);
+    return landmarkSet;
+}
+
+/**
+ * ランドマークセットを登録
+ * @param {Object} definition - セットの定義
+ * @returns {Object} 登録したセット
+ */
+export function registerLandmarkSet(definition) {
+    const landmarkSet = validateLandmarkSet(definition);
+    if (registry.has(landmarkSet.name)) {
+        throw new Error(`ランドマークセット ${landmarkSet.name} は既に登録されています`);
+    }
+    registry.set(landmarkSet.name, landmarkSet);
+    return landmarkSet;
+}
+
+/**
+ * ランドマークセットを取得
+ * @param {string|Object|null} landmarkSet - セット名、またはセットの定義（省略時は LANDMARK_SET_CONFIG.defaultSet）
+ * @returns {Object} 検証済みのセット
+ */
+export function getLandmarkSet(landmarkSet = null) {
+    if (landmarkSet === null || landmarkSet === undefined) {
+        return registry.get(LANDMARK_SET_CONFIG.defaultSet);
+    }
+    if (typeof landmarkSet === 'string') {
+        const registered = registry.get(landmarkSet);
+        if (!registered) {
+            throw new Error(`未登録のランドマークセットです: ${landmarkSet}（登録済み: ${getLandmarkSetNames().join(', ')}）`);
+        }
+        return registered;
+    }
+    return validatedSets.has(landmarkSet) ? landmarkSet : validateLandmarkSet(landmarkSet);
+}
+
+/**
+ * 登録済みのセット名を取得
+ * @returns {Array<string>} セット名の配列
+ */
+export function getLandmarkSetNames() {
+    return Array.from(registry.keys());
+}
+
+BUILT_IN_SETS.forEach(definition => registerLandmarkSet(definition));
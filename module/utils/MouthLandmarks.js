@@ -1,25 +1,16 @@
 /**
  * MouthLandmarks - 口ランドマーク定義とユーティリティ
+ * 口の基本ランドマーク8点の定義は MOUTH_LANDMARKS を使用します。
+ * 抽出する点の一覧（landmarkIndices）を省略した場合は DEFAULT_LANDMARKS に含まれる点のみを扱います
  */
 
-import { DEFAULT_LANDMARKS } from '../config/constants.js';
-
-const BASIC_MOUTH_INDICES = {
-    leftEnd: 61,
-    rightEnd: 291,
-    topOuter: 13,
-    bottomOuter: 14,
-    topLeft: 37,
-    topRight: 267,
-    bottomLeft: 84,
-    bottomRight: 314
-};
+import { DEFAULT_LANDMARKS, MOUTH_LANDMARKS } from '../config/constants.js';
 
 /**
- * DEFAULT_LANDMARKSが読み込めない場合のチェック
+ * 抽出する点の一覧が読み込めない場合のチェック
  */
-function validateDefaultLandmarks() {
-    if (!DEFAULT_LANDMARKS || !Array.isArray(DEFAULT_LANDMARKS) || DEFAULT_LANDMARKS.length === 0) {
+function validateLandmarkIndices(landmarkIndices) {
+    if (!landmarkIndices || !Array.isArray(landmarkIndices) || landmarkIndices.length === 0) {
         return false;
     }
     return true;
@@ -27,40 +18,45 @@ function validateDefaultLandmarks() {
 
 /**
  * 口ランドマークのインデックス配列を取得
+ * @param {Array<number>} landmarkIndices - 抽出する点の一覧（ランドマークセットの indices）
  */
-export function getMouthLandmarkIndices() {
-    if (!validateDefaultLandmarks()) {
+export function getMouthLandmarkIndices(landmarkIndices = DEFAULT_LANDMARKS) {
+    if (!validateLandmarkIndices(landmarkIndices)) {
         return [];
     }
-    return Object.values(BASIC_MOUTH_INDICES).filter(idx => DEFAULT_LANDMARKS.includes(idx));
+    return Object.values(MOUTH_LANDMARKS).filter(idx => landmarkIndices.includes(idx));
 }
 
 /**
  * ランドマーク名からインデックスを取得
+ * @param {string} name - ランドマーク名（MOUTH_LANDMARKS のキー）
+ * @param {Array<number>} landmarkIndices - 抽出する点の一覧（ランドマークセットの indices）
  */
-export function getLandmarkIndex(name) {
-    if (!validateDefaultLandmarks()) {
+export function getLandmarkIndex(name, landmarkIndices = DEFAULT_LANDMARKS) {
+    if (!validateLandmarkIndices(landmarkIndices)) {
         return null;
     }
-    const index = BASIC_MOUTH_INDICES[name];
-    return index && DEFAULT_LANDMARKS.includes(index) ? index : null;
+    const index = MOUTH_LANDMARKS[name];
+    return index && landmarkIndices.includes(index) ? index : null;
 }
 
 /**
  * ランドマークデータを構造化（8点：外側のみ）
+ * @param {Array} landmarks - 顔全体のランドマーク
+ * @param {Array<number>} landmarkIndices - 抽出する点の一覧（ランドマークセットの indices）
  */
-export function structureMouthLandmarks(landmarks) {
+export function structureMouthLandmarks(landmarks, landmarkIndices = DEFAULT_LANDMARKS) {
     if (!landmarks || landmarks.length === 0) {
         return null;
     }
 
-    if (!validateDefaultLandmarks()) {
+    if (!validateLandmarkIndices(landmarkIndices)) {
         return null;
     }
 
     const result = {};
-    for (const [key, index] of Object.entries(BASIC_MOUTH_INDICES)) {
-        if (DEFAULT_LANDMARKS.includes(index) && landmarks[index]) {
+    for (const [key, index] of Object.entries(MOUTH_LANDMARKS)) {
+        if (landmarkIndices.includes(index) && landmarks[index]) {
             result[key] = landmarks[index];
         } else {
             return null;
@@ -69,4 +65,3 @@ export function structureMouthLandmarks(landmarks) {
 
     return result;
 }
-
@@ -0,0 +1,53 @@
+/**
+ * ObjectUtils - ネストされた計測値オブジェクトを扱うユーティリティ
+ */
+
+/**
+ * ドット区切りのパスで値を取得（例: 'mouthCornerAngle.average'）
+ * キー自体にドットを含む場合（時系列特徴量の 'mouthCornerAngle.average' 等）も解決する
+ * @param {Object} source - 対象オブジェクト
+ * @param {string} path - ドット区切りのパス
+ * @returns {*} 値（存在しない場合undefined）
+ */
+export function getValueByPath(source, path) {
+    if (!source || typeof source !== 'object') {
+        return undefined;
+    }
+    if (path in source) {
+        return source[path];
+    }
+
+    const parts = path.split('.');
+    for (let i = parts.length - 1; i > 0; i--) {
+        const head = parts.slice(0, i).join('.');
+        if (head in source) {
+            return getValueByPath(source[head], parts.slice(i).join('.'));
+        }
+    }
+    return undefined;
+}
+
+/**
+ * ネストされたオブジェクトをドット区切りのキーを持つ1階層のオブジェクトに変換
+ * 配列は値としてそのまま保持する
+ * @param {Object} source - 対象オブジェクト
+ * @param {string} prefix - キーのプレフィックス
+ * @param {Object} target - 書き込み先（省略時は新規作成）
+ * @returns {Object} 平坦化されたオブジェクト
+ */
+export function flattenObject(source, prefix = '', target = {}) {
+    if (!source || typeof source !== 'object') {
+        return target;
+    }
+
+    Object.keys(source).forEach(key => {
+        const value = source[key];
+        const flatKey = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            flattenObject(value, flatKey, target);
+        } else {
+            target[flatKey] = value;
+        }
+    });
+    return target;
+}
@@ -0,0 +1,112 @@
+/**
+ * OneEuroSmoother - One Euro フィルタによる座標平滑化クラス
+ * 速度に応じてカットオフ周波数を変化させ、静止時のジッターと高速な動きでの遅延を両立します
+ * （Casiez et al., "1€ Filter", CHI 2012）
+ */
+
+export class OneEuroSmoother {
+    /**
+     * 座標は MediaPipe の正規化座標（0.0 - 1.0）を想定する。口の点の速度は 0.1 - 1 /秒 程度のため、
+     * ピクセル座標向けの一般的な値（minCutoff 1.0, beta 0.05 程度）では beta がほぼ効かず EMA より遅れる
+     * @param {Object} options - オプション
+     * @param {number} options.minCutoff - 静止時のカットオフ周波数（Hz、小さいほど平滑化が強い）
+     * @param {number} options.beta - 速度（正規化座標/秒）1あたりのカットオフの増加量（Hz、大きいほど速い動きへの追従が良い）
+     * @param {number} options.dCutoff - 速度の平滑化に使うカットオフ周波数（Hz）
+     */
+    constructor(options = {}) {
+        this.minCutoff = typeof options.minCutoff === 'number' ? options.minCutoff : 0.05;
+        this.beta = typeof options.beta === 'number' ? options.beta : 60;
+        this.dCutoff = typeof options.dCutoff === 'number' ? options.dCutoff : 1.0;
+        this.states = {};
+    }
+
+    /**
+     * One Euro フィルタによる平滑化
+     * @param {string} key - ランドマークのキー
+     * @param {Object} newValue - 新しい座標値 {x, y, z}
+     * @param {number} timestamp - フレームのタイムスタンプ（ミリ秒）
+     * @returns {Object} 平滑化された座標値
+     */
+    smooth(key, newValue, timestamp = Date.now()) {
+        if (!newValue || typeof newValue.x !== 'number') {
+            return newValue;
+        }
+
+        const state = this.states[key];
+        if (!state) {
+            this.states[key] = {
+                timestamp,
+                value: { x: newValue.x, y: newValue.y, z: newValue.z || 0 },
+                derivative: { x: 0, y: 0, z: 0 }
+            };
+            return newValue;
+        }
+
+        const dt = (timestamp - state.timestamp) / 1000;
+        if (dt <= 0) {
+            // 同一フレーム内で再度呼ばれた場合は前回の値を返す
+            return { ...state.value };
+        }
+
+        const smoothed = {};
+        const derivative = {};
+        ['x', 'y', 'z'].forEach(axis => {
+            const raw = axis === 'z' ? (newValue.z || 0) : newValue[axis];
+            const rawDerivative = (raw - state.value[axis]) / dt;
+            derivative[axis] = this._lowPass(rawDerivative, state.derivative[axis], this._alpha(this.dCutoff, dt));
+
+            const cutoff = this.minCutoff + this.beta * Math.abs(derivative[axis]);
+            smoothed[axis] = this._lowPass(raw, state.value[axis], this._alpha(cutoff, dt));
+        });
+
+        state.timestamp = timestamp;
+        state.value = smoothed;
+        state.derivative = derivative;
+        return { ...smoothed };
+    }
+
+    /**
+     * 全ての平滑化データをリセット
+     */
+    reset() {
+        this.states = {};
+    }
+
+    /**
+     * 平滑化係数を変更（EMA用のインターフェース互換）
+     * 係数 0.0 - 1.0 を minCutoff 5.0 - 0.01 Hz に対数で対応付ける（係数が大きいほどカットオフが低く、平滑化が強い）
+     * EMA のデフォルト係数 0.7 はデフォルトの minCutoff に近い約 0.064 Hz になる
+     * @param {number} factor - 平滑化係数 (0.0 - 1.0)
+     */
+    setSmoothingFactor(factor) {
+        const clamped = Math.max(0, Math.min(1, factor));
+        this.minCutoff = 0.01 * Math.pow(500, 1 - clamped);
+    }
+
+    /**
+     * パラメータを変更
+     * @param {Object} params - {minCutoff, beta, dCutoff}
+     */
+    setParameters(params = {}) {
+        if (typeof params.minCutoff === 'number') this.minCutoff = params.minCutoff;
+        if (typeof params.beta === 'number') this.beta = params.beta;
+        if (typeof params.dCutoff === 'number') this.dCutoff = params.dCutoff;
+    }
+
+    /**
+     * カットオフ周波数と時間差から平滑化係数を計算
+     * @private
+     */
+    _alpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    /**
+     * 一次ローパスフィルタ
+     * @private
+     */
+    _lowPass(value, previous, alpha) {
+        return alpha * value + (1 - alpha) * previous;
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * OscEncoder - OSC（Open Sound Control 1.0）のバイナリエンコード
+ * WebSocket でバイナリとして送信するためのメッセージとバンドルを作成します
+ */
+
+const textEncoder = new TextEncoder();
+
+/**
+ * OSC文字列（NUL終端、4バイト境界までNULで埋める）に変換
+ * @param {string} value - 文字列
+ * @returns {Uint8Array} バイト列
+ */
+function encodeOscString(value) {
+    const bytes = textEncoder.encode(value);
+    const padded = new Uint8Array(Math.ceil((bytes.length + 1) / 4) * 4);
+    padded.set(bytes);
+    return padded;
+}
+
+/**
+ * バイト列を連結
+ * @param {Array<Uint8Array>} chunks - バイト列の配列
+ * @returns {Uint8Array} 連結したバイト列
+ */
+function concatBytes(chunks) {
+    const length = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const result = new Uint8Array(length);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return result;
+}
+
+/**
+ * 引数の型タグとバイト列を取得
+ * 数値は整数でも float32（f）として送る。真偽値は int32（i）の 0 / 1 として送る
+ * タイムスタンプ等の float32 では精度が足りない値は {type: 'd', value} で float64 として送る
+ * @param {number|string|boolean|Object} arg - 引数（{type, value} で型を明示できる: 'f' | 'd' | 'i' | 's'）
+ * @returns {Object} {tag, bytes}
+ */
+function encodeArgument(arg) {
+    const typed = arg && typeof arg === 'object' ? arg : null;
+    const type = typed ? typed.type : (typeof arg === 'string' ? 's' : (typeof arg === 'boolean' ? 'i' : 'f'));
+    const value = typed ? typed.value : arg;
+
+    if (type === 's') {
+        return { tag: 's', bytes: encodeOscString(String(value)) };
+    }
+
+    const bytes = new Uint8Array(4);
+    const view = new DataView(bytes.buffer);
+    if (type === 'i') {
+        view.setInt32(0, typeof value === 'boolean' ? (value ? 1 : 0) : Math.round(value), false);
+        return { tag: 'i', bytes };
+    }
+    if (type === 'f') {
+        view.setFloat32(0, value, false);
+        return { tag: 'f', bytes };
+    }
+    if (type === 'd') {
+        const doubleBytes = new Uint8Array(8);
+        new DataView(doubleBytes.buffer).setFloat64(0, value, false);
+        return { tag: 'd', bytes: doubleBytes };
+    }
+    throw new Error(`未対応のOSCの型です: ${type}`);
+}
+
+/**
+ * OSCメッセージをエンコード
+ * @param {string} address - OSCアドレス（'/' で始まる）
+ * @param {Array} args - 引数の配列
+ * @returns {Uint8Array} バイト列
+ */
+export function encodeOscMessage(address, args = []) {
+    if (typeof address !== 'string' || !address.startsWith('/')) {
+        throw new Error(`OSCアドレスが不正です: ${address}`);
+    }
+
+    const encodedArgs = args.map(encodeArgument);
+    return concatBytes([
+        encodeOscString(address),
+        encodeOscString(',' + encodedArgs.map(arg => arg.tag).join('')),
+        ...encodedArgs.map(arg => arg.bytes)
+    ]);
+}
+
+/**
+ * 複数のOSCメッセージを1つのバンドルにエンコード
+ * @param {Array<Object>} messages - [{address, args}] の配列
+ * @param {number|null} time - タイムタグ（Unix時刻のミリ秒、省略時は即時実行を表す 1）
+ * @returns {Uint8Array} バイト列
+ */
+export function encodeOscBundle(messages, time = null) {
+    const timetag = new Uint8Array(8);
+    const view = new DataView(timetag.buffer);
+    if (time === null) {
+        view.setUint32(4, 1, false);
+    } else {
+        // NTP時刻（1900年起点）に変換
+        const seconds = time / 1000 + 2208988800;
+        view.setUint32(0, Math.floor(seconds), false);
+        view.setUint32(4, Math.floor((seconds % 1) * 0x100000000), false);
+    }
+
+    const elements = messages.map(({ address, args }) => {
+        const message = encodeOscMessage(address, args);
+        const size = new Uint8Array(4);
+        new DataView(size.buffer).setInt32(0, message.length, false);
+        return concatBytes([size, message]);
+    });
+
+    return concatBytes([encodeOscString('#bundle'), timetag, ...elements]);
+}
@@ -0,0 +1,288 @@
+/**
+ * ProfileStorageBackends - ProfileStore の保存先（バックエンド）
+ * いずれも以下の非同期インターフェースを持ちます
+ *   get(name)         -> ドキュメント（存在しない場合はnull）
+ *   set(name, value)  -> void
+ *   delete(name)      -> 削除した場合true
+ *   keys()            -> 保存されている名前の配列
+ */
+
+import { PROFILE_CONFIG } from '../config/constants.js';
+import { cloneData } from './SessionFormat.js';
+
+/**
+ * メモリ上に保持するバックエンド（テストやNode.jsでの一時利用向け）
+ */
+export class MemoryProfileBackend {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(name) {
+        return this.entries.has(name) ? cloneData(this.entries.get(name)) : null;
+    }
+
+    async set(name, value) {
+        this.entries.set(name, cloneData(value));
+    }
+
+    async delete(name) {
+        return this.entries.delete(name);
+    }
+
+    async keys() {
+        return Array.from(this.entries.keys());
+    }
+}
+
+/**
+ * localStorage に保存するバックエンド
+ * 1プロファイルを1キー（`${storageKey}:${name}`）として JSON 文字列で保存する
+ */
+export class LocalStorageProfileBackend {
+    /**
+     * @param {Object} options - オプション
+     * @param {Storage} options.storage - 使用する Storage（デフォルト: window.localStorage）
+     * @param {string} options.storageKey - キーのプレフィックス
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        if (!this.storage) {
+            throw new Error('localStorage が利用できません');
+        }
+        this.prefix = `${options.storageKey || PROFILE_CONFIG.storageKey}:`;
+    }
+
+    async get(name) {
+        const text = this.storage.getItem(this.prefix + name);
+        return text === null ? null : JSON.parse(text);
+    }
+
+    async set(name, value) {
+        this.storage.setItem(this.prefix + name, JSON.stringify(value));
+    }
+
+    async delete(name) {
+        const exists = this.storage.getItem(this.prefix + name) !== null;
+        this.storage.removeItem(this.prefix + name);
+        return exists;
+    }
+
+    async keys() {
+        const names = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(this.prefix)) {
+                names.push(key.slice(this.prefix.length));
+            }
+        }
+        return names;
+    }
+}
+
+/**
+ * IndexedDB に保存するバックエンド
+ * プロファイル名をキーとしてオブジェクトストアに保存する
+ */
+export class IndexedDBProfileBackend {
+    /**
+     * @param {Object} options - オプション
+     * @param {IDBFactory} options.indexedDB - 使用する IDBFactory（デフォルト: window.indexedDB）
+     * @param {string} options.databaseName - データベース名
+     * @param {string} options.storeName - オブジェクトストア名
+     */
+    constructor(options = {}) {
+        this.factory = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        if (!this.factory) {
+            throw new Error('IndexedDB が利用できません');
+        }
+        this.databaseName = options.databaseName || PROFILE_CONFIG.databaseName;
+        this.storeName = options.storeName || PROFILE_CONFIG.storeName;
+        this.dbPromise = null;
+    }
+
+    async get(name) {
+        const result = await this._request('readonly', store => store.get(name));
+        return result === undefined ? null : result;
+    }
+
+    async set(name, value) {
+        await this._request('readwrite', store => store.put(cloneData(value), name));
+    }
+
+    async delete(name) {
+        const count = await this._request('readonly', store => store.count(name));
+        if (count === 0) {
+            return false;
+        }
+        await this._request('readwrite', store => store.delete(name));
+        return true;
+    }
+
+    async keys() {
+        const keys = await this._request('readonly', store => store.getAllKeys());
+        return keys.map(key => String(key));
+    }
+
+    /**
+     * データベース接続を閉じる
+     */
+    async close() {
+        if (this.dbPromise) {
+            const db = await this.dbPromise;
+            db.close();
+            this.dbPromise = null;
+        }
+    }
+
+    /**
+     * データベースを開く（初回のみ、オブジェクトストアを作成）
+     * @private
+     * @returns {Promise<IDBDatabase>}
+     */
+    _open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.factory.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.dbPromise = null;
+                    reject(request.error || new Error('IndexedDB を開けませんでした'));
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * トランザクション内でリクエストを実行
+     * @private
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} createRequest - オブジェクトストアを受け取りリクエストを返す関数
+     * @returns {Promise<*>} リクエストの結果
+     */
+    async _request(mode, createRequest) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = createRequest(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB のトランザクションが中断されました'));
+        });
+    }
+}
+
+/**
+ * ファイルシステムに保存するバックエンド（Node.js専用）
+ * 1プロファイルを1ファイル（`<directory>/<エンコード済みの名前>.json`）として保存する
+ */
+export class FileSystemProfileBackend {
+    /**
+     * @param {Object} options - オプション
+     * @param {string} options.directory - 保存先ディレクトリ
+     */
+    constructor(options = {}) {
+        if (!options.directory) {
+            throw new Error('保存先ディレクトリが指定されていません');
+        }
+        this.directory = options.directory;
+        this.modulesPromise = null;
+    }
+
+    async get(name) {
+        const { fs } = await this._loadModules();
+        try {
+            return JSON.parse(await fs.readFile(await this._getFilePath(name), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async set(name, value) {
+        const { fs } = await this._loadModules();
+        const filePath = await this._getFilePath(name);
+        const tempPath = `${filePath}.${Date.now()}.tmp`;
+
+        await fs.mkdir(this.directory, { recursive: true });
+        // 書き込み途中で中断されても既存のファイルが壊れないよう、一時ファイルから置き換える
+        await fs.writeFile(tempPath, JSON.stringify(value, null, 2), 'utf8');
+        await fs.rename(tempPath, filePath);
+    }
+
+    async delete(name) {
+        const { fs } = await this._loadModules();
+        try {
+            await fs.unlink(await this._getFilePath(name));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async keys() {
+        const { fs } = await this._loadModules();
+        try {
+            const files = await fs.readdir(this.directory);
+            return files
+                .filter(file => file.endsWith('.json'))
+                .map(file => decodeURIComponent(file.slice(0, -'.json'.length)));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * プロファイル名からファイルパスを作成（名前はパス区切り文字を含まないようエンコードする）
+     * @private
+     */
+    async _getFilePath(name) {
+        const { path } = await this._loadModules();
+        return path.join(this.directory, `${encodeURIComponent(name)}.json`);
+    }
+
+    /**
+     * Node.js のモジュールを読み込む（ブラウザ向けのバンドルに含めないよう動的に読み込む）
+     * @private
+     */
+    _loadModules() {
+        if (!this.modulesPromise) {
+            this.modulesPromise = Promise.all([
+                import('node:fs/promises'),
+                import('node:path')
+            ]).then(([fs, path]) => ({ fs, path }));
+        }
+        return this.modulesPromise;
+    }
+}
+
+/**
+ * 実行環境で利用可能なバックエンドを作成
+ * ブラウザでは IndexedDB、なければ localStorage、いずれもなければメモリを使用する
+ * @param {Object} options - 各バックエンドのオプション
+ * @returns {Object} バックエンド
+ */
+export function createDefaultProfileBackend(options = {}) {
+    if (typeof indexedDB !== 'undefined') {
+        return new IndexedDBProfileBackend(options);
+    }
+    if (typeof localStorage !== 'undefined') {
+        return new LocalStorageProfileBackend(options);
+    }
+    return new MemoryProfileBackend();
+}
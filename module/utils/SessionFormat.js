@@ -0,0 +1,282 @@
+/**
+ * SessionFormat - セッション記録のシリアライズ形式ユーティリティ
+ * SessionRecorder が保存するフレームデータの変換と、JSONドキュメントの検証を行います
+ */
+
+import { SESSION_CONFIG } from '../config/constants.js';
+
+/**
+ * JSONで表現可能な値として複製
+ * @param {*} value - 複製する値
+ * @returns {*} 複製された値（null/undefinedはnull）
+ */
+export function cloneData(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * 座標点をシリアライズ用の形式に変換
+ * @param {Object|null} point - 座標点 {x, y, z, visibility}
+ * @returns {Object|null} {x, y, z[, visibility]}
+ */
+function serializePoint(point) {
+    if (!point || typeof point.x !== 'number') {
+        return null;
+    }
+    const serialized = { x: point.x, y: point.y, z: point.z || 0 };
+    if (typeof point.visibility === 'number') {
+        serialized.visibility = point.visibility;
+    }
+    return serialized;
+}
+
+/**
+ * インデックス付きランドマーク配列をシリアライズ
+ * point と x/y/z の重複を除き、{index, x, y, z} の配列にする
+ * @param {Array|null} landmarks - ランドマーク配列 [{index, point, x, y, z}, ...]
+ * @returns {Array|null} シリアライズされた配列
+ */
+export function serializeLandmarkList(landmarks) {
+    if (!landmarks || landmarks.length === 0) {
+        return null;
+    }
+    return landmarks
+        .map(lm => {
+            const point = serializePoint(lm.point || lm);
+            return point ? { index: lm.index, ...point } : null;
+        })
+        .filter(lm => lm !== null);
+}
+
+/**
+ * シリアライズされたランドマーク配列を DataProcessor が扱える形式に復元
+ * @param {Array|null} landmarks - シリアライズされた配列 [{index, x, y, z}, ...]
+ * @returns {Array|null} ランドマーク配列 [{index, point, x, y, z}, ...]
+ */
+export function hydrateLandmarkList(landmarks) {
+    if (!landmarks || landmarks.length === 0) {
+        return null;
+    }
+    return landmarks.map(lm => {
+        const point = { x: lm.x, y: lm.y, z: lm.z || 0 };
+        if (typeof lm.visibility === 'number') {
+            point.visibility = lm.visibility;
+        }
+        return {
+            index: lm.index,
+            point,
+            x: point.x,
+            y: point.y,
+            z: point.z,
+            visibility: typeof lm.visibility === 'number' ? lm.visibility : 1
+        };
+    });
+}
+
+/**
+ * 名前付きランドマーク（8点の口ランドマーク等）をシリアライズ
+ * @param {Object|null} landmarks - {leftEnd: {x, y, z}, ...}
+ * @returns {Object|null} シリアライズされたオブジェクト
+ */
+export function serializeLandmarkObject(landmarks) {
+    if (!landmarks) {
+        return null;
+    }
+    const serialized = {};
+    Object.keys(landmarks).forEach(key => {
+        serialized[key] = serializePoint(landmarks[key]);
+    });
+    return serialized;
+}
+
+/**
+ * 母音判別結果をシリアライズ（計測値の重複は除く）
+ * @param {Object|null} result - VowelClassifier.classify の結果
+ * @returns {Object|null} {vowel, confidence, probabilities, scores, displayVowel}
+ */
+export function serializeVowelResult(result) {
+    if (!result) {
+        return null;
+    }
+    return {
+        vowel: result.vowel ?? null,
+        confidence: result.confidence || 0,
+        probabilities: cloneData(result.probabilities) || {},
+        scores: cloneData(result.scores) || {},
+        displayVowel: result.displayVowel ?? null
+    };
+}
+
+/**
+ * 発話区間の検出の状態をシリアライズ（特徴量とイベントは再生時に計算し直すため除く）
+ * @param {Object|null} speechActivity - SpeechActivityDetector.update の結果
+ * @returns {Object|null} {speaking, probability, start}
+ */
+export function serializeSpeechActivity(speechActivity) {
+    if (!speechActivity) {
+        return null;
+    }
+    return {
+        speaking: !!speechActivity.speaking,
+        probability: speechActivity.probability || 0,
+        start: typeof speechActivity.start === 'number' ? speechActivity.start : null
+    };
+}
+
+/**
+ * 1つの顔の値（ランドマーク・計測値・頭部の姿勢等）をシリアライズ
+ * @param {Object} data - onDataUpdate のペイロード、またはその faces の要素
+ * @param {Object|null} vowelResult - 母音判別結果
+ * @returns {Object} 記録用の顔の値
+ */
+function serializeFaceData(data, vowelResult) {
+    return {
+        faceDetected: !!data.faceDetected,
+        confidence: data.confidence || 0,
+        landmarks: serializeLandmarkObject(data.landmarks),
+        contourLandmarks34: serializeLandmarkList(data.contourLandmarks34),
+        allMouthLandmarksExtended: serializeLandmarkList(data.allMouthLandmarksExtended),
+        allFaceLandmarks: serializeLandmarkList(data.allFaceLandmarks),
+        metrics: cloneData(data.metrics),
+        temporalFeatures: cloneData(data.temporalFeatures),
+        quality: cloneData(data.quality),
+        headPose: cloneData(data.headPose),
+        aspectRatio: typeof data.aspectRatio === 'number' ? data.aspectRatio : null,
+        speechActivity: serializeSpeechActivity(data.speechActivity),
+        vowel: serializeVowelResult(vowelResult)
+    };
+}
+
+/**
+ * onDataUpdate のペイロードを記録用フレームに変換
+ * 複数の顔をトラッキングしている場合は faces に顔ごとの値（faceId, boundingBox 付き）を記録する
+ * @param {Object} data - MouthTracker の onDataUpdate ペイロード
+ * @param {Object|null} vowelResult - 母音判別結果
+ * @returns {Object} 記録用フレーム
+ */
+export function serializeFrame(data, vowelResult = null) {
+    const frame = {
+        timestamp: typeof data.timestamp === 'number' ? data.timestamp : Date.now(),
+        mediaTimestamp: typeof data.mediaTimestamp === 'number' ? data.mediaTimestamp : null,
+        fps: data.fps || 0,
+        faceId: typeof data.faceId === 'number' ? data.faceId : null,
+        ...serializeFaceData(data, vowelResult)
+    };
+
+    if (Array.isArray(data.faces)) {
+        frame.faceCount = data.faces.length;
+        frame.faces = data.faces.map(face => ({
+            faceId: face.faceId,
+            boundingBox: cloneData(face.boundingBox),
+            ...serializeFaceData(face, face.vowelResult || null)
+        }));
+    }
+    return frame;
+}
+
+/**
+ * セッションドキュメントを検証し、現在のバージョンの形式に変換
+ * @param {string|Object} input - JSON文字列またはパース済みオブジェクト
+ * @returns {Object} セッションドキュメント
+ */
+export function parseSessionDocument(input) {
+    const document = typeof input === 'string' ? JSON.parse(input) : input;
+
+    if (!document || document.format !== SESSION_CONFIG.format) {
+        throw new Error('セッションデータの形式が不正です');
+    }
+    if (typeof document.version !== 'number' || document.version < 1) {
+        throw new Error(`セッションデータのバージョンが不正です: ${document.version}`);
+    }
+    if (document.version > SESSION_CONFIG.version) {
+        throw new Error(`未対応のセッションデータのバージョンです: ${document.version} > ${SESSION_CONFIG.version}`);
+    }
+    if (!Array.isArray(document.frames)) {
+        throw new Error('セッションデータにフレームが含まれていません');
+    }
+
+    return migrateSessionDocument(document);
+}
+
+/**
+ * 古いバージョンのセッションドキュメントを現在のバージョンの形式に変換
+ * @param {Object} document - 検証済みのセッションドキュメント
+ * @returns {Object} 現在のバージョンのセッションドキュメント（変換した場合は新しいオブジェクト）
+ */
+function migrateSessionDocument(document) {
+    if (document.version >= SESSION_CONFIG.version) {
+        return document;
+    }
+
+    // version 1 → 2: 頭部の姿勢・画像の縦横比・発話区間・顔IDは記録されていない（1つの顔のみ）
+    // 円形度は計算方法が異なるため contourCircularity に移し、circularity はnullにする（再生時は記録されたランドマークから計算し直す）
+    return {
+        ...document,
+        version: SESSION_CONFIG.version,
+        frames: document.frames.map(frame => ({
+            faceId: null,
+            headPose: null,
+            aspectRatio: null,
+            speechActivity: null,
+            ...frame,
+            ...(frame.metrics ? { metrics: migrateCircularity(frame.metrics) } : {})
+        }))
+    };
+}
+
+/**
+ * version 1 の計測値の円形度（口の輪郭の多角形から計算した値）を contourCircularity に移す
+ * @param {Object} metrics - version 1 の計測値
+ * @returns {Object} 変換後の計測値
+ */
+function migrateCircularity(metrics) {
+    if (!('circularity' in metrics)) {
+        return metrics;
+    }
+    const { circularity, ...rest } = metrics;
+    return { ...rest, circularity: null, contourCircularity: circularity };
+}
+
+/**
+ * ランドマークファイルの内容を読み込み、フレーム配列に変換
+ * セッションドキュメント（JSON）、フレーム配列（JSON）、1行1フレームのJSONLに対応する
+ * @param {string} text - ファイルの内容
+ * @returns {Array} フレーム配列
+ */
+export function parseLandmarkFileContent(text) {
+    const trimmed = text.trim();
+    if (trimmed.length === 0) {
+        return [];
+    }
+
+    let parsed = null;
+    try {
+        parsed = JSON.parse(trimmed);
+    } catch (error) {
+        parsed = null;
+    }
+
+    if (Array.isArray(parsed)) {
+        return parsed;
+    }
+    if (parsed && parsed.format === SESSION_CONFIG.format) {
+        return parseSessionDocument(parsed).frames;
+    }
+    if (parsed && typeof parsed === 'object') {
+        return [parsed];
+    }
+
+    return trimmed
+        .split(/\r?\n/)
+        .filter(line => line.trim().length > 0)
+        .map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`JSONLの${index + 1}行目を解析できません: ${error.message}`);
+            }
+        });
+}
@@ -0,0 +1,108 @@
+/**
+ * SessionStatistics - 解析結果の要約統計
+ * SessionPlayer.analyzeAll の結果から計測値の統計量と母音の出現頻度を集計します
+ */
+
+import { getValueByPath } from './ObjectUtils.js';
+
+export const DEFAULT_SUMMARY_FEATURES = [
+    'openness',
+    'width',
+    'aspectRatio',
+    'area',
+    'circularity',
+    'upperLipThickness',
+    'lowerLipThickness',
+    'lipProtrusion',
+    'symmetry'
+];
+// mouthCornerAngle は ±π 付近で値が折り返すため、平均・標準偏差が意味を持たず要約に含めない
+
+/**
+ * 数値配列の最小値と最大値を求める
+ * 長い記録でも引数の数の上限を超えないよう、スプレッド構文ではなく1要素ずつ比較する
+ * @param {Array<number>} values - 数値配列（1要素以上）
+ * @returns {Object} {min, max}
+ */
+function findRange(values) {
+    return values.reduce((range, v) => ({
+        min: v < range.min ? v : range.min,
+        max: v > range.max ? v : range.max
+    }), { min: values[0], max: values[0] });
+}
+
+/**
+ * 数値配列の統計量を計算
+ * @param {Array<number>} values - 数値配列
+ * @returns {Object} {count, mean, std, min, max}
+ */
+export function describeValues(values) {
+    if (values.length === 0) {
+        return { count: 0, mean: 0, std: 0, min: 0, max: 0 };
+    }
+
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length;
+    const { min, max } = findRange(values);
+    return {
+        count: values.length,
+        mean,
+        std: Math.sqrt(variance),
+        min,
+        max
+    };
+}
+
+/**
+ * 解析結果を要約
+ * @param {Array<Object>} results - フレームごとのペイロード（metrics, vowelResult を含む）
+ * @param {Array<string>} featureNames - 統計を計算する計測値（ドット区切りのパス）
+ * @returns {Object} 要約統計
+ */
+export function summarizeResults(results, featureNames = DEFAULT_SUMMARY_FEATURES) {
+    const measured = results.filter(result => result.metrics);
+    const timestamps = results
+        .map(result => typeof result.mediaTimestamp === 'number' ? result.mediaTimestamp * 1000 : result.timestamp)
+        .filter(value => typeof value === 'number');
+
+    const timeRange = timestamps.length > 1 ? findRange(timestamps) : null;
+
+    const metrics = {};
+    featureNames.forEach(name => {
+        const values = measured
+            .map(result => getValueByPath(result.metrics, name))
+            .filter(value => typeof value === 'number' && Number.isFinite(value));
+        metrics[name] = describeValues(values);
+    });
+
+    const vowelCounts = {};
+    let confidenceSum = 0;
+    let detectedCount = 0;
+    measured.forEach(result => {
+        const vowel = result.vowelResult ? result.vowelResult.vowel : null;
+        const key = vowel || 'none';
+        vowelCounts[key] = (vowelCounts[key] || 0) + 1;
+        if (vowel) {
+            confidenceSum += result.vowelResult.confidence || 0;
+            detectedCount++;
+        }
+    });
+
+    const vowelRatios = {};
+    Object.keys(vowelCounts).forEach(key => {
+        vowelRatios[key] = measured.length > 0 ? vowelCounts[key] / measured.length : 0;
+    });
+
+    return {
+        frameCount: results.length,
+        faceFrameCount: results.filter(result => result.faceDetected).length,
+        measuredFrameCount: measured.length,
+        duration: timeRange ? timeRange.max - timeRange.min : 0,
+        metrics,
+        vowels: {
+            counts: vowelCounts,
+            ratios: vowelRatios,
+            meanConfidence: detectedCount > 0 ? confidenceSum / detectedCount : 0
+        }
+    };
+}
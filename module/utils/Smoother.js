@@ -13,9 +13,10 @@ export class Smoother {
      * 指数移動平均による平滑化
      * @param {string} key - ランドマークのキー
      * @param {Object} newValue - 新しい座標値 {x, y, z}
+     * @param {number} timestamp - フレームのタイムスタンプ（EMAでは未使用、他の平滑化器との互換用）
      * @returns {Object} 平滑化された座標値
      */
-    smooth(key, newValue) {
+    smooth(key, newValue, timestamp) {
         if (!newValue || typeof newValue.x !== 'number') {
             return newValue;
         }
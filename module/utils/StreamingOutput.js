@@ -0,0 +1,298 @@
+/**
+ * StreamingOutput - トラッキングデータの WebSocket 送信
+ * onDataUpdate のフレームと母音判別結果を選択したフィールドだけの小さなメッセージにして送信します
+ *   - json: {"type":"frame", "metrics.openness": 0.05, "vowel.label": "a", ...} のテキストメッセージ
+ *   - osc: OSC バンドル（/mouth/openness, /mouth/vowel, /mouth/vowel/a 等）のバイナリメッセージ
+ * ブラウザでは標準の WebSocket を、Node.js では options.WebSocket に ws 等の実装を渡して使用します
+ */
+
+import { STREAM_CONFIG } from '../config/constants.js';
+import { CsvExporter } from './CsvExporter.js';
+import { encodeOscBundle } from './OscEncoder.js';
+
+// フィールド名は CsvExporter の列名と同じ。末尾の '.*' はそのプレフィックスを持つ全フィールドを表す
+export const DEFAULT_STREAM_FIELDS = [
+    'timestamp',
+    'faceDetected',
+    'metrics.openness',
+    'metrics.width',
+    'metrics.aspectRatio',
+    'metrics.area',
+    'metrics.circularity',
+    'vowel.label',
+    'vowel.confidence',
+    'vowel.probabilities.*'
+];
+
+// float32 では精度が足りないため OSC で float64 として送るフィールド
+const DOUBLE_FIELDS = ['timestamp', 'mediaTimestamp'];
+
+export class StreamingOutput {
+    /**
+     * @param {Object} options - オプション
+     * @param {string} options.url - 接続先（例: 'ws://localhost:8080'）
+     * @param {string} options.protocol - 'json'（デフォルト）または 'osc'
+     * @param {Array<string>} options.fields - 送信するフィールド（デフォルト: DEFAULT_STREAM_FIELDS）
+     * @param {number} options.maxRate - 1秒あたりの最大送信回数（超えた分のフレームは送らない）
+     * @param {number} options.burstSize - 続けて送信できる最大回数（送信回数の上限はトークンバケットで管理する）
+     * @param {number} options.precision - JSONの数値の小数点以下桁数
+     * @param {string} options.oscPrefix - OSCアドレスのプレフィックス
+     * @param {number} options.reconnectInterval - 切断時の再接続間隔（ミリ秒、0で再接続しない）
+     * @param {number} options.maxBufferedAmount - 送信待ちがこのバイト数を超えた場合はフレームを送らない
+     * @param {Function} options.WebSocket - WebSocket の実装（デフォルト: globalThis.WebSocket）
+     * @param {Function} options.onOpen - 接続時のコールバック
+     * @param {Function} options.onClose - 切断時のコールバック
+     * @param {Function} options.onError - エラー時のコールバック (error)
+     */
+    constructor(options = {}) {
+        if (!options.url) {
+            throw new Error('接続先のURLが指定されていません');
+        }
+        this.url = options.url;
+        this.protocol = options.protocol || 'json';
+        if (this.protocol !== 'json' && this.protocol !== 'osc') {
+            throw new Error(`未対応の送信形式です: ${this.protocol}`);
+        }
+        this.fields = options.fields || DEFAULT_STREAM_FIELDS;
+        this.maxRate = options.maxRate || STREAM_CONFIG.maxRate;
+        this.burstSize = options.burstSize || STREAM_CONFIG.burstSize;
+        this.precision = typeof options.precision === 'number' ? options.precision : STREAM_CONFIG.precision;
+        this.oscPrefix = options.oscPrefix || STREAM_CONFIG.oscPrefix;
+        this.reconnectInterval = typeof options.reconnectInterval === 'number'
+            ? options.reconnectInterval
+            : STREAM_CONFIG.reconnectInterval;
+        this.maxBufferedAmount = options.maxBufferedAmount || STREAM_CONFIG.maxBufferedAmount;
+        this.WebSocketImpl = options.WebSocket || globalThis.WebSocket || null;
+        this.onOpen = options.onOpen || null;
+        this.onClose = options.onClose || null;
+        this.onError = options.onError || null;
+
+        this.exporter = new CsvExporter();
+        this.socket = null;
+        this.isClosing = false;
+        this.reconnectTimer = null;
+        this.tokens = 0;
+        this.lastRefillAt = null;
+        this.sentCount = 0;
+        this.skippedCount = 0;
+    }
+
+    /**
+     * 接続
+     * @returns {Promise<void>} 接続が開いた時に解決される
+     */
+    connect() {
+        if (!this.WebSocketImpl) {
+            return Promise.reject(new Error('WebSocket が利用できません。options.WebSocket に実装を指定してください'));
+        }
+
+        this.isClosing = false;
+        this._clearReconnectTimer();
+
+        return new Promise((resolve, reject) => {
+            const socket = new this.WebSocketImpl(this.url);
+            socket.binaryType = 'arraybuffer';
+            this.socket = socket;
+            let isOpen = false;
+
+            socket.onopen = () => {
+                isOpen = true;
+                if (this.onOpen) {
+                    this.onOpen();
+                }
+                resolve();
+            };
+            socket.onerror = (event) => {
+                const error = event && event.error ? event.error : new Error(`WebSocket の接続に失敗しました: ${this.url}`);
+                if (this.onError) {
+                    this.onError(error);
+                }
+                if (!isOpen) {
+                    reject(error);
+                }
+            };
+            socket.onclose = () => {
+                if (this.socket === socket) {
+                    this.socket = null;
+                }
+                if (this.onClose) {
+                    this.onClose();
+                }
+                if (!this.isClosing && this.reconnectInterval > 0) {
+                    this._scheduleReconnect();
+                }
+            };
+        });
+    }
+
+    /**
+     * 切断（再接続も停止する）
+     */
+    disconnect() {
+        this.isClosing = true;
+        this._clearReconnectTimer();
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+
+    /**
+     * フレームを送信
+     * 送信回数が maxRate を超える場合、未接続の場合、送信待ちが多い場合は送らない
+     * 送信回数はフレームのタイムスタンプで数えるため、再生中の動画でも動画の時間に対する回数になる
+     * @param {Object} data - onDataUpdate のペイロード
+     * @param {Object|null} vowelResult - VowelClassifier.classify の結果
+     * @returns {boolean} 送信した場合true
+     */
+    send(data, vowelResult = null) {
+        const socket = this.socket;
+        if (!data || !socket || socket.readyState !== 1) {
+            return false;
+        }
+
+        this._refillTokens(typeof data.timestamp === 'number' ? data.timestamp : Date.now());
+        if (this.tokens < 1 || socket.bufferedAmount > this.maxBufferedAmount) {
+            this.skippedCount++;
+            return false;
+        }
+
+        socket.send(this.createMessage(data, vowelResult));
+        this.tokens -= 1;
+        this.sentCount++;
+        return true;
+    }
+
+    /**
+     * 送信するメッセージを作成
+     * @param {Object} data - onDataUpdate のペイロード
+     * @param {Object|null} vowelResult - VowelClassifier.classify の結果
+     * @returns {string|Uint8Array} JSON文字列またはOSCバンドル
+     */
+    createMessage(data, vowelResult = null) {
+        const row = this.exporter.flattenFrame({ ...data, vowelResult: vowelResult || data.vowelResult || null });
+        const fields = this.selectFields(row);
+
+        if (this.protocol === 'osc') {
+            return encodeOscBundle(this.toOscMessages(fields));
+        }
+
+        const message = { type: 'frame' };
+        Object.entries(fields).forEach(([key, value]) => {
+            message[key] = typeof value === 'number' && !DOUBLE_FIELDS.includes(key)
+                ? Number(value.toFixed(this.precision))
+                : value;
+        });
+        return JSON.stringify(message);
+    }
+
+    /**
+     * 平坦化したフレームから送信するフィールドを選択
+     * @param {Object} row - CsvExporter.flattenFrame の結果
+     * @returns {Object} 選択したフィールド（値がないフィールドは含まない）
+     */
+    selectFields(row) {
+        const selected = {};
+        this.fields.forEach(field => {
+            if (field.endsWith('.*')) {
+                const prefix = field.slice(0, -1);
+                Object.keys(row)
+                    .filter(key => key.startsWith(prefix))
+                    .forEach(key => {
+                        if (row[key] !== undefined && row[key] !== null) {
+                            selected[key] = row[key];
+                        }
+                    });
+            } else if (row[field] !== undefined && row[field] !== null) {
+                selected[field] = row[field];
+            }
+        });
+        return selected;
+    }
+
+    /**
+     * 選択したフィールドをOSCメッセージに変換
+     * @param {Object} fields - 選択したフィールド
+     * @returns {Array<Object>} [{address, args}]
+     */
+    toOscMessages(fields) {
+        return Object.entries(fields)
+            .filter(([, value]) => ['number', 'string', 'boolean'].includes(typeof value))
+            .map(([key, value]) => ({
+                address: StreamingOutput.toOscAddress(key, this.oscPrefix),
+                args: [DOUBLE_FIELDS.includes(key) ? { type: 'd', value } : value]
+            }));
+    }
+
+    /**
+     * フィールド名をOSCアドレスに変換
+     * 'metrics.openness' → '/mouth/openness'、'vowel.label' → '/mouth/vowel'、'vowel.probabilities.a' → '/mouth/vowel/a'
+     * @param {string} field - フィールド名
+     * @param {string} prefix - アドレスのプレフィックス
+     * @returns {string} OSCアドレス
+     */
+    static toOscAddress(field, prefix = STREAM_CONFIG.oscPrefix) {
+        let path = field;
+        if (path.startsWith('metrics.')) {
+            path = path.slice('metrics.'.length);
+        } else if (path === 'vowel.label') {
+            path = 'vowel';
+        } else if (path.startsWith('vowel.probabilities.')) {
+            path = `vowel.${path.slice('vowel.probabilities.'.length)}`;
+        }
+        return `${prefix}/${path.split('.').join('/')}`;
+    }
+
+    /**
+     * 送信の統計を取得
+     * @returns {Object} {connected, sentCount, skippedCount}
+     */
+    getStats() {
+        return {
+            connected: !!(this.socket && this.socket.readyState === 1),
+            sentCount: this.sentCount,
+            skippedCount: this.skippedCount
+        };
+    }
+
+    /**
+     * 経過時間に応じて送信できる回数（トークン）を補充
+     * 最初のフレームでは burstSize まで補充し、タイムスタンプが戻った場合は補充しない
+     * @private
+     * @param {number} timestamp - フレームのタイムスタンプ（ミリ秒）
+     */
+    _refillTokens(timestamp) {
+        if (this.lastRefillAt === null) {
+            this.tokens = this.burstSize;
+        } else {
+            const elapsed = Math.max(0, timestamp - this.lastRefillAt);
+            this.tokens = Math.min(this.burstSize, this.tokens + elapsed * this.maxRate / 1000);
+        }
+        this.lastRefillAt = timestamp;
+    }
+
+    /**
+     * 再接続を予約
+     * @private
+     */
+    _scheduleReconnect() {
+        this._clearReconnectTimer();
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect().catch(() => {
+                // 失敗した場合は onclose から再度予約される
+            });
+        }, this.reconnectInterval);
+    }
+
+    /**
+     * 再接続の予約を解除
+     * @private
+     */
+    _clearReconnectTimer() {
+        if (this.reconnectTimer !== null) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+    }
+}
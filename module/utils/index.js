@@ -5,4 +5,14 @@
 export { ErrorHandler } from './ErrorHandler.js';
 export { Smoother } from './Smoother.js';
 export * from './MouthLandmarks.js';
+export * from './LandmarkSets.js';
 
+export * from './SessionFormat.js';
+export { CsvExporter } from './CsvExporter.js';
+export * from './ObjectUtils.js';
+export * from './SessionStatistics.js';
+export { OneEuroSmoother } from './OneEuroSmoother.js';
+export { KalmanSmoother } from './KalmanSmoother.js';
+export * from './ProfileStorageBackends.js';
+export { StreamingOutput, DEFAULT_STREAM_FIELDS } from './StreamingOutput.js';
+export * from './OscEncoder.js';
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ConsonantGestureDetector } from '../module/core/ConsonantGestureDetector.js';
+import { VowelClassifier } from '../module/core/VowelClassifier.js';
+import { runSynthetic } from './helpers/synthetic.js';
+
+const repeat = (shape, count) => Array(count).fill(shape);
+
+test('a → 閉口 → a の系列で両唇音を検出する', async () => {
+    const sequence = [...repeat('a', 8), ...repeat('closed', 8), ...repeat('a', 8)];
+    // 唇の内縁（顔ランドマーク）と同じく輪郭ランドマークも平滑化し、openness の速度と閉鎖の判定の時間をそろえる
+    const payloads = await runSynthetic({ sequence, loop: false }, { smoothContour: true }, sequence.length);
+    const detector = new ConsonantGestureDetector();
+    const classifier = new VowelClassifier();
+
+    let closedFrames = 0;
+    payloads.forEach(payload => {
+        if (classifier.classify(payload.metrics).vowel === 'closed') {
+            closedFrames++;
+        }
+        detector.update(payload.metrics, payload.temporalFeatures, payload.timestamp);
+    });
+
+    // 判別器が閉口と判定するフレームで、検出器も唇が閉じているとみなす
+    assert.ok(closedFrames > 0);
+    const events = detector.getEvents('bilabial');
+    assert.equal(events.length, 1);
+    assert.ok(events[0].closureDuration >= detector.minClosureDuration);
+});
+
+test('イベントの履歴は maxEvents 件までに制限する', async () => {
+    // a と閉口を繰り返し、両唇音を3回発生させる
+    const cycle = [...repeat('a', 8), ...repeat('closed', 8)];
+    const sequence = [...cycle, ...cycle, ...cycle, ...repeat('a', 8)];
+    const payloads = await runSynthetic({ sequence, loop: false }, { smoothContour: true }, sequence.length);
+    const detector = new ConsonantGestureDetector({ maxEvents: 2 });
+
+    const detected = [];
+    payloads.forEach(payload => {
+        detected.push(...detector.update(payload.metrics, payload.temporalFeatures, payload.timestamp));
+    });
+
+    assert.equal(detected.length, 3);
+    assert.deepEqual(detector.getEvents(), detected.slice(-2));
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HeadPoseEstimator } from '../module/core/HeadPoseEstimator.js';
+
+const IMAGE = { width: 640, height: 480 };
+const DEG_TO_RAD = Math.PI / 180;
+
+// 頭部の座標系での点（ピクセル、両目尻の中点が原点）: 両目尻・顎・口角
+const HEAD_POINTS = {
+    33: { x: -60, y: 0, z: 0 },
+    263: { x: 60, y: 0, z: 0 },
+    152: { x: 0, y: 150, z: 0 },
+    61: { x: -35, y: 95, z: 0 }
+};
+
+/**
+ * 頭部の点を回転させ、画像の中央に置いた正規化座標の顔ランドマーク配列を作成
+ * x・z は画像の幅、y は画像の高さで割る（FaceMesh と同じ）
+ */
+function createFaceLandmarks({ roll = 0, yaw = 0 }) {
+    const r = roll * DEG_TO_RAD;
+    const t = yaw * DEG_TO_RAD;
+    return Object.entries(HEAD_POINTS).map(([index, p]) => {
+        // ヨー（y 軸まわり）の後にロール（z 軸まわり）
+        const x1 = p.x * Math.cos(t) - p.z * Math.sin(t);
+        const z1 = p.x * Math.sin(t) + p.z * Math.cos(t);
+        const x2 = x1 * Math.cos(r) - p.y * Math.sin(r);
+        const y2 = x1 * Math.sin(r) + p.y * Math.cos(r);
+        const point = {
+            x: (IMAGE.width / 2 + x2) / IMAGE.width,
+            y: (IMAGE.height / 2 + y2) / IMAGE.height,
+            z: z1 / IMAGE.width
+        };
+        return { index: Number(index), point, ...point };
+    });
+}
+
+test('縦横比を指定するとロール・ヨーを画像の大きさによらず推定できる', () => {
+    const aspectRatio = IMAGE.width / IMAGE.height;
+    const cases = [
+        { roll: 30, yaw: 0 },
+        { roll: -45, yaw: 0 },
+        { roll: 0, yaw: 30 },
+        { roll: 20, yaw: -25 }
+    ];
+    cases.forEach(({ roll, yaw }) => {
+        const pose = HeadPoseEstimator.estimate(createFaceLandmarks({ roll, yaw }), aspectRatio);
+        assert.ok(Math.abs(pose.roll - roll) < 0.5, `roll: ${pose.roll} (expected ${roll})`);
+        assert.ok(Math.abs(pose.yaw - yaw) < 0.5, `yaw: ${pose.yaw} (expected ${yaw})`);
+    });
+});
+
+test('縦横比を指定しない場合は正方形の画像として扱う', () => {
+    const pose = HeadPoseEstimator.estimate(createFaceLandmarks({ roll: 30 }));
+    assert.ok(Math.abs(pose.roll - 30) > 5, `roll: ${pose.roll}`);
+    assert.equal(pose.aspectRatio, 1);
+});
+
+test('頭部の座標系での口角の位置は姿勢によらない', () => {
+    const aspectRatio = IMAGE.width / IMAGE.height;
+    const corner = (options) => {
+        const landmarks = createFaceLandmarks(options);
+        const pose = HeadPoseEstimator.estimate(landmarks, aspectRatio);
+        const point = HeadPoseEstimator.toHeadFrame(landmarks.find(lm => lm.index === 61).point, pose);
+        return { x: (point.x - 0.5) * IMAGE.width, y: (point.y - 0.5) * IMAGE.width };
+    };
+
+    const expected = { x: HEAD_POINTS[61].x, y: HEAD_POINTS[61].y };
+    [{ roll: 0 }, { roll: 30 }, { yaw: 30 }, { roll: 20, yaw: -25 }].forEach(options => {
+        const actual = corner(options);
+        assert.ok(Math.abs(actual.x - expected.x) < 0.5, `x: ${actual.x} (${JSON.stringify(options)})`);
+        assert.ok(Math.abs(actual.y - expected.y) < 0.5, `y: ${actual.y} (${JSON.stringify(options)})`);
+    });
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getLandmarkSetNames } from '../module/utils/LandmarkSets.js';
+import { VowelClassifier } from '../module/core/VowelClassifier.js';
+import { SYNTHETIC_MOUTH_SHAPES } from '../module/core/SyntheticLandmarkProvider.js';
+import { measureShape } from './helpers/synthetic.js';
+
+test('全ての組み込みセットで各形状を同じ名前の母音に判別する', async () => {
+    for (const landmarkSet of getLandmarkSetNames()) {
+        for (const shape of Object.keys(SYNTHETIC_MOUTH_SHAPES)) {
+            const metrics = await measureShape(shape, { landmarkSet });
+            const result = new VowelClassifier().classify(metrics);
+            assert.equal(result.vowel, shape, `${landmarkSet} ${shape}`);
+        }
+    }
+});
+
+test('全ての組み込みセットで開口量・幅・円形度が contour-34 と同じ値になる', async () => {
+    for (const shape of Object.keys(SYNTHETIC_MOUTH_SHAPES)) {
+        const reference = await measureShape(shape, { landmarkSet: 'contour-34' });
+        for (const landmarkSet of getLandmarkSetNames()) {
+            const metrics = await measureShape(shape, { landmarkSet });
+            ['openness', 'width', 'circularity'].forEach(feature => {
+                assert.ok(Math.abs(metrics[feature] - reference[feature]) < 1e-9, `${landmarkSet} ${shape} ${feature}`);
+            });
+        }
+    }
+});
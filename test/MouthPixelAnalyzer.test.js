@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MouthPixelAnalyzer } from '../module/core/MouthPixelAnalyzer.js';
+import { SyntheticLandmarkProvider } from '../module/core/SyntheticLandmarkProvider.js';
+
+const IMAGE = { width: 640, height: 480 };
+const TEETH = [240, 240, 235];
+const CAVITY = [10, 5, 5];
+const TONGUE = [200, 90, 100];
+
+/**
+ * 合成ランドマークを顔ランドマーク配列 [{index, x, y}] に変換
+ */
+function createFaceLandmarks(shape) {
+    return new SyntheticLandmarkProvider().createLandmarks(shape).map((point, index) => ({ index, ...point }));
+}
+
+/**
+ * (x, y, width, height) => [r, g, b] で画素を返す描画コンテキストを持つキャンバスを生成する createCanvas
+ * drawImage の呼び出しは calls に記録する
+ */
+function createFakeCanvas(fill, calls = []) {
+    return (width, height) => {
+        const canvas = { width, height };
+        canvas.getContext = () => ({
+            clearRect() {},
+            drawImage(...args) {
+                calls.push(args);
+            },
+            getImageData(x, y, w, h) {
+                const data = new Uint8ClampedArray(w * h * 4);
+                for (let py = 0; py < h; py++) {
+                    for (let px = 0; px < w; px++) {
+                        const offset = (py * w + px) * 4;
+                        data.set([...fill(px, py, w, h), 255], offset);
+                    }
+                }
+                return { data };
+            }
+        });
+        return canvas;
+    };
+}
+
+test('画素を歯・口腔・舌に分類する', () => {
+    const analyzer = new MouthPixelAnalyzer({ createCanvas: createFakeCanvas(() => TEETH) });
+    const classify = ([r, g, b]) => analyzer.classifyPixel(r / 255, g / 255, b / 255);
+
+    assert.equal(classify(TEETH), 'teeth');
+    assert.equal(classify(CAVITY), 'cavity');
+    assert.equal(classify(TONGUE), 'tongue');
+    // 中間の明るさで赤みの少ない画素（唇の影等）はいずれでもない
+    assert.equal(classify([110, 110, 120]), null);
+});
+
+test('凹多角形の内外を判定する', () => {
+    // 下辺の中央がへこんだ多角形
+    const polygon = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 5, y: 5 }, { x: 0, y: 10 }];
+
+    assert.equal(MouthPixelAnalyzer._isInsidePolygon(5, 2, polygon), true);
+    assert.equal(MouthPixelAnalyzer._isInsidePolygon(1, 8, polygon), true);
+    assert.equal(MouthPixelAnalyzer._isInsidePolygon(5, 8, polygon), false);
+    assert.equal(MouthPixelAnalyzer._isInsidePolygon(12, 5, polygon), false);
+});
+
+test('唇の内縁の内側の画素の割合を求める', () => {
+    // 上半分が歯、下半分が口腔の口
+    const analyzer = new MouthPixelAnalyzer({
+        createCanvas: createFakeCanvas((x, y, width, height) => (y < height / 2 ? TEETH : CAVITY))
+    });
+    const result = analyzer.analyze(IMAGE, createFaceLandmarks('a'));
+
+    assert.ok(result.sampledPixels > 0);
+    assert.ok(Math.abs(result.teethRatio + result.cavityRatio - 1) < 1e-9);
+    assert.ok(result.teethRatio > 0.3 && result.teethRatio < 0.7, `teethRatio: ${result.teethRatio}`);
+    assert.equal(result.tongueRatio, 0);
+    assert.equal(result.tongueOut, false);
+});
+
+test('舌が口の内側の大部分を占める場合は舌を出しているとみなす', () => {
+    const analyzer = new MouthPixelAnalyzer({ createCanvas: createFakeCanvas(() => TONGUE) });
+    const result = analyzer.analyze(IMAGE, createFaceLandmarks('a'));
+
+    assert.equal(result.tongueRatio, 1);
+    assert.equal(result.tongueOut, true);
+});
+
+test('口が閉じている場合は画像を読み出さずに割合を0とする', () => {
+    const calls = [];
+    const analyzer = new MouthPixelAnalyzer({ createCanvas: createFakeCanvas(() => TEETH, calls) });
+    const result = analyzer.analyze(IMAGE, createFaceLandmarks('closed'));
+
+    assert.equal(calls.length, 0);
+    assert.equal(result.sampledPixels, 0);
+    assert.equal(result.teethRatio, 0);
+    assert.equal(result.tongueOut, false);
+});
+
+test('画像の大きさが分からない場合や唇の内縁の点がない場合は null を返す', () => {
+    const analyzer = new MouthPixelAnalyzer({ createCanvas: createFakeCanvas(() => TEETH) });
+
+    assert.equal(analyzer.analyze({}, createFaceLandmarks('a')), null);
+    assert.equal(analyzer.analyze(IMAGE, []), null);
+});
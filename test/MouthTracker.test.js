@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { runSynthetic } from './helpers/synthetic.js';
+
+// 閉口で静止した系列（安静区間として基準値が更新される）
+const REST = { sequence: ['closed'] };
+const DRIFT_MONITOR = { restDuration: 300 };
+
+test('driftMonitor のオプションに指定した基準値のコールバックを呼び出す', async () => {
+    const updates = [];
+    await runSynthetic(REST, {
+        driftMonitor: { ...DRIFT_MONITOR, onBaselineUpdate: (baseline) => updates.push(baseline) }
+    }, 30);
+
+    assert.ok(updates.length > 0);
+    assert.equal(typeof updates[0].openness, 'number');
+});
+
+test('基準値のコールバックは MouthTracker のオプションを優先する', async () => {
+    const calls = { tracker: 0, driftMonitor: 0 };
+    await runSynthetic(REST, {
+        driftMonitor: { ...DRIFT_MONITOR, onBaselineUpdate: () => calls.driftMonitor++ },
+        onBaselineUpdate: () => calls.tracker++
+    }, 30);
+
+    assert.ok(calls.tracker > 0);
+    assert.equal(calls.driftMonitor, 0);
+});
+
+test('複数の顔を追跡する場合も driftMonitor の基準値のコールバックに顔IDを付けて呼び出す', async () => {
+    const updates = [];
+    await runSynthetic(REST, {
+        maxNumFaces: 2,
+        driftMonitor: {
+            ...DRIFT_MONITOR,
+            onBaselineUpdate: (baseline, faceId) => updates.push(faceId)
+        }
+    }, 30);
+
+    assert.ok(updates.length > 0);
+    assert.ok(updates.every(faceId => typeof faceId === 'number'));
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ProfileStore } from '../module/core/ProfileStore.js';
+import { VowelClassifier } from '../module/core/VowelClassifier.js';
+import { MemoryProfileBackend } from '../module/utils/ProfileStorageBackends.js';
+import { PROFILE_CONFIG } from '../module/config/constants.js';
+
+test('VowelClassifier.toJSON() の出力をそのまま保存したプロファイルを移行する', async () => {
+    const calibrationProfiles = { a: { openness: 0.1, width: 0.6 } };
+    const backend = new MemoryProfileBackend();
+    await backend.set('old', new VowelClassifier({ calibrationProfiles }).toJSON());
+
+    const store = new ProfileStore({ backend });
+    const profile = await store.load('old');
+    assert.equal(profile.format, PROFILE_CONFIG.format);
+    assert.equal(profile.version, PROFILE_CONFIG.version);
+    assert.equal(profile.name, 'old');
+    assert.deepEqual(profile.calibrationProfiles, calibrationProfiles);
+    // 移行結果は書き戻される
+    assert.equal((await backend.get('old')).format, PROFILE_CONFIG.format);
+});
+
+test('読み込めないプロファイルは一覧から除いて通知する', async () => {
+    const backend = new MemoryProfileBackend();
+    const errors = [];
+    const store = new ProfileStore({ backend, onError: (error, name) => errors.push(name) });
+    await store.save('alice', { baseline: { openness: 0.02, width: 0.55 } });
+    await backend.set('broken', { format: 'unknown-format' });
+
+    const profiles = await store.list();
+    assert.deepEqual(profiles.map(profile => profile.name), ['alice']);
+    assert.deepEqual(errors, ['broken']);
+});
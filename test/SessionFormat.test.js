@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MouthTracker } from '../module/core/MouthTracker.js';
+import { LandmarkProvider } from '../module/core/LandmarkProvider.js';
+import { SyntheticLandmarkProvider } from '../module/core/SyntheticLandmarkProvider.js';
+import { SessionRecorder } from '../module/core/SessionRecorder.js';
+import { SessionPlayer } from '../module/core/SessionPlayer.js';
+import { VowelClassifier } from '../module/core/VowelClassifier.js';
+import { SESSION_CONFIG } from '../module/config/constants.js';
+import { parseSessionDocument } from '../module/utils/SessionFormat.js';
+
+/**
+ * 左右に並んだ2つの合成の顔を返す取得元
+ */
+class TwoFaceProvider extends LandmarkProvider {
+    constructor(shapes) {
+        super();
+        this.faces = shapes.map((shape, index) => ({
+            shape,
+            provider: new SyntheticLandmarkProvider({ faceCenter: { x: 0.25 + index * 0.5, y: 0.45 } })
+        }));
+    }
+
+    async send() {
+        this._emitResults({
+            multiFaceLandmarks: this.faces.map(face => face.provider.createLandmarks(face.shape))
+        });
+    }
+}
+
+/**
+ * 2つの顔をトラッキングしてセッションを記録
+ */
+async function recordTwoFaceSession(frameCount = 5) {
+    let timestamp = 0;
+    const liveFaces = [];
+    const tracker = new MouthTracker(null, (payload) => {
+        liveFaces.push(payload.faces.map(face => ({ faceId: face.faceId, openness: face.metrics.openness })));
+    }, {
+        maxNumFaces: 2,
+        speechActivity: true,
+        landmarkProvider: new TwoFaceProvider(['a', 'o'])
+    });
+    tracker._getFrameTimestamp = () => timestamp;
+
+    const recorder = new SessionRecorder();
+    recorder.attach(tracker);
+    recorder.start();
+    await tracker.initialize();
+    for (let i = 0; i < frameCount; i++) {
+        timestamp = i * 33;
+        await tracker.processFrame(null);
+    }
+    recorder.stop();
+    return { document: JSON.parse(recorder.serialize()), liveFaces };
+}
+
+test('複数の顔・頭部の姿勢・発話区間を記録する', async () => {
+    const { document } = await recordTwoFaceSession();
+    assert.equal(document.version, SESSION_CONFIG.version);
+
+    const frame = document.frames[document.frames.length - 1];
+    assert.equal(frame.faceCount, 2);
+    assert.equal(frame.faceId, frame.faces[0].faceId);
+    assert.deepEqual(frame.faces.map(face => typeof face.faceId), ['number', 'number']);
+    frame.faces.forEach(face => {
+        assert.ok(face.allFaceLandmarks.length > 0);
+        assert.equal(typeof face.headPose.yaw, 'number');
+        assert.equal(typeof face.speechActivity.speaking, 'boolean');
+        assert.ok(face.boundingBox);
+    });
+    assert.equal(typeof frame.headPose.roll, 'number');
+    assert.equal(typeof frame.speechActivity.probability, 'number');
+});
+
+test('記録した全ての顔を再生する', async () => {
+    const { document, liveFaces } = await recordTwoFaceSession();
+    const player = new SessionPlayer(document, null, { vowelClassifier: new VowelClassifier() });
+    const payloads = player.analyzeAll();
+
+    payloads.forEach((payload, index) => {
+        assert.equal(payload.faceCount, 2);
+        assert.equal(payload.faceId, payload.faces[0].faceId);
+        assert.deepEqual(payload.faces.map(face => face.faceId), liveFaces[index].map(face => face.faceId));
+        payload.faces.forEach((face, faceIndex) => {
+            assert.ok(Math.abs(face.metrics.openness - liveFaces[index][faceIndex].openness) < 1e-9);
+        });
+    });
+    const last = payloads[payloads.length - 1];
+    assert.deepEqual(last.faces.map(face => face.vowelResult.vowel), ['a', 'o']);
+});
+
+test('version 1 のセッションを現在の形式に変換する', () => {
+    const document = parseSessionDocument({
+        format: SESSION_CONFIG.format,
+        version: 1,
+        frames: [
+            { timestamp: 0, faceDetected: false, landmarks: null },
+            { timestamp: 33, faceDetected: true, metrics: { openness: 0.1, circularity: 0.08 } }
+        ]
+    });
+    assert.equal(document.version, SESSION_CONFIG.version);
+    assert.deepEqual(document.frames[0], {
+        faceId: null,
+        headPose: null,
+        aspectRatio: null,
+        speechActivity: null,
+        timestamp: 0,
+        faceDetected: false,
+        landmarks: null
+    });
+    // 計算方法の異なる円形度は別の名前に移す
+    assert.deepEqual(document.frames[1].metrics, { openness: 0.1, circularity: null, contourCircularity: 0.08 });
+});
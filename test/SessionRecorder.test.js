@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SessionRecorder } from '../module/core/SessionRecorder.js';
+
+/**
+ * 顔を検出していないフレームのペイロード
+ */
+function createPayload(timestamp) {
+    return { timestamp, faceDetected: false, metrics: null };
+}
+
+test('上限を超えた分は古いフレームから破棄し、直近の maxFrames 件を保持する', () => {
+    const recorder = new SessionRecorder({ maxFrames: 25 });
+    recorder.start();
+    for (let i = 0; i < 103; i++) {
+        recorder.record(createPayload(i * 33));
+        assert.equal(recorder.getFrameCount(), Math.min(i + 1, 25));
+    }
+
+    const frames = recorder.getFrames();
+    assert.equal(frames.length, 25);
+    assert.equal(frames[0].timestamp, 78 * 33);
+    assert.equal(frames[frames.length - 1].timestamp, 102 * 33);
+
+    const document = recorder.toJSON();
+    assert.equal(document.frameCount, 25);
+    assert.equal(document.droppedFrames, 78);
+    assert.deepEqual(document.frames.map(frame => frame.timestamp), frames.map(frame => frame.timestamp));
+});
+
+test('破棄の途中でも直近のフレームに母音判別結果を追加できる', () => {
+    const recorder = new SessionRecorder({ maxFrames: 10 });
+    recorder.start();
+    for (let i = 0; i < 15; i++) {
+        recorder.record(createPayload(i * 33));
+    }
+    recorder.recordVowelResult({ vowel: 'a', confidence: 0.9, probabilities: { a: 0.9 } });
+
+    const frames = recorder.getFrames();
+    assert.equal(frames.length, 10);
+    assert.equal(frames[frames.length - 1].timestamp, 14 * 33);
+    assert.equal(frames[frames.length - 1].vowel.vowel, 'a');
+});
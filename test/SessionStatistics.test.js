@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { summarizeResults } from '../module/utils/SessionStatistics.js';
+
+test('±π で折り返す口角の角度は既定の要約に含めない', () => {
+    // π 付近で符号が入れ替わる角度（平均を取ると 0 付近の無意味な値になる）
+    const results = [3.1, -3.1, 3.12, -3.12].map((average, index) => ({
+        timestamp: index * 33,
+        faceDetected: true,
+        metrics: { openness: 0.1, mouthCornerAngle: { left: average, right: average, average } },
+        vowelResult: null
+    }));
+    const summary = summarizeResults(results);
+
+    assert.equal(summary.metrics['mouthCornerAngle.average'], undefined);
+    assert.equal(summary.metrics.openness.count, 4);
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MouthTracker } from '../module/core/MouthTracker.js';
+import { SyntheticLandmarkProvider } from '../module/core/SyntheticLandmarkProvider.js';
+import { SessionRecorder } from '../module/core/SessionRecorder.js';
+import { SessionPlayer } from '../module/core/SessionPlayer.js';
+import { VowelClassifier } from '../module/core/VowelClassifier.js';
+import { runSynthetic } from './helpers/synthetic.js';
+
+// 約4Hzで口を開閉する発話の系列（33ms × 8フレーム周期）
+const SPEAKING_SEQUENCE = ['a', 'a', 'a', 'a', 'closed', 'closed', 'closed', 'closed'];
+const FRAME_COUNT = 60;
+
+/**
+ * 指定した頻度（Hz）で口をゆっくり開閉する咀嚼の系列（33ms 間隔のフレーム番号 → 形状）
+ */
+function chewing(rate) {
+    return (frameIndex) => ({
+        openness: 0.15 * (1 - Math.cos(2 * Math.PI * rate * frameIndex * 0.033)) / 2,
+        width: 0.55
+    });
+}
+
+/**
+ * 系列を MouthTracker で処理し、全フレームの発話確率の最大値と発話中のフレームの有無を返す
+ */
+async function measureSpeechActivity(sequence, frameCount = 150) {
+    const payloads = await runSynthetic({ sequence, loop: true }, { speechActivity: true }, frameCount);
+    return {
+        payloads,
+        maxProbability: Math.max(...payloads.map(payload => payload.speechActivity.probability)),
+        speaking: payloads.some(payload => payload.speechActivity.speaking)
+    };
+}
+
+test('speechActivity のオプションに指定したコールバックに発話の開始を通知する', async () => {
+    const events = [];
+    await runSynthetic({ sequence: SPEAKING_SEQUENCE, loop: true }, {
+        speechActivity: { onSpeechStart: (event) => events.push(event) }
+    }, FRAME_COUNT);
+    assert.ok(events.length > 0);
+    assert.equal(events[0].type, 'speechStart');
+});
+
+test('再生時も speechActivity のオプションに指定したコールバックに発話の開始を通知する', async () => {
+    let timestamp = 0;
+    const tracker = new MouthTracker(null, null, {
+        landmarkProvider: new SyntheticLandmarkProvider({ sequence: SPEAKING_SEQUENCE, loop: true })
+    });
+    tracker._getFrameTimestamp = () => timestamp;
+    const recorder = new SessionRecorder();
+    recorder.attach(tracker);
+    recorder.start();
+    await tracker.initialize();
+    for (let i = 0; i < FRAME_COUNT; i++) {
+        timestamp = i * 33;
+        await tracker.processFrame(null);
+    }
+    recorder.stop();
+
+    const events = [];
+    const player = new SessionPlayer(JSON.parse(recorder.serialize()), null, {
+        speechActivity: { onSpeechStart: (event) => events.push(event) }
+    });
+    player.analyzeAll();
+    assert.ok(events.length > 0);
+    assert.equal(events[0].type, 'speechStart');
+});
+
+test('1〜1.5Hz の咀嚼は発話とみなさない', async () => {
+    for (const rate of [1, 1.25, 1.5]) {
+        const { maxProbability, speaking } = await measureSpeechActivity(chewing(rate));
+        assert.equal(maxProbability, 0, `${rate}Hz`);
+        assert.equal(speaking, false, `${rate}Hz`);
+    }
+});
+
+test('母音の口の形を保持している間は発話とみなさない', async () => {
+    for (const shape of ['i', 'a']) {
+        const { maxProbability, speaking } = await measureSpeechActivity([shape]);
+        assert.equal(maxProbability, 0, shape);
+        assert.equal(speaking, false, shape);
+    }
+});
+
+test('発話の頻度の下限付近（2Hz 強）の開閉は発話とみなす', async () => {
+    const { speaking } = await measureSpeechActivity(chewing(2.2));
+    assert.equal(speaking, true);
+});
+
+test('発話中でない間は speechActivity を渡した判別で母音を出力しない', async () => {
+    const { payloads } = await measureSpeechActivity(['a'], 30);
+    const withoutActivity = new VowelClassifier();
+    const withActivity = new VowelClassifier();
+    payloads.forEach(payload => {
+        assert.equal(withoutActivity.classify(payload.metrics, payload.temporalFeatures).vowel, 'a');
+        assert.equal(withActivity.classify(payload.metrics, payload.temporalFeatures, payload.speechActivity).vowel, null);
+    });
+});
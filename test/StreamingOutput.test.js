@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import WebSocket, { WebSocketServer } from 'ws';
+
+import { StreamingOutput } from '../module/utils/StreamingOutput.js';
+
+const FRAME = {
+    timestamp: 1700000000123.5,
+    faceDetected: true,
+    metrics: { openness: 0.108, width: 0.6, aspectRatio: 0.18 }
+};
+
+const VOWEL_RESULT = {
+    vowel: 'a',
+    confidence: 0.75,
+    probabilities: { a: 0.75, i: 0.05, u: 0.05, e: 0.1, o: 0.05, closed: 0 }
+};
+
+/**
+ * OSC文字列を読み取る
+ */
+function readOscString(view, offset) {
+    let end = offset;
+    while (view.getUint8(end) !== 0) {
+        end++;
+    }
+    const value = new TextDecoder().decode(new Uint8Array(view.buffer, view.byteOffset + offset, end - offset));
+    return { value, offset: Math.ceil((end + 1) / 4) * 4 };
+}
+
+/**
+ * OSCバンドルをデコード（テスト用に f / d / i / s のみ対応）
+ */
+function decodeOscBundle(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const header = readOscString(view, 0);
+    assert.equal(header.value, '#bundle');
+
+    const messages = {};
+    let offset = header.offset + 8;
+    while (offset < view.byteLength) {
+        const size = view.getInt32(offset, false);
+        const address = readOscString(view, offset + 4);
+        const tags = readOscString(view, address.offset);
+        let argOffset = tags.offset;
+        const args = [...tags.value.slice(1)].map(tag => {
+            if (tag === 's') {
+                const text = readOscString(view, argOffset);
+                argOffset = text.offset;
+                return text.value;
+            }
+            if (tag === 'd') {
+                argOffset += 8;
+                return view.getFloat64(argOffset - 8, false);
+            }
+            argOffset += 4;
+            return tag === 'i' ? view.getInt32(argOffset - 4, false) : view.getFloat32(argOffset - 4, false);
+        });
+        messages[address.value] = { tags: tags.value, args };
+        offset += 4 + size;
+    }
+    return messages;
+}
+
+/**
+ * ローカルの WebSocket サーバーに StreamingOutput を接続し、1フレーム送信して受信したメッセージを返す
+ */
+async function sendThroughServer(protocol) {
+    const server = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+    await once(server, 'listening');
+    const output = new StreamingOutput({
+        url: `ws://127.0.0.1:${server.address().port}`,
+        protocol,
+        reconnectInterval: 0,
+        WebSocket
+    });
+
+    try {
+        const connection = once(server, 'connection');
+        await output.connect();
+        const [client] = await connection;
+        const received = once(client, 'message');
+        assert.equal(output.send(FRAME, VOWEL_RESULT), true);
+        const [message, isBinary] = await received;
+        return { message, isBinary };
+    } finally {
+        output.disconnect();
+        server.clients.forEach(client => client.terminate());
+        server.close();
+    }
+}
+
+/**
+ * 接続済みの WebSocket の代わりに送信回数だけを数えるソケットを設定
+ */
+function createCountingOutput(options = {}) {
+    const output = new StreamingOutput({ url: 'ws://127.0.0.1:0', ...options });
+    output.socket = { readyState: 1, bufferedAmount: 0, send: () => {} };
+    return output;
+}
+
+test('JSON形式のフレームをサーバーが受信してデコードできる', async () => {
+    const { message, isBinary } = await sendThroughServer('json');
+    assert.equal(isBinary, false);
+
+    const decoded = JSON.parse(message.toString());
+    assert.equal(decoded.type, 'frame');
+    assert.equal(decoded.timestamp, FRAME.timestamp);
+    assert.equal(decoded.faceDetected, true);
+    assert.equal(decoded['metrics.openness'], 0.108);
+    assert.equal(decoded['metrics.width'], 0.6);
+    assert.equal(decoded['vowel.label'], 'a');
+    assert.equal(decoded['vowel.probabilities.e'], 0.1);
+});
+
+test('OSC形式のバンドルをサーバーが受信してデコードできる', async () => {
+    const { message, isBinary } = await sendThroughServer('osc');
+    assert.equal(isBinary, true);
+
+    const messages = decodeOscBundle(new Uint8Array(message));
+    assert.deepEqual(messages['/mouth/timestamp'], { tags: ',d', args: [FRAME.timestamp] });
+    assert.deepEqual(messages['/mouth/faceDetected'], { tags: ',i', args: [1] });
+    assert.deepEqual(messages['/mouth/vowel'], { tags: ',s', args: ['a'] });
+    assert.equal(messages['/mouth/openness'].tags, ',f');
+    assert.ok(Math.abs(messages['/mouth/openness'].args[0] - 0.108) < 1e-6);
+    assert.ok(Math.abs(messages['/mouth/vowel/a'].args[0] - 0.75) < 1e-6);
+});
+
+test('送信回数はフレームのタイムスタンプで maxRate に制限される', () => {
+    const output = createCountingOutput({ maxRate: 30 });
+    for (let i = 0; i < 120; i++) {
+        output.send({ ...FRAME, timestamp: i * 1000 / 60 });
+    }
+    // 2秒間の60fpsのフレームから、最初にまとめて送れる分を除いて30回/秒
+    const { sentCount } = output.getStats();
+    assert.ok(sentCount >= 60 && sentCount <= 62, `sentCount: ${sentCount}`);
+});
+
+test('maxRate と同じフレームレートでは間隔が揺らいでもフレームを落とさない', () => {
+    const output = createCountingOutput({ maxRate: 30 });
+    const jitter = [0, -2, 1, -1, 2];
+    for (let i = 0; i < 90; i++) {
+        output.send({ ...FRAME, timestamp: i * 1000 / 30 + jitter[i % jitter.length] });
+    }
+    assert.deepEqual(output.getStats(), { connected: true, sentCount: 90, skippedCount: 0 });
+});
@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { VowelClassifier } from '../module/core/VowelClassifier.js';
+import { SYNTHETIC_MOUTH_SHAPES } from '../module/core/SyntheticLandmarkProvider.js';
+import { measureShape } from './helpers/synthetic.js';
+
+test('各形状が既定の判別器で同じ名前の母音に判別される', async () => {
+    for (const shape of Object.keys(SYNTHETIC_MOUTH_SHAPES)) {
+        const metrics = await measureShape(shape);
+        const result = new VowelClassifier().classify(metrics);
+        assert.equal(result.vowel, shape);
+    }
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { VowelClassifier } from '../module/core/VowelClassifier.js';
+import { SYNTHETIC_MOUTH_SHAPES } from '../module/core/SyntheticLandmarkProvider.js';
+import { measureShape } from './helpers/synthetic.js';
+
+/**
+ * 安静時の口の計測値から基準値を作成（CalibrationManager の基準値と同じ形式）
+ */
+function createBaseline(metrics) {
+    return {
+        openness: metrics.openness,
+        width: metrics.width,
+        area: metrics.area,
+        aspectRatio: metrics.aspectRatio,
+        lipThickness: metrics.upperLipThickness + metrics.lowerLipThickness
+    };
+}
+
+test('基準値の有無で同じ形状の判別結果が変わらない', async () => {
+    const baseline = createBaseline(await measureShape('closed'));
+    for (const shape of Object.keys(SYNTHETIC_MOUTH_SHAPES)) {
+        const metrics = await measureShape(shape);
+        const withoutBaseline = new VowelClassifier().classify(metrics);
+        const withBaseline = new VowelClassifier({ baseline }).classify(metrics);
+        assert.equal(withBaseline.vowel, withoutBaseline.vowel, shape);
+    }
+});
+
+test('基準値による補正で口の大きさの違いを吸収する', async () => {
+    // 口の小さい人（幅・開口量が標準の0.8倍）の 'a' を本人の安静時の口で補正する
+    const small = { closed: { openness: 0, width: 0.44 }, a: { openness: 0.24, width: 0.48 } };
+    const baseline = createBaseline(await measureShape(small.closed));
+    const metrics = await measureShape(small.a);
+    assert.equal(new VowelClassifier({ baseline }).classify(metrics).vowel, 'a');
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { VowelClassifier } from '../module/core/VowelClassifier.js';
+import { VowelSequenceDecoder } from '../module/core/VowelSequenceDecoder.js';
+import { runSynthetic } from './helpers/synthetic.js';
+
+const repeat = (shape, count) => Array(count).fill(shape);
+
+test('はっきりした母音の区間の系列をそのままデコードする', async () => {
+    const sequence = ['closed', 'a', 'i', 'u', 'e', 'o'].flatMap(shape => repeat(shape, 4));
+    const payloads = await runSynthetic({ sequence, loop: false }, {}, sequence.length);
+    // デコーダーには遅れのない出力確率を渡す（指数移動平均を無効にする）
+    const classifier = new VowelClassifier({ smoothingAlpha: 0 });
+    const results = payloads.map(payload => classifier.classify(payload.metrics, payload.temporalFeatures));
+
+    const decoded = new VowelSequenceDecoder().decode(results);
+    assert.deepEqual(decoded.map(item => item.vowel), sequence);
+});
+
+test('1フレームだけの揺らぎは前後の母音に合わせる', () => {
+    const a = { a: 0.5, i: 0.05, u: 0.05, e: 0.35, o: 0.05, closed: 0 };
+    const e = { a: 0.4, i: 0.05, u: 0.0, e: 0.5, o: 0.05, closed: 0 };
+    const decoded = new VowelSequenceDecoder().decode([a, a, a, e, a, a, a]);
+    assert.deepEqual(decoded.map(item => item.vowel), repeat('a', 7));
+});
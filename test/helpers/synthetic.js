@@ -0,0 +1,42 @@
+/**
+ * テスト用のヘルパー - 合成ランドマークから MouthTracker のペイロードを得る
+ */
+
+import { MouthTracker } from '../../module/core/MouthTracker.js';
+import { SyntheticLandmarkProvider } from '../../module/core/SyntheticLandmarkProvider.js';
+
+/**
+ * 合成ランドマークの系列を MouthTracker で処理し、全フレームのペイロードを返す
+ * @param {Object} providerOptions - SyntheticLandmarkProvider のオプション（sequence 等）
+ * @param {Object} trackerOptions - MouthTracker のオプション
+ * @param {number} frameCount - 処理するフレーム数
+ * @param {number} frameInterval - フレームの間隔（ミリ秒）
+ * @returns {Promise<Array<Object>>} ペイロードの配列
+ */
+export async function runSynthetic(providerOptions, trackerOptions = {}, frameCount = 5, frameInterval = 33) {
+    const payloads = [];
+    let timestamp = 0;
+    const tracker = new MouthTracker(null, (payload) => payloads.push(payload), {
+        ...trackerOptions,
+        landmarkProvider: new SyntheticLandmarkProvider(providerOptions)
+    });
+    tracker._getFrameTimestamp = () => timestamp;
+    await tracker.initialize();
+    for (let i = 0; i < frameCount; i++) {
+        timestamp = i * frameInterval;
+        await tracker.processFrame(null);
+    }
+    return payloads;
+}
+
+/**
+ * 1つの形状を数フレーム処理し、最後のフレームの計測値を返す
+ * @param {Object|string} shape - SYNTHETIC_MOUTH_SHAPES の名前または {openness, width}
+ * @param {Object} trackerOptions - MouthTracker のオプション
+ * @param {Object} providerOptions - SyntheticLandmarkProvider の追加のオプション
+ * @returns {Promise<Object>} 計測値
+ */
+export async function measureShape(shape, trackerOptions = {}, providerOptions = {}) {
+    const payloads = await runSynthetic({ ...providerOptions, sequence: [shape] }, trackerOptions);
+    return payloads[payloads.length - 1].metrics;
+}
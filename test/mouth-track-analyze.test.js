@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+
+import { SyntheticLandmarkProvider } from '../module/core/SyntheticLandmarkProvider.js';
+
+const CLI = fileURLToPath(new URL('../bin/mouth-track-analyze.js', import.meta.url));
+const run = promisify(execFile);
+
+/**
+ * 合成ランドマークのJSONLファイルを作成して CLI を実行し、CSVのヘッダーと行（列名をキーとするオブジェクト）を返す
+ */
+async function analyzeCsv(args, fileCount = 1) {
+    const directory = await mkdtemp(join(tmpdir(), 'mouth-track-analyze-'));
+    try {
+        const provider = new SyntheticLandmarkProvider();
+        const shapes = ['closed', 'a', 'i', 'u', 'e', 'o'].flatMap(shape => Array(4).fill(shape));
+        const lines = shapes.map((shape, index) => JSON.stringify({
+            timestamp: index * 33,
+            faceLandmarks: provider.createLandmarks(shape)
+        }));
+        const paths = Array.from({ length: fileCount }, (_, index) => join(directory, `landmarks-${index}.jsonl`));
+        for (const path of paths) {
+            await writeFile(path, lines.join('\n'), 'utf8');
+        }
+
+        const { stdout } = await run(process.execPath, [CLI, '-f', 'csv', ...args, ...paths]);
+        const [header, ...rows] = stdout.trim().split('\n').map(line => line.split(','));
+        return {
+            header,
+            paths,
+            rows: rows.map(row => Object.fromEntries(header.map((column, index) => [column, row[index]])))
+        };
+    } finally {
+        await rm(directory, { recursive: true, force: true });
+    }
+}
+
+test('--decode のCSVに decodedVowel 列を出力し、vowel 列は変えない', async () => {
+    const { rows: plain } = await analyzeCsv([]);
+    const { rows: decoded } = await analyzeCsv(['--decode']);
+
+    assert.equal(plain[0].decodedVowel, undefined);
+    assert.deepEqual(decoded.map(row => row['vowel.label']), plain.map(row => row['vowel.label']));
+    assert.deepEqual(decoded.slice(-4).map(row => row.decodedVowel), ['o', 'o', 'o', 'o']);
+});
+
+test('複数ファイルのCSVはヘッダーを1行だけ出力し、file 列で元のファイルを区別する', async () => {
+    const { header, paths, rows } = await analyzeCsv([], 2);
+
+    assert.equal(header[0], 'file');
+    assert.equal(rows.length, 48);
+    assert.ok(rows.every(row => row.frameIndex !== 'frameIndex'));
+    assert.deepEqual([...new Set(rows.map(row => row.file))], paths);
+});